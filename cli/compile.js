@@ -0,0 +1,140 @@
+/**
+ * Compile message catalogs into ES modules
+ * One module per locale × namespace ({ hash: message | AST }), so bundlers only ship what is imported,
+ * plus one meta module per namespace (source text → hash), shared by all locales
+ * Modules of namespaces and locales that no longer exist are removed
+ */
+
+import { readFileSync, existsSync, mkdirSync, readdirSync, unlinkSync, rmdirSync } from 'fs';
+import { resolve } from 'path';
+import { precompileMessages } from './precompile.js';
+import { isICUMessage } from './icu.js';
+import { writeFileIfChanged } from './incremental.js';
+
+const HEADER = '// Generated by text-intl compile - do not edit\n';
+
+const MODULE_TYPES = (type) => `import type { ${type} } from 'text-intl';
+
+declare const messages: ${type};
+export default messages;
+`;
+
+/**
+ * Write a JSON-serializable value as an ES module with its declaration file
+ * Identical files are left untouched, so bundlers in watch mode do not rebuild
+ * @param {string} jsPath - Path to the .js module
+ * @param {Object} value - Default export
+ * @param {string} type - text-intl type of the default export
+ * @returns {string[]} Paths of the module and its declaration file
+ */
+function writeModule(jsPath, value, type) {
+  const dtsPath = jsPath.replace(/\.js$/, '.d.ts');
+  writeFileIfChanged(jsPath, `${HEADER}export default ${JSON.stringify(value, null, 2)};\n`);
+  writeFileIfChanged(dtsPath, HEADER + MODULE_TYPES(type));
+  return [jsPath, dtsPath];
+}
+
+/**
+ * Remove generated modules that were not written by this run (deleted namespaces or locales)
+ * Only files starting with the generated header are touched, and only directories this emptied
+ * @param {string} dir - Directory to clean (outDir, then each locale directory)
+ * @param {Set<string>} written - Paths written by this run
+ * @returns {number} Number of removed modules (.js files)
+ */
+function pruneModules(dir, written) {
+  let removed = 0;
+
+  for (const entry of readdirSync(dir, { withFileTypes: true })) {
+    const path = resolve(dir, entry.name);
+
+    if (entry.isDirectory()) {
+      // Empty directories that are not ours (nothing was pruned from them) are kept
+      if (readdirSync(path).length === 0) continue;
+      removed += pruneModules(path, written);
+      if (readdirSync(path).length === 0) rmdirSync(path);
+      continue;
+    }
+
+    if (!/\.(js|d\.ts)$/.test(entry.name) || written.has(path)) continue;
+    if (!readFileSync(path, 'utf-8').startsWith(HEADER)) continue;
+
+    unlinkSync(path);
+    if (entry.name.endsWith('.js')) removed++;
+  }
+
+  return removed;
+}
+
+/**
+ * Compile all locales and namespaces
+ * ICU messages are replaced by their AST, so the runtime never parses them
+ * @param {Object} config - i18n configuration
+ * @param {string} cwd - Current working directory
+ * @param {{ outDir?: string }} [options] - outDir overrides config.compiledDir
+ * @returns {{ modules: number, messages: number, parsed: number, removed: number, outDir: string }}
+ *   parsed: messages left as strings that the runtime still parses (rich text tags, invalid ICU)
+ */
+export function compileMessages(config, cwd = process.cwd(), options = {}) {
+  const messagesDir = resolve(cwd, config.messagesDir);
+  const outDir = resolve(
+    cwd,
+    options.outDir ?? config.compiledDir ?? `${config.messagesDir}/compiled`
+  );
+  const sourceLocaleDir = resolve(messagesDir, config.sourceLocale);
+  const result = { modules: 0, messages: 0, parsed: 0, removed: 0, outDir };
+
+  if (!existsSync(sourceLocaleDir)) {
+    console.log(`⚠️  No messages found for source locale ${config.sourceLocale}`);
+    return result;
+  }
+
+  const namespaces = readdirSync(sourceLocaleDir)
+    .filter((file) => file.endsWith('.meta.json'))
+    .map((file) => file.replace('.meta.json', ''));
+
+  mkdirSync(outDir, { recursive: true });
+  const written = new Set();
+
+  for (const namespace of namespaces) {
+    // Meta is the same for every locale (hashes come from the source text)
+    const meta = JSON.parse(
+      readFileSync(resolve(sourceLocaleDir, `${namespace}.meta.json`), 'utf-8')
+    );
+    for (const path of writeModule(
+      resolve(outDir, `${namespace}.meta.js`),
+      meta,
+      'MetaNamespace'
+    )) {
+      written.add(path);
+    }
+    result.modules++;
+
+    for (const locale of config.locales) {
+      const jsonPath = resolve(messagesDir, locale, `${namespace}.json`);
+      if (!existsSync(jsonPath)) continue;
+
+      const messages = JSON.parse(readFileSync(jsonPath, 'utf-8'));
+      const asts = precompileMessages(messages, locale);
+      const catalog = {};
+
+      for (const hash of Object.keys(messages).sort()) {
+        const message = messages[hash];
+        // Untranslated: omit, so the runtime falls back through the chain
+        if (typeof message !== 'string' || !message.trim()) continue;
+        catalog[hash] = asts[message] ?? message;
+        if (!asts[message] && isICUMessage(message)) result.parsed++;
+      }
+
+      const modulePath = resolve(outDir, locale, `${namespace}.js`);
+      for (const path of writeModule(modulePath, catalog, 'MessageNamespace')) {
+        written.add(path);
+      }
+      result.modules++;
+      result.messages += Object.keys(catalog).length;
+      console.log(`📦 ${locale}/${namespace}: ${Object.keys(catalog).length} messages`);
+    }
+  }
+
+  result.removed = pruneModules(outDir, written);
+  return result;
+}
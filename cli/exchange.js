@@ -0,0 +1,396 @@
+/**
+ * Export catalogs for translation vendors and import their translations back
+ * (text-intl export / text-intl import)
+ * - po: gettext, a POT template from the source locale plus one PO file per locale
+ * - xliff: XLIFF 2.0 for CAT tools, one file per locale and namespace
+ *
+ * Review states live next to the messages of each locale:
+ * - {namespace}.fuzzy.json: translations to review (PO "fuzzy", XLIFF "initial" with a target)
+ * - {namespace}.reviewed.json: source key → reviewed translation (XLIFF "reviewed" / "final"),
+ *   a translation edited afterwards is no longer reviewed
+ */
+
+import { readFileSync, existsSync, readdirSync, unlinkSync } from 'fs';
+import { resolve, basename, dirname, extname, relative } from 'path';
+import { getMessageKey, parseMessageKey } from './message-key.js';
+import { writeCompiledMessages } from './precompile.js';
+import { writeFileIfChanged } from './incremental.js';
+import { formatPO, parsePO } from './po.js';
+import { formatXLIFF, parseXLIFF } from './xliff.js';
+
+export const EXCHANGE_FORMATS = ['po', 'xliff'];
+
+const DEFAULT_EXPORT_DIR = 'i18n-export';
+
+/**
+ * Read a JSON file
+ * @returns {Object} Parsed content, or the fallback if the file does not exist
+ */
+function readJSON(path, fallback = {}) {
+  return existsSync(path) ? JSON.parse(readFileSync(path, 'utf-8')) : fallback;
+}
+
+/**
+ * Write a JSON object sorted by key (same layout as extract)
+ */
+function writeSortedJSON(path, value) {
+  const sorted = Object.keys(value)
+    .sort()
+    .reduce((acc, key) => {
+      acc[key] = value[key];
+      return acc;
+    }, {});
+  writeFileIfChanged(path, JSON.stringify(sorted, null, 2) + '\n');
+}
+
+/**
+ * Write a state file, or remove it when it has no entries
+ */
+function writeStates(path, value) {
+  if (Object.keys(value).length > 0) {
+    writeSortedJSON(path, value);
+  } else if (existsSync(path)) {
+    unlinkSync(path);
+  }
+}
+
+/**
+ * Namespaces of the source locale (those with a meta file)
+ * @returns {string[]}
+ */
+function getNamespaces(messagesDir, sourceLocale) {
+  const dir = resolve(messagesDir, sourceLocale);
+  if (!existsSync(dir)) return [];
+  return readdirSync(dir)
+    .filter((file) => file.endsWith('.meta.json'))
+    .map((file) => file.replace('.meta.json', ''))
+    .sort();
+}
+
+/**
+ * PO headers of a file
+ * @param {Object} config - i18n configuration
+ * @param {string} namespace
+ * @param {string | null} locale - null for the POT template
+ */
+function getPOHeaders(config, namespace, locale) {
+  return {
+    'MIME-Version': '1.0',
+    'Content-Type': 'text/plain; charset=UTF-8',
+    'Content-Transfer-Encoding': '8bit',
+    Language: locale ?? '',
+    'X-Source-Language': config.sourceLocale,
+    'X-Text-Intl-Namespace': namespace,
+    'X-Generator': 'text-intl',
+  };
+}
+
+/**
+ * Export every namespace for translation
+ * @param {Object} config - i18n configuration
+ * @param {string} [cwd] - Project root
+ * @param {{ format?: string, outDir?: string, locales?: string[] }} [options] - format: po (default) or xliff;
+ *   outDir: output directory (default: i18n-export); locales: target locales (default: all but the source)
+ * @returns {{ files: string[], messages: number }} Written files and number of source messages
+ */
+export function exportMessages(config, cwd = process.cwd(), options = {}) {
+  const { format = 'po' } = options;
+  if (!EXCHANGE_FORMATS.includes(format)) {
+    throw new Error(`Unknown format: ${format} (available: ${EXCHANGE_FORMATS.join(', ')})`);
+  }
+
+  const { sourceLocale } = config;
+  const messagesDir = resolve(cwd, config.messagesDir);
+  const outDir = resolve(cwd, options.outDir ?? DEFAULT_EXPORT_DIR);
+  const locales = (options.locales ?? config.locales).filter((locale) => locale !== sourceLocale);
+  const files = [];
+  let messages = 0;
+
+  const write = (path, content) => {
+    writeFileIfChanged(path, content);
+    files.push(path);
+  };
+
+  for (const namespace of getNamespaces(messagesDir, sourceLocale)) {
+    const meta = readJSON(resolve(messagesDir, sourceLocale, `${namespace}.meta.json`));
+    const notes = readJSON(resolve(messagesDir, sourceLocale, `${namespace}.notes.json`));
+    messages += Object.keys(meta).length;
+
+    // Entries without translations, shared by the template and every locale
+    const template = Object.keys(meta)
+      .sort()
+      .map((key) => {
+        const { text, context } = parseMessageKey(key);
+        return {
+          key,
+          hash: meta[key],
+          msgctxt: context,
+          msgid: text,
+          msgstr: '',
+          references: notes[key]?.references ?? [],
+          comments: notes[key]?.comments ?? [],
+        };
+      });
+
+    if (format === 'po') {
+      write(
+        resolve(outDir, `${namespace}.pot`),
+        formatPO(getPOHeaders(config, namespace, null), template)
+      );
+    }
+
+    for (const locale of locales) {
+      const translations = readJSON(resolve(messagesDir, locale, `${namespace}.json`));
+      const fuzzy = readJSON(resolve(messagesDir, locale, `${namespace}.fuzzy.json`));
+
+      const entries = template.map((entry) => {
+        const msgstr = translations[entry.hash] ?? '';
+        const flagged = msgstr !== '' && fuzzy[entry.key];
+        return {
+          ...entry,
+          msgstr,
+          ...(flagged ? { flags: ['fuzzy'], previous: fuzzy[entry.key].previous } : {}),
+        };
+      });
+
+      if (format === 'po') {
+        write(
+          resolve(outDir, locale, `${namespace}.po`),
+          formatPO(getPOHeaders(config, namespace, locale), entries)
+        );
+        continue;
+      }
+
+      const reviewed = readJSON(resolve(messagesDir, locale, `${namespace}.reviewed.json`));
+      write(
+        resolve(outDir, locale, `${namespace}.xlf`),
+        formatXLIFF({
+          srcLang: sourceLocale,
+          trgLang: locale,
+          fileId: namespace,
+          units: entries.map((entry) => toXLIFFUnit(entry, reviewed)),
+        })
+      );
+    }
+  }
+
+  return { files, messages };
+}
+
+/**
+ * XLIFF unit of an exported entry
+ * Untranslated and fuzzy entries are initial, reviewed ones only while their translation is unchanged
+ * @param {Object} entry - PO entry with its meta key and hash
+ * @param {Record<string, string>} reviewed - Reviewed translations by meta key
+ * @returns {import('./xliff.js').XLIFFUnit}
+ */
+function toXLIFFUnit(entry, reviewed) {
+  const { key, hash, msgctxt, msgid, msgstr, comments, references, flags } = entry;
+  let state = 'translated';
+  if (msgstr === '' || flags) state = 'initial';
+  else if (reviewed[key] === msgstr) state = 'reviewed';
+
+  return {
+    id: hash,
+    source: msgid,
+    ...(msgstr !== '' ? { target: msgstr } : {}),
+    state,
+    notes: [
+      ...(msgctxt ? [{ category: 'context', text: msgctxt }] : []),
+      ...comments.map((text) => ({ category: 'comment', text })),
+      ...references.map((text) => ({ category: 'location', text })),
+      ...(entry.previous !== undefined
+        ? [{ category: 'previous-source', text: entry.previous }]
+        : []),
+    ],
+  };
+}
+
+/**
+ * Read a translated file into translations with their review state
+ * PO entries are keyed by meta key, XLIFF units by hash (their id)
+ * State: initial (fuzzy), translated or reviewed; PO entries that are not fuzzy have none
+ * @param {string} filePath - Absolute path (.po, .xlf or .xliff)
+ * @returns {Array<{ locale?: string, namespace: string, entries: Array<{ key?: string, hash?: string, translation: string, state?: string, previous?: string }> }>}
+ *   One group per namespace
+ */
+function readTranslatedFile(filePath) {
+  const extension = extname(filePath);
+  const content = readFileSync(filePath, 'utf-8');
+
+  if (extension === '.po') {
+    const { headers, entries } = parsePO(content);
+    return [
+      {
+        locale: headers.Language || undefined,
+        namespace: headers['X-Text-Intl-Namespace'] || basename(filePath, extension),
+        entries: entries.map((entry) => ({
+          key: getMessageKey(entry.msgid, entry.msgctxt),
+          translation: entry.msgstr,
+          ...(entry.flags.includes('fuzzy')
+            ? { state: 'initial', previous: entry.previous ?? entry.msgid }
+            : {}),
+        })),
+      },
+    ];
+  }
+
+  if (extension === '.xlf' || extension === '.xliff') {
+    const { trgLang, files } = parseXLIFF(content);
+    return files.map((file) => ({
+      locale: trgLang || undefined,
+      namespace: file.id || basename(filePath, extension),
+      entries: file.units.map((unit) => ({
+        hash: unit.id,
+        translation: unit.target ?? '',
+        state: unit.state,
+      })),
+    }));
+  }
+
+  throw new Error(`Unsupported file: ${filePath} (expected .po, .xlf or .xliff)`);
+}
+
+/**
+ * Merge translated files into messages/<locale>/<namespace>.json through the meta hash mapping
+ * Untranslated entries are skipped; a translation that differs from an existing one that is not
+ * fuzzy is a conflict and is kept as is unless overwrite is set
+ * Review states are imported: initial entries are flagged in {namespace}.fuzzy.json, reviewed ones
+ * recorded in {namespace}.reviewed.json; PO entries without the fuzzy flag keep an unchanged review
+ * @param {Object} config - i18n configuration
+ * @param {string[]} files - Translated files (locale from their header or parent directory)
+ * @param {string} [cwd] - Project root
+ * @param {{ overwrite?: boolean }} [options]
+ * @returns {{ files: Object[], imported: number, unchanged: number, conflicts: Object[] }}
+ *   conflicts: { file, locale, namespace, key, type: 'unknown' | 'changed', current?, incoming }
+ * @throws {Error} If a file cannot be read or targets an unknown locale or namespace; every file is
+ *   checked before anything is written
+ */
+export function importMessages(config, files, cwd = process.cwd(), options = {}) {
+  const { sourceLocale, locales } = config;
+  const messagesDir = resolve(cwd, config.messagesDir);
+  const result = { files: [], imported: 0, unchanged: 0, conflicts: [] };
+
+  // Read and check every file first, so a bad one does not leave the catalog half updated
+  const groups = [];
+  for (const file of files) {
+    const filePath = resolve(cwd, file);
+    const relativePath = relative(cwd, filePath);
+
+    let translated;
+    try {
+      translated = readTranslatedFile(filePath);
+    } catch (error) {
+      throw new Error(`${relativePath}: ${error.message}`);
+    }
+
+    for (const { locale: fileLocale, namespace, entries } of translated) {
+      const locale = fileLocale ?? basename(dirname(filePath));
+
+      if (!locales.includes(locale) || locale === sourceLocale) {
+        throw new Error(
+          `${relativePath}: "${locale}" is not a target locale (available: ${locales
+            .filter((l) => l !== sourceLocale)
+            .join(', ')})`
+        );
+      }
+
+      const metaPath = resolve(messagesDir, sourceLocale, `${namespace}.meta.json`);
+      if (!existsSync(metaPath)) {
+        throw new Error(`${relativePath}: no meta file for namespace "${namespace}", run extract`);
+      }
+
+      groups.push({ relativePath, locale, namespace, entries, metaPath });
+    }
+  }
+
+  for (const { relativePath, locale, namespace, entries, metaPath } of groups) {
+    const meta = readJSON(metaPath);
+    const keysByHash = new Map(Object.entries(meta).map(([key, hash]) => [hash, key]));
+    const messagesPath = resolve(messagesDir, locale, `${namespace}.json`);
+    const fuzzyPath = resolve(messagesDir, locale, `${namespace}.fuzzy.json`);
+    const reviewedPath = resolve(messagesDir, locale, `${namespace}.reviewed.json`);
+    const messages = readJSON(messagesPath);
+    const fuzzy = readJSON(fuzzyPath);
+    const reviewed = readJSON(reviewedPath);
+    const counts = { file: relativePath, locale, namespace, imported: 0, unchanged: 0 };
+
+    for (const entry of entries) {
+      const { translation, state } = entry;
+      if (translation === '') continue;
+
+      const key = entry.key ?? keysByHash.get(entry.hash);
+      const hash = key !== undefined ? meta[key] : undefined;
+      if (!hash) {
+        result.conflicts.push({
+          file: relativePath,
+          locale,
+          namespace,
+          key: key ?? entry.hash,
+          type: 'unknown',
+          incoming: translation,
+        });
+        continue;
+      }
+
+      const current = messages[hash] ?? '';
+      const wasFuzzy = Boolean(fuzzy[key]);
+      const wasReviewed = current !== '' && reviewed[key] === current;
+      const isFuzzy = state === 'initial';
+      const isReviewed =
+        state === 'reviewed' || (state === undefined && wasReviewed && current === translation);
+
+      if (current === translation && wasFuzzy === isFuzzy && wasReviewed === isReviewed) {
+        counts.unchanged++;
+        continue;
+      }
+      if (current !== '' && !wasFuzzy && current !== translation && !options.overwrite) {
+        result.conflicts.push({
+          file: relativePath,
+          locale,
+          namespace,
+          key,
+          type: 'changed',
+          current,
+          incoming: translation,
+        });
+        continue;
+      }
+
+      messages[hash] = translation;
+      if (isFuzzy) {
+        fuzzy[key] = fuzzy[key] ?? { previous: entry.previous ?? parseMessageKey(key).text };
+      } else {
+        delete fuzzy[key];
+      }
+      if (isReviewed) reviewed[key] = translation;
+      else delete reviewed[key];
+      counts.imported++;
+    }
+
+    // Reviews of texts no longer in the catalog are dropped
+    for (const key of Object.keys(reviewed)) {
+      if (!meta[key]) delete reviewed[key];
+    }
+
+    writeSortedJSON(messagesPath, messages);
+    if (config.precompile) {
+      writeCompiledMessages(
+        resolve(messagesDir, locale, `${namespace}.ast.json`),
+        messages,
+        locale
+      );
+    }
+    writeStates(fuzzyPath, fuzzy);
+    writeStates(reviewedPath, reviewed);
+    // Locales that were never extracted get the meta file, like translate does
+    const targetMetaPath = resolve(messagesDir, locale, `${namespace}.meta.json`);
+    if (!existsSync(targetMetaPath)) writeSortedJSON(targetMetaPath, meta);
+
+    result.files.push(counts);
+    result.imported += counts.imported;
+    result.unchanged += counts.unchanged;
+  }
+
+  return result;
+}
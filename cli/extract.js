@@ -3,101 +3,505 @@
  * Generates hash-based keys for JSON files and maintains source-to-hash mapping in meta files
  */
 
-import { readFileSync, writeFileSync, existsSync, mkdirSync, readdirSync } from 'fs';
-import { resolve } from 'path';
+import { readFileSync, existsSync, mkdirSync, unlinkSync } from 'fs';
+import { createInterface } from 'readline/promises';
+import { resolve, relative, sep } from 'path';
 import { parse } from '@babel/parser';
 import traverse from '@babel/traverse';
 import { glob } from 'glob';
 import { createHash } from 'crypto';
+import { getMessageKey, parseMessageKey } from './message-key.js';
+import { writeCompiledMessages } from './precompile.js';
+import { generateTypes } from './generate-types.js';
+import { findRenames, DEFAULT_FUZZY_THRESHOLD } from './fuzzy.js';
+import {
+  hashContent,
+  serializeMessages,
+  deserializeMessages,
+  saveExtractCache,
+  writeFileIfChanged,
+} from './incremental.js';
 
 const DEFAULT_NAMESPACE = 'common';
 
+// Comments starting with "i18n:" or "translators:" are passed on to translators
+const TRANSLATOR_COMMENT_PATTERN = /^\s*(?:i18n|translators)\s*:\s*/i;
+
+// JSX components whose children are extracted as a single message
+const TRANS_COMPONENTS = new Set(['Trans', 'T']);
+
+// Default names of translate functions (config.extract.functions / contextFunctions)
+const DEFAULT_FUNCTIONS = ['t'];
+const DEFAULT_CONTEXT_FUNCTIONS = ['pt'];
+
+// Functions returning { t, pt }, with the index of their namespace argument
+const TRANSLATION_HOOKS = { useTranslation: 0, getTranslation: 1 };
+
 /**
  * Generate a stable hash for a message
  * Uses SHA256 and returns first 8 characters for readability
  * @param {string} text - Source text
+ * @param {string} [context] - Message context (folded into the hash)
  * @returns {string} Hash string (8 chars)
  */
-function generateMessageHash(text) {
-  return createHash('sha256').update(text, 'utf8').digest('hex').substring(0, 8);
+function generateMessageHash(text, context) {
+  return createHash('sha256')
+    .update(getMessageKey(text, context), 'utf8')
+    .digest('hex')
+    .substring(0, 8);
 }
 
 /**
- * Extract t() calls from a file with namespace detection
- * Detects: const { t } = useTranslation('namespace')
+ * Resolve an expression to a string at build time: literals, template literals and concatenations
+ * of constants (Babel's evaluate(), which also follows `const` bindings)
+ * @param {Object} path - Babel NodePath of the expression
+ * @returns {string | undefined} Value, or undefined if it is not static
  */
-function extractFromFile(filePath) {
-  const code = readFileSync(filePath, 'utf-8');
-  // Map: namespace -> Set of messages
-  const namespaceMessages = new Map();
+function getStaticString(path) {
+  if (!path?.node) return undefined;
+  const { confident, value } = path.evaluate();
+  return confident && typeof value === 'string' ? value : undefined;
+}
 
-  try {
-    const ast = parse(code, {
-      sourceType: 'module',
-      plugins: ['typescript', 'jsx'],
+/**
+ * Read the options argument of a t() call
+ * e.g. t('Open', values, { context: 'status', namespace: 'orders' }) or t('Open', values, 'orders')
+ * @param {Object} [path] - Babel NodePath of the options argument
+ * @returns {{ namespace?: string | null, context?: string | null, dynamic?: boolean }}
+ *   null for an option that is not a static string; dynamic if the options themselves are not
+ *   static (a variable, a spread, computed keys)
+ */
+function getCallOptions(path) {
+  const node = path?.node;
+  if (
+    !node ||
+    node.type === 'NullLiteral' ||
+    (node.type === 'Identifier' && node.name === 'undefined')
+  ) {
+    return {};
+  }
+
+  if (node.type !== 'ObjectExpression') {
+    const namespace = getStaticString(path);
+    return namespace === undefined ? { dynamic: true } : { namespace };
+  }
+
+  const options = {};
+  for (const prop of path.get('properties')) {
+    if (prop.node.type !== 'ObjectProperty' || prop.node.computed) return { dynamic: true };
+    const name = prop.node.key.name ?? prop.node.key.value;
+    if (name === 'namespace' || name === 'context') {
+      options[name] = getStaticString(prop.get('value')) ?? null;
+    }
+  }
+  return options;
+}
+
+/**
+ * Dotted name of a callee, e.g. props.t or this.props.t
+ * @param {Object} node - Babel node of the callee
+ * @returns {string | undefined} Name, or undefined for computed or call-based callees
+ */
+function getCalleeName(node) {
+  if (node.type === 'Identifier') return node.name;
+  if (node.type === 'ThisExpression') return 'this';
+  if (node.type !== 'MemberExpression' || node.computed || node.property.type !== 'Identifier') {
+    return undefined;
+  }
+  const objectName = getCalleeName(node.object);
+  return objectName && `${objectName}.${node.property.name}`;
+}
+
+/**
+ * Get a static string attribute from a JSX element, e.g. namespace="dashboard"
+ * @param {Object} openingElement - Babel JSXOpeningElement node
+ * @param {string} name - Attribute name
+ * @returns {string | undefined} Attribute value
+ */
+function getJSXStringAttribute(openingElement, name) {
+  const attr = openingElement.attributes.find(
+    (a) => a.type === 'JSXAttribute' && a.name.name === name
+  );
+  const value =
+    attr?.value?.type === 'JSXExpressionContainer' ? attr.value.expression : attr?.value;
+  return value?.type === 'StringLiteral' ? value.value : undefined;
+}
+
+/**
+ * Clean JSX text the same way the JSX transform does
+ * (trim whitespace around line breaks, drop whitespace-only lines)
+ * @param {string} value - Raw JSXText value
+ * @returns {string} Text as it appears at runtime
+ */
+function cleanJSXText(value) {
+  const lines = value.split(/\r\n|\n|\r/);
+  let lastNonEmptyLine = 0;
+  lines.forEach((line, i) => {
+    if (/[^ \t]/.test(line)) lastNonEmptyLine = i;
+  });
+
+  let result = '';
+  lines.forEach((line, i) => {
+    let trimmed = line.replace(/\t/g, ' ');
+    if (i !== 0) trimmed = trimmed.replace(/^[ ]+/, '');
+    if (i !== lines.length - 1) trimmed = trimmed.replace(/[ ]+$/, '');
+    if (trimmed) {
+      result += i !== lastNonEmptyLine ? `${trimmed} ` : trimmed;
+    }
+  });
+  return result;
+}
+
+/**
+ * Serialize <Trans> children into a message string
+ * Mirrors serializeTransChildren() in src/react.tsx:
+ * - Elements become <0>…</0> (by order of appearance), or named tags for HTML elements without props
+ * - {{ name }} placeholder objects become {name}
+ * @param {Object[]} children - Babel JSX child nodes
+ * @param {{ index: number }} counter - Element index counter
+ * @returns {string | null} Message, or null if a child cannot be resolved statically
+ */
+function serializeJSXChildren(children, counter) {
+  let message = '';
+
+  for (const child of children) {
+    let part = null;
+
+    if (child.type === 'JSXText') {
+      part = cleanJSXText(child.value);
+    } else if (child.type === 'JSXExpressionContainer') {
+      const expression = child.expression;
+      if (expression.type === 'JSXEmptyExpression') {
+        part = '';
+      } else if (expression.type === 'StringLiteral' || expression.type === 'NumericLiteral') {
+        part = String(expression.value);
+      } else if (expression.type === 'TemplateLiteral' && expression.expressions.length === 0) {
+        part = expression.quasis[0].value.cooked;
+      } else if (expression.type === 'ObjectExpression' && expression.properties.length === 1) {
+        const key = expression.properties[0].key;
+        part = key ? `{${key.name ?? key.value}}` : null;
+      }
+    } else if (child.type === 'JSXFragment') {
+      part = serializeJSXChildren(child.children, counter);
+    } else if (child.type === 'JSXElement') {
+      const { name, attributes } = child.openingElement;
+      const isNamed =
+        name.type === 'JSXIdentifier' && /^[a-z]/.test(name.name) && !attributes.length;
+      const tag = isNamed ? name.name : String(counter.index++);
+      const inner = serializeJSXChildren(child.children, counter);
+      part = inner === null ? null : inner ? `<${tag}>${inner}</${tag}>` : `<${tag}/>`;
+    }
+
+    if (part === null) return null;
+    message += part;
+  }
+
+  return message;
+}
+
+/**
+ * Index translator comments by the line they end on
+ * @param {Object[]} comments - Babel comment nodes
+ * @returns {Map<number, { text: string, column: number }>}
+ */
+function indexTranslatorComments(comments = []) {
+  const byLine = new Map();
+
+  for (const comment of comments) {
+    const value = comment.value.replace(/^\*+/, '').trim();
+    if (!TRANSLATOR_COMMENT_PATTERN.test(value)) continue;
+
+    byLine.set(comment.loc.end.line, {
+      text: value.replace(TRANSLATOR_COMMENT_PATTERN, '').trim(),
+      column: comment.loc.end.column,
     });
+  }
 
-    const traverseFn = traverse.default || traverse;
-
-    // Track which variable names are bound to which namespace
-    // e.g., { t: 'cart' } means t() calls belong to 'cart' namespace
-    const tBindings = new Map();
-    let defaultNamespace = DEFAULT_NAMESPACE;
-
-    traverseFn(ast, {
-      // Detect: const { t } = useTranslation('namespace')
-      // or: const { t: translate } = useTranslation('namespace')
-      VariableDeclarator(path) {
-        const init = path.node.init;
-        if (init?.type === 'CallExpression' && init.callee?.name === 'useTranslation') {
-          // Get namespace from argument (default: 'common')
-          const namespace = init.arguments[0]?.value || DEFAULT_NAMESPACE;
-
-          // Get the destructured 't' variable name
-          const id = path.node.id;
-          if (id.type === 'ObjectPattern') {
-            for (const prop of id.properties) {
-              // { t } or { t: customName }
-              const keyName = prop.key?.name;
-              const localName = prop.value?.name || prop.key?.name;
-
-              if (keyName === 't') {
-                tBindings.set(localName, namespace);
-              }
-            }
-          }
-        }
-      },
-
-      // Detect t() calls
-      CallExpression(path) {
-        const calleeName = path.node.callee.name;
-
-        // Check if this is a bound t function
-        if (tBindings.has(calleeName)) {
-          const namespace = tBindings.get(calleeName);
-          const firstArg = path.node.arguments[0];
-
-          if (firstArg?.type === 'StringLiteral') {
-            if (!namespaceMessages.has(namespace)) {
-              namespaceMessages.set(namespace, new Set());
-            }
-            namespaceMessages.get(namespace).add(firstArg.value);
+  return byLine;
+}
+
+/**
+ * Take the translator comment for a call: on the same line before it, or on the line above
+ * Each comment applies only to the first call that follows it
+ * @param {Map<number, { text: string, column: number }>} commentsByLine
+ * @param {Object} node - Babel AST node of the call
+ * @returns {string | undefined} Comment text
+ */
+function takeTranslatorComment(commentsByLine, node) {
+  const { line, column } = node.loc.start;
+  const sameLine = commentsByLine.get(line);
+  const commentLine = sameLine && sameLine.column <= column ? line : line - 1;
+  const comment = commentsByLine.get(commentLine);
+
+  if (!comment) return undefined;
+
+  commentsByLine.delete(commentLine);
+  return comment.text;
+}
+
+/**
+ * Find translatable messages in source code with namespace detection
+ * Detects:
+ * - const { t, pt } = useTranslation('namespace') / await getTranslation(locale, 'namespace')
+ * - import { t as translate } from 'text-intl'
+ * - const i18n = useTranslation('namespace'); i18n.t(…)
+ * - t(…), pt(…) (default namespace)
+ * - Member calls listed by their full name in functions / contextFunctions, e.g. props.t(…)
+ * - Core t(text, values, 'namespace' | { namespace, context }) and pt(context, text, values, 'namespace')
+ * - Text given as a literal, a template literal or a concatenation of constants
+ * t() / pt() from a hook always use the hook's namespace, like at runtime: a namespace option
+ * is ignored with a warning
+ * Shared by extract, the build plugin (cli/plugin.js) and validate --source
+ * @param {string} code - Source code
+ * @param {{ functions?: string[], contextFunctions?: string[] }} [options] - Names of t() / pt()
+ *   style functions (default: ['t'] / ['pt'], see config.extract)
+ * @returns {{
+ *   messages: Array<{ namespace: string, text: string, context?: string, node: Object, textNode: Object | null, valuesNode: Object | null }>,
+ *   dynamic: Array<{ namespace: string | null, node: Object, reason: string }>,
+ *   warnings: Array<{ namespace: string | null, node: Object, reason: string }>,
+ *   comments: Object[]
+ * }} Messages in source order; textNode is the expression holding the text (null for <Trans>),
+ *   valuesNode the values argument; dynamic lists calls that cannot be resolved statically,
+ *   warnings calls that are extracted but have arguments the runtime ignores
+ * @throws {SyntaxError} If the code cannot be parsed
+ */
+export function findMessages(code, options = {}) {
+  const functions = new Set(options.functions ?? DEFAULT_FUNCTIONS);
+  const contextFunctions = new Set(options.contextFunctions ?? DEFAULT_CONTEXT_FUNCTIONS);
+  const messages = [];
+  const dynamic = [];
+  const warnings = [];
+  const ast = parse(code, {
+    sourceType: 'module',
+    plugins: ['typescript', 'jsx'],
+  });
+
+  const traverseFn = traverse.default || traverse;
+
+  // Track which variable names are bound to which namespace (null: not static)
+  // e.g., { t: 'cart' } means t() calls belong to 'cart' namespace
+  const tBindings = new Map();
+  // Same for pt() (context-first variant)
+  const ptBindings = new Map();
+  // const i18n = useTranslation('cart') → i18n.t() / i18n.pt()
+  const objectBindings = new Map();
+  // Names of t() / pt() bound by a hook (not imported from text-intl)
+  const hookBindings = new Set();
+  const defaultNamespace = DEFAULT_NAMESPACE;
+
+  traverseFn(ast, {
+    // Detect: import { t as translate, pt } from 'text-intl'
+    ImportDeclaration(path) {
+      if (!/^text-intl(\/|$)/.test(path.node.source.value)) return;
+
+      for (const specifier of path.node.specifiers) {
+        const importedName = specifier.imported?.name;
+        if (importedName === 't') tBindings.set(specifier.local.name, defaultNamespace);
+        if (importedName === 'pt') ptBindings.set(specifier.local.name, defaultNamespace);
+      }
+    },
+
+    // Detect: const { t } = useTranslation('namespace')
+    // or: const { t: translate } = await getTranslation(locale, 'namespace')
+    // or: const i18n = useTranslation('namespace')
+    VariableDeclarator(path) {
+      let init = path.get('init');
+      if (init.node?.type === 'AwaitExpression') init = init.get('argument');
+      if (init.node?.type !== 'CallExpression') return;
+
+      const hookName = init.node.callee?.name;
+      if (!Object.hasOwn(TRANSLATION_HOOKS, hookName)) return;
+
+      // Get namespace from argument (default: 'common')
+      const namespaceArg = init.get('arguments')[TRANSLATION_HOOKS[hookName]];
+      const namespace = namespaceArg ? (getStaticString(namespaceArg) ?? null) : defaultNamespace;
+
+      const id = path.node.id;
+      if (id.type === 'Identifier') {
+        objectBindings.set(id.name, namespace);
+      } else if (id.type === 'ObjectPattern') {
+        for (const prop of id.properties) {
+          // { t } or { t: customName }
+          const keyName = prop.key?.name;
+          const localName = prop.value?.name || prop.key?.name;
+
+          if (keyName === 't') {
+            tBindings.set(localName, namespace);
+            hookBindings.add(localName);
+          } else if (keyName === 'pt') {
+            ptBindings.set(localName, namespace);
+            hookBindings.add(localName);
           }
         }
+      }
+    },
+
+    // Detect <Trans>…</Trans> and <T>…</T>
+    JSXElement(path) {
+      const opening = path.node.openingElement;
+      if (opening.name.type !== 'JSXIdentifier' || !TRANS_COMPONENTS.has(opening.name.name)) {
+        return;
+      }
+
+      const namespace = getJSXStringAttribute(opening, 'namespace') ?? defaultNamespace;
+      const message = serializeJSXChildren(path.node.children, { index: 0 });
+      if (message === null) {
+        dynamic.push({
+          namespace,
+          node: path.node,
+          reason: `<${opening.name.name}> has dynamic children, use {{ name }} placeholders instead`,
+        });
+        return;
+      }
+      if (!message) return;
+
+      messages.push({
+        namespace,
+        text: message,
+        context: getJSXStringAttribute(opening, 'context'),
+        node: path.node,
+        textNode: null,
+        valuesNode: null,
+      });
+    },
+
+    // Detect t() and pt() calls
+    CallExpression(path) {
+      const { callee } = path.node;
+      const args = path.get('arguments');
+      let name;
+      let namespace;
+      let hookBound = false;
+
+      if (callee.type === 'Identifier' && tBindings.has(callee.name)) {
+        name = 't';
+        namespace = tBindings.get(callee.name);
+        hookBound = hookBindings.has(callee.name);
+      } else if (callee.type === 'Identifier' && ptBindings.has(callee.name)) {
+        name = 'pt';
+        namespace = ptBindings.get(callee.name);
+        hookBound = hookBindings.has(callee.name);
+      } else if (callee.type === 'Identifier') {
         // Fallback: bare t() call without useTranslation (use default namespace)
-        else if (calleeName === 't') {
-          const firstArg = path.node.arguments[0];
-
-          if (firstArg?.type === 'StringLiteral') {
-            if (!namespaceMessages.has(defaultNamespace)) {
-              namespaceMessages.set(defaultNamespace, new Set());
-            }
-            namespaceMessages.get(defaultNamespace).add(firstArg.value);
-          }
+        name = callee.name;
+        namespace = defaultNamespace;
+      } else if (
+        callee.type === 'MemberExpression' &&
+        !callee.computed &&
+        callee.property.type === 'Identifier'
+      ) {
+        const objectName = callee.object.type === 'Identifier' ? callee.object.name : undefined;
+        if (objectBindings.has(objectName)) {
+          // i18n.t() on the result of useTranslation / getTranslation
+          name = callee.property.name;
+          namespace = objectBindings.get(objectName);
+          hookBound = true;
+        } else {
+          // props.t(), this.t(): only when configured, other objects may have unrelated t()
+          name = getCalleeName(callee);
+          if (!functions.has(name) && !contextFunctions.has(name)) return;
+          namespace = defaultNamespace;
         }
-      },
-    });
+      } else {
+        return;
+      }
+
+      const isContext = name === 'pt' || contextFunctions.has(name);
+      if (!isContext && name !== 't' && !functions.has(name)) return;
+
+      // t(text, values?, namespace | { namespace?, context? }) / pt(context, text, values?, namespace?)
+      const [textArg, valuesArg, optionsArg] = isContext ? args.slice(1) : args;
+      if (!textArg) return;
+
+      const options = getCallOptions(optionsArg);
+      if (options.namespace !== undefined && hookBound) {
+        warnings.push({
+          namespace,
+          node: path.node,
+          reason: `namespace option ignored, ${name}() from a hook always uses the hook's namespace`,
+        });
+      } else if (options.namespace !== undefined) {
+        namespace = options.namespace;
+      }
+
+      const text = getStaticString(textArg);
+      const context = isContext ? getStaticString(args[0]) : options.context;
+
+      let reason;
+      if (text === undefined) reason = 'text is not a static string';
+      else if (options.dynamic) reason = 'options are not static';
+      else if (isContext ? context === undefined : context === null) {
+        reason = 'context is not a static string';
+      } else if (namespace === null) reason = 'namespace is not a static string';
+
+      if (reason) {
+        dynamic.push({ namespace, node: path.node, reason });
+        return;
+      }
+
+      messages.push({
+        namespace,
+        text,
+        context,
+        node: path.node,
+        textNode: textArg.node,
+        valuesNode: valuesArg?.node ?? null,
+      });
+    },
+  });
+
+  return { messages, dynamic, warnings, comments: ast.comments };
+}
+
+/**
+ * Extract t() and pt() calls from a file
+ * Messages with context are collected as meta keys ("context\u0004text")
+ * Calls that cannot be resolved statically are skipped with a warning
+ * @param {string} filePath - Absolute file path
+ * @param {string} cwd - Base directory for source references
+ * @param {Object} [options] - config.extract (function names)
+ * @param {string} [code] - File content (read from filePath if omitted)
+ * @returns {Map<string, Map<string, { references: Set<string>, comments: Set<string> }>>}
+ */
+function extractFromFile(
+  filePath,
+  cwd = process.cwd(),
+  options = {},
+  code = readFileSync(filePath, 'utf-8')
+) {
+  const relativePath = relative(cwd, filePath).split(sep).join('/');
+  // Map: namespace -> Map of message key -> notes
+  const namespaceMessages = new Map();
+
+  try {
+    const { messages: found, dynamic, warnings, comments } = findMessages(code, options);
+    const commentsByLine = indexTranslatorComments(comments);
+
+    for (const { node, reason } of dynamic) {
+      console.warn(`⚠️  ${relativePath}:${node.loc.start.line} skipped, ${reason}`);
+    }
+    for (const { node, reason } of warnings) {
+      console.warn(`⚠️  ${relativePath}:${node.loc.start.line} ${reason}`);
+    }
+
+    for (const { namespace, text, context, node } of found) {
+      if (!namespaceMessages.has(namespace)) {
+        namespaceMessages.set(namespace, new Map());
+      }
+      const messages = namespaceMessages.get(namespace);
+      const key = getMessageKey(text, context);
+
+      if (!messages.has(key)) {
+        messages.set(key, { references: new Set(), comments: new Set() });
+      }
+      const notes = messages.get(key);
+      notes.references.add(`${relativePath}:${node.loc.start.line}`);
+
+      const comment = takeTranslatorComment(commentsByLine, node);
+      if (comment) {
+        notes.comments.add(comment);
+      }
+    }
   } catch (error) {
     console.warn(`Failed to parse ${filePath}:`, error.message);
   }
@@ -106,38 +510,109 @@ function extractFromFile(filePath) {
 }
 
 /**
- * Extract messages from all files (namespace-aware)
+ * Find the source files to scan (config.include minus config.exclude)
+ * @param {Object} config - i18n configuration
+ * @param {string} [cwd] - Project root
+ * @returns {Promise<string[]>} Absolute paths
  */
-export async function extractMessages(config, cwd = process.cwd()) {
-  const messagesDir = resolve(cwd, config.messagesDir);
-
-  // Find all source files
-  const files = await glob(config.include, {
+export function findSourceFiles(config, cwd = process.cwd()) {
+  return glob(config.include, {
     cwd,
     ignore: config.exclude || [],
     absolute: true,
   });
+}
+
+/**
+ * Extract messages from all files (namespace-aware)
+ * Source texts edited into near matches keep their translations, flagged in {namespace}.fuzzy.json
+ * Texts no longer found are moved to {namespace}.obsolete.json, and restored if they reappear
+ * Files whose content is unchanged are not written again
+ * @param {Object} config - i18n configuration
+ * @param {string} [cwd] - Project root
+ * @param {Object} [options]
+ * @param {string[]} [options.merge] - Runtime missing-translation reports to include
+ * @param {boolean} [options.interactive] - Ask before carrying translations over to edited texts
+ * @param {boolean} [options.prune] - Delete texts no longer found (and the archive) instead of archiving them
+ * @param {ReturnType<typeof import('./incremental.js').createExtractCache>} [options.cache] -
+ *   Only parse source files whose content changed since the cached run
+ */
+export async function extractMessages(config, cwd = process.cwd(), options = {}) {
+  const messagesDir = resolve(cwd, config.messagesDir);
+  const files = await findSourceFiles(config, cwd);
+  const { cache } = options;
+  let parsedCount = 0;
+  let writtenCount = 0;
+  const write = (path, content) => {
+    const changed = writeFileIfChanged(path, content);
+    if (changed) writtenCount++;
+    return changed;
+  };
 
   // Collect all messages by namespace
-  // Map: namespace -> Set of messages
+  // Map: namespace -> Map of message key -> notes (references, comments)
   const allNamespaceMessages = new Map();
 
   for (const file of files) {
-    const namespaceMessages = extractFromFile(file);
+    let namespaceMessages;
+
+    if (cache) {
+      const code = readFileSync(file, 'utf-8');
+      const hash = hashContent(code);
+      const cached = cache.files.get(file);
+
+      if (cached?.hash === hash) {
+        namespaceMessages = deserializeMessages(cached.messages);
+      } else {
+        namespaceMessages = extractFromFile(file, cwd, config.extract, code);
+        cache.files.set(file, { hash, messages: serializeMessages(namespaceMessages) });
+        parsedCount++;
+      }
+    } else {
+      namespaceMessages = extractFromFile(file, cwd, config.extract);
+      parsedCount++;
+    }
 
     for (const [namespace, messages] of namespaceMessages) {
       if (!allNamespaceMessages.has(namespace)) {
-        allNamespaceMessages.set(namespace, new Set());
+        allNamespaceMessages.set(namespace, new Map());
       }
-      for (const msg of messages) {
-        allNamespaceMessages.get(namespace).add(msg);
+      const merged = allNamespaceMessages.get(namespace);
+
+      for (const [key, notes] of messages) {
+        if (!merged.has(key)) {
+          merged.set(key, { references: new Set(), comments: new Set() });
+        }
+        notes.references.forEach((ref) => merged.get(key).references.add(ref));
+        notes.comments.forEach((comment) => merged.get(key).comments.add(comment));
       }
     }
   }
 
+  // Forget files that are gone or no longer included
+  if (cache) {
+    const included = new Set(files);
+    for (const file of cache.files.keys()) {
+      if (!included.has(file)) cache.files.delete(file);
+    }
+    saveExtractCache(cache);
+  }
+
+  // Merge missing translations reported at runtime (createMissingTranslationCollector)
+  for (const reportPath of options.merge || []) {
+    mergeRuntimeReport(allNamespaceMessages, resolve(cwd, reportPath));
+  }
+
+  // Edited source texts: namespace → added key → { from: removed key, fuzzy }
+  const renames = await resolveRenames(allNamespaceMessages, messagesDir, config, options);
+
   // Update each locale's namespace files
   let newCount = 0;
   let totalMessages = 0;
+  let archivedCount = 0;
+  let restoredCount = 0;
+  let prunedCount = 0;
+  let metaChanged = false;
 
   for (const locale of config.locales) {
     // Ensure locale directory exists: messages/ko/, messages/en/
@@ -167,19 +642,46 @@ export async function extractMessages(config, cwd = process.cwd()) {
       // Build source-to-hash and hash-to-translation maps
       const updatedMeta = { ...existingMeta };
       const updatedMessages = {};
+      const fuzzyPath = resolve(localeDir, `${namespace}.fuzzy.json`);
+      const fuzzy = existsSync(fuzzyPath) ? JSON.parse(readFileSync(fuzzyPath, 'utf-8')) : {};
+      const obsoletePath = resolve(localeDir, `${namespace}.obsolete.json`);
+      let obsolete = existsSync(obsoletePath)
+        ? JSON.parse(readFileSync(obsoletePath, 'utf-8'))
+        : {};
+      // Texts and archive entries are counted once, in the source locale
+      const countFor = locale === config.sourceLocale ? 1 : 0;
+      if (options.prune) {
+        prunedCount += countFor * Object.keys(obsolete).length;
+        obsolete = {};
+      }
 
-      for (const sourceText of messages) {
+      for (const sourceText of messages.keys()) {
         // Check if we already have a hash for this source text
         let hash = existingMeta[sourceText];
+        const { text, context } = parseMessageKey(sourceText);
+
+        // Restore an archived text with its hash and translation
+        if (!hash && obsolete[sourceText]) {
+          const archived = obsolete[sourceText];
+          hash = archived.hash;
+          existingMessages[hash] = archived.translation;
+          if (archived.fuzzy) fuzzy[sourceText] = archived.fuzzy;
+          delete obsolete[sourceText];
+          restoredCount += countFor;
+        }
 
         if (!hash) {
           // Generate new hash
-          hash = generateMessageHash(sourceText);
+          hash = generateMessageHash(text, context);
 
           // Handle hash collision (unlikely but possible)
           let attempts = 0;
-          while (Object.values(updatedMeta).includes(hash) && attempts < 100) {
-            hash = generateMessageHash(sourceText + attempts);
+          while (
+            (Object.values(updatedMeta).includes(hash) ||
+              Object.values(obsolete).some((archived) => archived.hash === hash)) &&
+            attempts < 100
+          ) {
+            hash = generateMessageHash(text + attempts, context);
             attempts++;
           }
 
@@ -191,17 +693,27 @@ export async function extractMessages(config, cwd = process.cwd()) {
 
         // Update message translation
         // If translation exists, preserve it; otherwise set to source for sourceLocale
-        const existingTranslation = existingMessages[hash];
+        // or carry over the translation of the text it was edited from
+        let existingTranslation = existingMessages[hash];
+        const rename = renames.get(namespace)?.get(sourceText);
+        if (existingTranslation === undefined && rename && locale !== config.sourceLocale) {
+          const previous = existingMessages[existingMeta[rename.from]];
+          if (previous) {
+            existingTranslation = previous;
+            if (rename.fuzzy) fuzzy[sourceText] = { previous: parseMessageKey(rename.from).text };
+          }
+        }
         updatedMessages[hash] =
           existingTranslation !== undefined
             ? existingTranslation
             : locale === config.sourceLocale
-              ? sourceText
+              ? text
               : '';
       }
 
       // Remove deleted messages (messages not in current extraction)
-      // Clean up meta entries that are no longer in source
+      // Clean up meta entries that are no longer in source, archiving them unless pruning
+      const archivedAt = new Date().toISOString();
       for (const sourceText of Object.keys(existingMeta)) {
         if (!messages.has(sourceText)) {
           delete updatedMeta[sourceText];
@@ -210,6 +722,18 @@ export async function extractMessages(config, cwd = process.cwd()) {
           if (oldHash && updatedMessages[oldHash] === undefined) {
             delete updatedMessages[oldHash];
           }
+
+          if (options.prune) {
+            prunedCount += countFor;
+          } else if (oldHash) {
+            obsolete[sourceText] = {
+              hash: oldHash,
+              translation: existingMessages[oldHash] ?? '',
+              ...(fuzzy[sourceText] ? { fuzzy: fuzzy[sourceText] } : {}),
+              archivedAt,
+            };
+            archivedCount += countFor;
+          }
         }
       }
 
@@ -221,7 +745,9 @@ export async function extractMessages(config, cwd = process.cwd()) {
           return acc;
         }, {});
 
-      writeFileSync(metaPath, JSON.stringify(sortedMeta, null, 2) + '\n', 'utf-8');
+      if (write(metaPath, JSON.stringify(sortedMeta, null, 2) + '\n')) {
+        metaChanged = true;
+      }
 
       // Write messages file (sorted by hash)
       const sortedMessages = Object.keys(updatedMessages)
@@ -231,7 +757,24 @@ export async function extractMessages(config, cwd = process.cwd()) {
           return acc;
         }, {});
 
-      writeFileSync(namespacePath, JSON.stringify(sortedMessages, null, 2) + '\n', 'utf-8');
+      write(namespacePath, JSON.stringify(sortedMessages, null, 2) + '\n');
+
+      // Translations to review, kept until translate or a reviewer removes the entry
+      if (writeFuzzy(fuzzyPath, fuzzy, messages)) writtenCount++;
+      if (writeObsolete(obsoletePath, obsolete)) writtenCount++;
+
+      // Write pre-parsed ICU messages for the runtime (optional)
+      if (
+        config.precompile &&
+        writeCompiledMessages(resolve(localeDir, `${namespace}.ast.json`), sortedMessages, locale)
+      ) {
+        writtenCount++;
+      }
+
+      // Write notes sidecar (source references + translator comments) for the source locale
+      if (locale === config.sourceLocale) {
+        if (writeNotes(resolve(localeDir, `${namespace}.notes.json`), messages)) writtenCount++;
+      }
     }
   }
 
@@ -242,157 +785,194 @@ export async function extractMessages(config, cwd = process.cwd()) {
   }
 
   // Generate TypeScript types from meta files
-  generateTypes(config, messagesDir);
+  // With a cache, only when the key sets changed (or on its first run)
+  if (!cache || metaChanged || !cache.typesGenerated) {
+    generateTypes(config, cwd);
+    if (cache) cache.typesGenerated = true;
+  }
 
   return {
     total: totalMessages,
     new: newCount,
+    archived: archivedCount,
+    restored: restoredCount,
+    pruned: prunedCount,
+    parsed: parsedCount,
+    written: writtenCount,
     namespaces: namespaces,
   };
 }
 
 /**
- * Generate TypeScript types from meta files
- * @param {Object} config - i18n configuration
- * @param {string} messagesDir - Messages directory path
+ * Add messages from a runtime missing-translation report
+ * Report structure: { version: 1, missing: [{ namespace, text, context?, locales, count }] }
+ * Messages the static extractor did not find get a "runtime" reference in notes
+ * @param {Map<string, Map<string, { references: Set<string>, comments: Set<string> }>>} allNamespaceMessages
+ * @param {string} reportPath - Path to the report JSON
  */
-function generateTypes(config, messagesDir) {
-  const sourceLocale = config.sourceLocale;
-  const sourceLocaleDir = resolve(messagesDir, sourceLocale);
-
-  if (!existsSync(sourceLocaleDir)) {
+function mergeRuntimeReport(allNamespaceMessages, reportPath) {
+  if (!existsSync(reportPath)) {
+    console.warn(`⚠️  Runtime report not found: ${reportPath}`);
     return;
   }
 
-  // Collect all message keys from meta files
-  const namespaces = {};
-
-  const files = readdirSync(sourceLocaleDir);
-
-  for (const file of files) {
-    if (!file.endsWith('.meta.json')) continue;
+  const report = JSON.parse(readFileSync(reportPath, 'utf-8'));
+  let added = 0;
 
-    const namespace = file.replace('.meta.json', '');
-    const metaPath = resolve(sourceLocaleDir, file);
+  for (const { namespace = DEFAULT_NAMESPACE, text, context } of report.missing || []) {
+    if (typeof text !== 'string' || !text) continue;
 
-    if (!existsSync(metaPath)) continue;
+    if (!allNamespaceMessages.has(namespace)) {
+      allNamespaceMessages.set(namespace, new Map());
+    }
+    const messages = allNamespaceMessages.get(namespace);
+    const key = getMessageKey(text, context);
 
-    const meta = JSON.parse(readFileSync(metaPath, 'utf-8'));
-    namespaces[namespace] = Object.keys(meta);
+    if (!messages.has(key)) {
+      messages.set(key, { references: new Set(['runtime']), comments: new Set() });
+      added++;
+    }
   }
 
-  if (Object.keys(namespaces).length === 0) {
-    return;
-  }
+  console.log(`➕ Merged ${added} runtime message(s) from ${reportPath}`);
+}
 
-  // Analyze each message to extract parameters
-  const messageParams = {};
-  for (const [namespace, keys] of Object.entries(namespaces)) {
-    messageParams[namespace] = {};
-    for (const key of keys) {
-      messageParams[namespace][key] = extractParameters(key);
+/**
+ * Pair removed source texts with the added texts they were edited into (see fuzzy.js)
+ * Pairs come from the source locale's meta files, so every locale carries over the same texts
+ * In interactive mode each pair is confirmed: y (translations are still correct), f (carry them
+ * over to review, the default) or n (translate from scratch)
+ * @param {Map<string, Map<string, Object>>} allNamespaceMessages
+ * @param {string} messagesDir - Absolute messages directory
+ * @param {Object} config - i18n configuration (config.extract.fuzzyThreshold, false to disable)
+ * @param {{ interactive?: boolean }} options
+ * @returns {Promise<Map<string, Map<string, { from: string, fuzzy: boolean }>>>}
+ */
+async function resolveRenames(allNamespaceMessages, messagesDir, config, options) {
+  const threshold = config.extract?.fuzzyThreshold ?? DEFAULT_FUZZY_THRESHOLD;
+  const renames = new Map();
+  if (threshold === false) return renames;
+
+  let prompt = null;
+  if (options.interactive) {
+    if (process.stdin.isTTY) {
+      prompt = createInterface({ input: process.stdin, output: process.stdout });
+    } else {
+      console.warn('⚠️  --interactive needs a terminal, edited texts are flagged fuzzy instead');
     }
   }
 
-  // Generate TypeScript union types
-  let typeDefinition = `/**
- * Auto-generated types for i18n messages
- * Do not edit manually - generated from meta files
- */
-
-import type { TagHandler } from '@unknown/i18n';
-
-export type Locale = ${config.locales.map((l) => `'${l}'`).join(' | ')};
-
-`;
-
-  for (const [namespace, keys] of Object.entries(namespaces)) {
-    const sortedKeys = keys.sort();
-    const typeLines = sortedKeys.map((key) => {
-      // Escape special characters for TypeScript string literals
-      const escaped = key
-        .replace(/\\/g, '\\\\')
-        .replace(/'/g, "\\'")
-        .replace(/\n/g, '\\n')
-        .replace(/\r/g, '\\r');
-      return `  | '${escaped}'`;
-    });
-
-    const capitalizedNamespace = namespace.charAt(0).toUpperCase() + namespace.slice(1);
-    typeDefinition += `export type ${capitalizedNamespace}MessageKey =\n${typeLines.join('\n')};\n\n`;
-  }
+  try {
+    for (const [namespace, messages] of allNamespaceMessages) {
+      const metaPath = resolve(messagesDir, config.sourceLocale, `${namespace}.meta.json`);
+      if (!existsSync(metaPath)) continue;
+
+      const meta = JSON.parse(readFileSync(metaPath, 'utf-8'));
+      // Archived texts are restored as they were
+      const obsoletePath = resolve(messagesDir, config.sourceLocale, `${namespace}.obsolete.json`);
+      const obsolete =
+        existsSync(obsoletePath) && !options.prune
+          ? JSON.parse(readFileSync(obsoletePath, 'utf-8'))
+          : {};
+      const removed = Object.keys(meta).filter((key) => !messages.has(key));
+      const added = Array.from(messages.keys()).filter((key) => !meta[key] && !obsolete[key]);
+      const resolved = new Map();
+
+      for (const { from, to, similarity } of findRenames(removed, added, threshold)) {
+        const label = `"${parseMessageKey(from).text}" → "${parseMessageKey(to).text}"`;
+        let answer = 'f';
+
+        if (prompt) {
+          console.log(`\n✏️  [${namespace}] ${label} (${Math.round(similarity * 100)}% similar)`);
+          answer = (await prompt.question('   Keep translations? [y]es / [f]uzzy / [n]o (f): '))
+            .trim()
+            .toLowerCase()
+            .charAt(0);
+        } else {
+          console.log(`✏️  [${namespace}] ${label}: translations carried over as fuzzy`);
+        }
 
-  // Generate namespace type
-  typeDefinition += `export type Namespace = ${Object.keys(namespaces)
-    .map((n) => `'${n}'`)
-    .join(' | ')};\n\n`;
-
-  // Generate parameter types for each message
-  typeDefinition += `export type MessageParams<T extends string> = \n`;
-  for (const [namespace, keys] of Object.entries(namespaces)) {
-    for (const key of keys) {
-      const params = messageParams[namespace][key];
-      const escaped = key
-        .replace(/\\/g, '\\\\')
-        .replace(/'/g, "\\'")
-        .replace(/\n/g, '\\n')
-        .replace(/\r/g, '\\r');
-
-      if (params.variables.length === 0 && params.tags.length === 0) {
-        typeDefinition += `  T extends '${escaped}' ? undefined :\n`;
-      } else {
-        const varTypes = params.variables.map((v) => `${v}: string | number | Date | boolean`);
-        const tagTypes = params.tags.map((t) => `${t}?: TagHandler`);
-        const allTypes = [...varTypes, ...tagTypes].join('; ');
-        typeDefinition += `  T extends '${escaped}' ? { ${allTypes} } :\n`;
+        if (answer !== 'n') resolved.set(to, { from, fuzzy: answer !== 'y' });
       }
+      renames.set(namespace, resolved);
     }
+  } finally {
+    prompt?.close();
   }
-  typeDefinition += `  Record<string, unknown>;\n`;
-
-  // Write to file
-  const outputPath = resolve(messagesDir, 'types.ts');
-  writeFileSync(outputPath, typeDefinition, 'utf-8');
 
-  console.log(`✅ Generated types: ${outputPath}`);
+  return renames;
 }
 
 /**
- * Extract parameters (variables and tags) from a message
- * @param {string} text - Message text
- * @returns {{ variables: string[], tags: string[] }}
+ * Write the fuzzy sidecar file of a target locale's namespace (removed when empty)
+ * Structure: { sourceText: { previous: "source text the translation was made for" } }
+ * @param {string} fuzzyPath - Path to {namespace}.fuzzy.json
+ * @param {Record<string, { previous: string }>} fuzzy - Existing and new entries
+ * @param {Map<string, Object>} messages - Current messages (entries of removed texts are dropped)
+ * @returns {boolean} Whether the file changed
  */
-function extractParameters(text) {
-  const variables = new Set();
-  const tags = new Set();
-
-  // Extract ICU variables: {var, type, ...}
-  const icuRegex = /\{(\w+)\s*,\s*(plural|select|selectordinal|number|date|time)/g;
-  let match;
-  while ((match = icuRegex.exec(text)) !== null) {
-    variables.add(match[1]);
+function writeFuzzy(fuzzyPath, fuzzy, messages) {
+  const keys = Object.keys(fuzzy)
+    .filter((key) => messages.has(key))
+    .sort();
+
+  if (keys.length === 0) {
+    if (!existsSync(fuzzyPath)) return false;
+    unlinkSync(fuzzyPath);
+    return true;
   }
 
-  // Remove ICU blocks to avoid extracting nested variables
-  let cleanedText = text.replace(
-    /\{(\w+)\s*,\s*(plural|select|selectordinal|number|date|time)\s*,[\s\S]*?\}/g,
-    ''
-  );
+  const sorted = keys.reduce((acc, key) => {
+    acc[key] = fuzzy[key];
+    return acc;
+  }, {});
+  return writeFileIfChanged(fuzzyPath, JSON.stringify(sorted, null, 2) + '\n');
+}
 
-  // Extract simple variables: {var}
-  const simpleVarRegex = /\{(\w+)\}/g;
-  while ((match = simpleVarRegex.exec(cleanedText)) !== null) {
-    variables.add(match[1]);
+/**
+ * Write the obsolete archive of a locale's namespace (removed when empty)
+ * Structure: { sourceText: { hash, translation, fuzzy?, archivedAt } }
+ * @param {string} obsoletePath - Path to {namespace}.obsolete.json
+ * @param {Record<string, Object>} obsolete - Archived entries
+ * @returns {boolean} Whether the file changed
+ */
+function writeObsolete(obsoletePath, obsolete) {
+  const keys = Object.keys(obsolete).sort();
+
+  if (keys.length === 0) {
+    if (!existsSync(obsoletePath)) return false;
+    unlinkSync(obsoletePath);
+    return true;
   }
 
-  // Extract tags: <tag>
-  const tagRegex = /<(\w+)>/g;
-  while ((match = tagRegex.exec(text)) !== null) {
-    tags.add(match[1]);
+  const sorted = keys.reduce((acc, key) => {
+    acc[key] = obsolete[key];
+    return acc;
+  }, {});
+  return writeFileIfChanged(obsoletePath, JSON.stringify(sorted, null, 2) + '\n');
+}
+
+/**
+ * Write the notes sidecar file for a namespace
+ * Structure: { sourceText: { references: ["src/App.tsx:12"], comments?: ["..."] } }
+ * @param {string} notesPath - Path to {namespace}.notes.json
+ * @param {Map<string, { references: Set<string>, comments: Set<string> }>} messages
+ * @returns {boolean} Whether the file changed
+ */
+function writeNotes(notesPath, messages) {
+  const notes = {};
+
+  for (const key of Array.from(messages.keys()).sort()) {
+    const { references, comments } = messages.get(key);
+    notes[key] = {
+      references: Array.from(references).sort((a, b) =>
+        a.localeCompare(b, undefined, { numeric: true })
+      ),
+    };
+    if (comments.size > 0) {
+      notes[key].comments = Array.from(comments);
+    }
   }
 
-  return {
-    variables: Array.from(variables),
-    tags: Array.from(tags),
-  };
+  return writeFileIfChanged(notesPath, JSON.stringify(notes, null, 2) + '\n');
 }
@@ -0,0 +1,59 @@
+/**
+ * Fallback chain helpers shared by CLI commands
+ * Mirrors getFallbackChain() in the runtime, so validate reports what t() would render
+ */
+
+/**
+ * Get the parent tags of a BCP 47 language tag, closest first
+ * @param {string} locale - e.g. "zh-Hant-TW"
+ * @returns {string[]} e.g. ["zh-Hant", "zh"]
+ */
+function getParentLocales(locale) {
+  const parents = [];
+  let index = locale.lastIndexOf('-');
+  while (index > 0) {
+    locale = locale.slice(0, index);
+    parents.push(locale);
+    index = locale.lastIndexOf('-');
+  }
+  return parents;
+}
+
+/**
+ * Normalize a fallback entry to an array
+ * @param {string | string[] | undefined} value
+ * @returns {string[]}
+ */
+function toLocaleList(value) {
+  if (!value) return [];
+  return typeof value === 'string' ? [value] : value;
+}
+
+/**
+ * Resolve the ordered list of locales to look up for a locale
+ * @param {string} locale - Requested locale
+ * @param {string | string[] | Record<string, string | string[]>} [fallbackLocale] - Fallback config
+ * @param {string[]} [locales] - Known locales; derived parent tags are only added when listed here
+ * @returns {string[]} Deduplicated chain starting with locale
+ */
+export function getFallbackChain(locale, fallbackLocale, locales = []) {
+  const isMap =
+    !!fallbackLocale && typeof fallbackLocale === 'object' && !Array.isArray(fallbackLocale);
+  const specific = isMap ? toLocaleList(fallbackLocale[locale]) : [];
+  const defaults = toLocaleList(isMap ? fallbackLocale.default : fallbackLocale);
+
+  const known = new Set(locales);
+  const chain = new Set();
+  const withParents = (tags) => {
+    for (const tag of tags) chain.add(tag);
+    for (const tag of tags) {
+      for (const parent of getParentLocales(tag)) {
+        if (known.has(parent)) chain.add(parent);
+      }
+    }
+  };
+
+  withParents([locale, ...specific]);
+  withParents(defaults);
+  return Array.from(chain);
+}
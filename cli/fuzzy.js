@@ -0,0 +1,105 @@
+/**
+ * Near-match detection between removed and added source texts
+ * Used by extract to carry translations over when a source text is edited (typo fixes, rewording)
+ */
+
+import { parseMessageKey } from './message-key.js';
+
+// Default similarity (0 - 1) above which a removed text is considered edited into an added one
+export const DEFAULT_FUZZY_THRESHOLD = 0.8;
+
+/**
+ * Levenshtein distance between two strings (two-row dynamic programming)
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function getEditDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const substitution = previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1);
+      current.push(Math.min(previous[j] + 1, current[j - 1] + 1, substitution));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Dice coefficient of the words of two strings (reordered sentences keep a high score)
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function getTokenSimilarity(a, b) {
+  const tokenize = (text) => text.toLowerCase().match(/[\p{L}\p{N}]+|\{[^}]*\}/gu) ?? [];
+  const left = tokenize(a);
+  const right = tokenize(b);
+  if (left.length === 0 || right.length === 0) return 0;
+
+  const counts = new Map();
+  for (const token of left) counts.set(token, (counts.get(token) ?? 0) + 1);
+
+  let shared = 0;
+  for (const token of right) {
+    if (counts.get(token) > 0) {
+      counts.set(token, counts.get(token) - 1);
+      shared++;
+    }
+  }
+  return (2 * shared) / (left.length + right.length);
+}
+
+/**
+ * Similarity of two source texts: the best of edit distance and word overlap
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} 0 (unrelated) - 1 (identical)
+ */
+export function getSimilarity(a, b) {
+  if (a === b) return 1;
+  const length = Math.max(a.length, b.length);
+  const edit = 1 - getEditDistance(a, b) / length;
+  return Math.max(edit, getTokenSimilarity(a, b));
+}
+
+/**
+ * Pair removed message keys with the added keys they were most likely edited into
+ * Only keys with the same context are paired, each key at most once (best matches first)
+ * @param {string[]} removed - Keys no longer found in source
+ * @param {string[]} added - Keys not in the catalog yet
+ * @param {number} [threshold] - Lowest similarity to pair (default: 0.8)
+ * @returns {Array<{ from: string, to: string, similarity: number }>}
+ */
+export function findRenames(removed, added, threshold = DEFAULT_FUZZY_THRESHOLD) {
+  const candidates = [];
+
+  for (const from of removed) {
+    const previous = parseMessageKey(from);
+    for (const to of added) {
+      const next = parseMessageKey(to);
+      if (previous.context !== next.context) continue;
+
+      // Texts of very different lengths are not edits of each other, skip the distance
+      const { length: a } = previous.text;
+      const { length: b } = next.text;
+      if (Math.min(a, b) / Math.max(a, b) < threshold / 2) continue;
+
+      const similarity = getSimilarity(previous.text, next.text);
+      if (similarity >= threshold) candidates.push({ from, to, similarity });
+    }
+  }
+
+  const renames = [];
+  const paired = new Set();
+  for (const candidate of candidates.sort((x, y) => y.similarity - x.similarity)) {
+    if (paired.has(candidate.from) || paired.has(candidate.to)) continue;
+    paired.add(candidate.from);
+    paired.add(candidate.to);
+    renames.push(candidate);
+  }
+  return renames;
+}
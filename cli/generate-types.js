@@ -1,61 +1,95 @@
 /**
  * Generate TypeScript types from meta files
+ * Used by `text-intl types` and after every extract
  */
 
-import { readFileSync, writeFileSync, existsSync, readdirSync } from 'fs';
-import { resolve } from 'path';
+import { readFileSync, existsSync, readdirSync } from 'fs';
+import { resolve, dirname, relative, sep } from 'path';
+import { writeFileIfChanged } from './incremental.js';
+import { parseMessageKey } from './message-key.js';
+import { parseMessage, getMessageParameters } from './icu.js';
+
+const HEADER = `/**
+ * Auto-generated types for i18n messages
+ * Do not edit manually - generated from meta files
+ */
+`;
 
 /**
  * Generate TypeScript types for i18n messages
+ * - Locale, Namespace and <Namespace>MessageKey unions
+ * - MessageCatalog: values of each message by namespace and source text (inferred from the ICU AST)
+ * - MessageParams<T>: values of a message by source text
+ * - Registration with text-intl/react (I18nRegister), so t() checks keys and values
  * @param {Object} config - i18n configuration
  * @param {string} cwd - Current working directory
+ * @param {Object} [options] - Overrides config.types
+ * @param {string} [options.output] - Output file (default: {messagesDir}/types.ts)
+ * @param {boolean} [options.register] - Augment I18nRegister in text-intl/react (default: true)
+ * @param {boolean} [options.split] - One file per namespace in {output without .ts}/{namespace}.ts
+ * @returns {string[]} Written files (empty if there are no meta files)
  */
-export function generateTypes(config, cwd = process.cwd()) {
+export function generateTypes(config, cwd = process.cwd(), options = {}) {
+  const { output, register = true, split = false } = { ...config.types, ...options };
   const messagesDir = resolve(cwd, config.messagesDir);
-  const sourceLocale = config.sourceLocale;
-  const sourceLocaleDir = resolve(messagesDir, sourceLocale);
+  const sourceLocaleDir = resolve(messagesDir, config.sourceLocale);
+  const outputPath = resolve(cwd, output ?? `${config.messagesDir}/types.ts`);
+
+  if (!existsSync(sourceLocaleDir)) {
+    return [];
+  }
 
   // Collect all message keys from meta files
   const namespaces = {};
 
-  // Read all namespaces from source locale
-  const files = readdirSync(sourceLocaleDir);
-
-  for (const file of files) {
+  for (const file of readdirSync(sourceLocaleDir).sort()) {
     if (!file.endsWith('.meta.json')) continue;
 
     const namespace = file.replace('.meta.json', '');
-    const metaPath = resolve(sourceLocaleDir, file);
-
-    if (!existsSync(metaPath)) continue;
-
-    const meta = JSON.parse(readFileSync(metaPath, 'utf-8'));
-    namespaces[namespace] = Object.keys(meta);
+    const meta = JSON.parse(readFileSync(resolve(sourceLocaleDir, file), 'utf-8'));
+    // Keys with context ("context\u0004text") share the same source text type
+    namespaces[namespace] = [
+      ...new Set(Object.keys(meta).map((key) => parseMessageKey(key).text)),
+    ].sort();
   }
 
-  // Generate TypeScript union types
-  let typeDefinition = `/**
- * Auto-generated types for i18n messages
- * Do not edit manually - generated from meta files
- */
-
-export type Locale = ${config.locales.map((l) => `'${l}'`).join(' | ')};
-
-`;
+  if (Object.keys(namespaces).length === 0) {
+    return [];
+  }
 
-  for (const [namespace, keys] of Object.entries(namespaces)) {
-    const sortedKeys = keys.sort();
-    const typeLines = sortedKeys.map((key) => {
-      // Escape special characters for TypeScript string literals
-      const escaped = key
-        .replace(/\\/g, '\\\\')
-        .replace(/'/g, "\\'")
-        .replace(/\n/g, '\\n')
-        .replace(/\r/g, '\\r');
-      return `  | '${escaped}'`;
-    });
-
-    typeDefinition += `export type ${capitalize(namespace)}MessageKey =\n${typeLines.join('\n')};\n\n`;
+  const written = [];
+  // Identical files are left untouched (see writeFileIfChanged)
+  const write = (path, content) => {
+    writeFileIfChanged(path, content);
+    written.push(path);
+  };
+
+  const localeType = `export type Locale = ${config.locales.map((l) => `'${l}'`).join(' | ')};\n\n`;
+  let typeDefinition = HEADER + '\n';
+
+  if (split) {
+    // output.ts + output/<namespace>.ts
+    const namespaceDir = outputPath.replace(/\.ts$/, '');
+    const importBase = `./${relative(dirname(outputPath), namespaceDir).split(sep).join('/')}`;
+
+    for (const [namespace, keys] of Object.entries(namespaces)) {
+      write(
+        resolve(namespaceDir, `${namespace}.ts`),
+        HEADER +
+          "\nimport type { TagHandler } from 'text-intl/react';\n\n" +
+          getNamespaceTypes(namespace, keys, config.sourceLocale)
+      );
+
+      const names = [getKeyTypeName(namespace), getValuesTypeName(namespace)];
+      typeDefinition += `import type { ${names.join(', ')} } from '${importBase}/${namespace}.js';\n`;
+      typeDefinition += `export type { ${names.join(', ')} };\n`;
+    }
+    typeDefinition += '\n' + localeType;
+  } else {
+    typeDefinition += "import type { TagHandler } from 'text-intl/react';\n\n" + localeType;
+    for (const [namespace, keys] of Object.entries(namespaces)) {
+      typeDefinition += getNamespaceTypes(namespace, keys, config.sourceLocale) + '\n';
+    }
   }
 
   // Generate namespace type
@@ -63,24 +97,126 @@ export type Locale = ${config.locales.map((l) => `'${l}'`).join(' | ')};
     .map((n) => `'${n}'`)
     .join(' | ')};\n\n`;
 
-  // Generate Messages type
-  typeDefinition += `export type Messages = {\n`;
-  typeDefinition += `  [L in Locale]: {\n`;
+  typeDefinition += `/**
+ * Values of each message by namespace and source text
+ * Tag handlers are optional, as they can also come from the provider's \`components\`
+ */
+export interface MessageCatalog {
+`;
   for (const namespace of Object.keys(namespaces)) {
-    typeDefinition += `    ${namespace}: Record<${capitalize(namespace)}MessageKey, string>;\n`;
+    typeDefinition += `  ${toPropertyName(namespace)}: ${getValuesTypeName(namespace)};\n`;
   }
-  typeDefinition += `  };\n`;
-  typeDefinition += `};\n`;
+  typeDefinition += `}\n\n`;
 
-  // Write to file
-  const outputPath = resolve(messagesDir, 'types.ts');
-  writeFileSync(outputPath, typeDefinition, 'utf-8');
+  typeDefinition += `export type MessageParams<T extends string> =\n`;
+  for (const namespace of Object.keys(namespaces)) {
+    typeDefinition += `  T extends ${getKeyTypeName(namespace)} ? ${getValuesTypeName(namespace)}[T] :\n`;
+  }
+  typeDefinition += `  Record<string, unknown>;\n`;
+
+  // Register with text-intl/react so t() checks keys and values
+  if (register) {
+    typeDefinition += `
+declare module 'text-intl/react' {
+  interface I18nRegister {
+    catalog: MessageCatalog;
+  }
+}
+`;
+  }
 
+  write(outputPath, typeDefinition);
   console.log(`✅ Generated types: ${outputPath}`);
+  if (split) {
+    console.log(`   + ${written.length - 1} namespace file(s)`);
+  }
+
+  return written;
+}
+
+/**
+ * Key union and values interface of a namespace
+ * @param {string} namespace
+ * @param {string[]} keys - Sorted source texts
+ * @param {string} locale - Locale used for parsing
+ * @returns {string}
+ */
+function getNamespaceTypes(namespace, keys, locale) {
+  const typeLines = keys.map((key) => `  | ${toTypeString(key)}`);
+  const valueLines = keys.map((key) => `  ${toTypeString(key)}: ${getParamsType(key, locale)};`);
+
+  return (
+    `export type ${getKeyTypeName(namespace)} =\n${typeLines.join('\n')};\n\n` +
+    `export interface ${getValuesTypeName(namespace)} {\n${valueLines.join('\n')}\n}\n`
+  );
+}
 
-  return outputPath;
+/**
+ * Escape a string as a TypeScript string literal
+ * @param {string} text
+ * @returns {string}
+ */
+function toTypeString(text) {
+  const escaped = text
+    .replace(/\\/g, '\\\\')
+    .replace(/'/g, "\\'")
+    .replace(/\n/g, '\\n')
+    .replace(/\r/g, '\\r');
+  return `'${escaped}'`;
+}
+
+/**
+ * Object type property name, quoted unless it is an identifier
+ * @param {string} name
+ * @returns {string}
+ */
+function toPropertyName(name) {
+  return /^[A-Za-z_$][\w$]*$/.test(name) ? name : toTypeString(name);
 }
 
-function capitalize(str) {
-  return str.charAt(0).toUpperCase() + str.slice(1);
+/**
+ * Type name prefix of a namespace: common → Common, user-settings → UserSettings
+ * @param {string} namespace
+ * @returns {string}
+ */
+function toTypeName(namespace) {
+  return namespace
+    .split(/[^A-Za-z0-9]+/)
+    .map((part) => part.charAt(0).toUpperCase() + part.slice(1))
+    .join('');
+}
+
+/** common → CommonMessageKey */
+function getKeyTypeName(namespace) {
+  return `${toTypeName(namespace)}MessageKey`;
+}
+
+/** common → CommonMessages */
+function getValuesTypeName(namespace) {
+  return `${toTypeName(namespace)}Messages`;
+}
+
+/**
+ * TypeScript type of the values a message takes
+ * Nested plural / select options are walked in the AST, so inner arguments are found too
+ * @param {string} text - Source text
+ * @param {string} locale - Locale used for parsing
+ * @returns {string} Object type, or undefined if the message takes no values
+ */
+function getParamsType(text, locale) {
+  let parameters;
+  try {
+    parameters = getMessageParameters(parseMessage(text, locale));
+  } catch {
+    // Invalid ICU (reported by validate): accept any values
+    return 'Record<string, unknown>';
+  }
+
+  const fields = [
+    ...Object.entries(parameters.variables).map(
+      ([name, type]) => `${toPropertyName(name)}: ${type}`
+    ),
+    ...parameters.tags.map((tag) => `${toPropertyName(tag)}?: TagHandler`),
+  ];
+  return fields.length === 0 ? 'undefined' : `{ ${fields.join('; ')} }`;
 }
@@ -0,0 +1,176 @@
+/**
+ * ICU message parsing shared by the CLI (precompile, types, validate)
+ */
+
+import { IntlMessageFormat } from 'intl-messageformat';
+
+// Opening, closing and self-closing tags: <b>, </b>, <br/>, <0>
+const TAG_PATTERN = /<(\/?)(\w+)\s*(\/?)>/g;
+
+// Same detection as the runtime: these messages are formatted with IntlMessageFormat
+const ICU_PATTERN = /\{\s*\w+\s*,\s*(plural|select|selectordinal|number|date|time)/;
+
+// IntlMessageFormat AST element types
+export const ELEMENT = {
+  literal: 0,
+  argument: 1,
+  number: 2,
+  date: 3,
+  time: 4,
+  select: 5,
+  plural: 6,
+  pound: 7,
+  tag: 8,
+};
+
+// TypeScript type of each argument kind; a more specific kind wins when a name is used twice
+const PARAMETER_TYPES = {
+  argument: 'string | number',
+  select: 'string',
+  date: 'Date | number',
+  number: 'number',
+};
+
+/**
+ * Rewrite tags into a form IntlMessageFormat parses as tags (same as normalizeTags() in the runtime):
+ * numeric tags (<0>) become <tag-0>, self-closing tags (<br/>) get a closing tag
+ * @param {string} message - ICU message
+ * @returns {string} Message to parse
+ */
+export function normalizeTags(message) {
+  return message.replace(TAG_PATTERN, (_, closing, name, selfClosing) => {
+    const tag = /^\d+$/.test(name) ? `tag-${name}` : name;
+    return selfClosing ? `<${tag}></${tag}>` : `<${closing}${tag}>`;
+  });
+}
+
+/**
+ * Parse a message into an IntlMessageFormat AST
+ * @param {string} message - ICU message
+ * @param {string} [locale] - Locale used for parsing
+ * @returns {unknown[]} AST
+ * @throws {Error} If the message is not valid ICU
+ */
+export function parseMessage(message, locale = 'en') {
+  return new IntlMessageFormat(normalizeTags(message), locale).getAst();
+}
+
+/**
+ * Parse a message with source offsets on every element (used to split it for CAT tools)
+ * IntlMessageFormat.__parse is the parser IntlMessageFormat itself uses
+ * @param {string} message - ICU message
+ * @returns {{ ast: unknown[], normalized: string }} Offsets refer to the normalized message
+ * @throws {Error} If the message is not valid ICU
+ */
+export function parseMessageLocations(message) {
+  const normalized = normalizeTags(message);
+  return { ast: IntlMessageFormat.__parse(normalized, { captureLocation: true }), normalized };
+}
+
+/**
+ * Whether the runtime formats a message with IntlMessageFormat (ICU arguments or rich text tags)
+ * Other messages only get {name} substitution, so ICU syntax errors do not apply to them
+ * @param {string} message
+ * @returns {boolean}
+ */
+export function isICUMessage(message) {
+  return ICU_PATTERN.test(message) || new RegExp(TAG_PATTERN.source).test(message);
+}
+
+/**
+ * Walk a message AST
+ * - arguments: name → kind (argument, select, date or number; plural, selectordinal and number are "number")
+ * - tags: tag names (numeric tags keep their original name: <0> → "0")
+ * - plurals: plural / selectordinal arguments with their selectors
+ * - strayPound: a "#" that is rendered as is, because it is not directly inside a plural option
+ * @param {unknown[]} ast - Message AST
+ * @returns {{ arguments: Map<string, string>, tags: string[], plurals: Object[], strayPound: boolean }}
+ */
+export function analyzeMessage(ast) {
+  const kinds = new Map();
+  const tags = new Set();
+  const plurals = [];
+  const priority = Object.keys(PARAMETER_TYPES);
+  let hasOptions = false;
+  let strayPound = false;
+
+  const setKind = (name, kind) => {
+    const current = kinds.get(name);
+    if (!current || priority.indexOf(kind) > priority.indexOf(current)) {
+      kinds.set(name, kind);
+    }
+  };
+
+  const walk = (elements, inPlural) => {
+    for (const element of elements) {
+      switch (element.type) {
+        case ELEMENT.literal:
+          // Inside a plural option "#" is parsed as the count, so a literal "#" is escaped on purpose
+          if (!inPlural && element.value.includes('#')) strayPound = true;
+          break;
+        case ELEMENT.argument:
+          setKind(element.value, 'argument');
+          break;
+        case ELEMENT.number:
+          setKind(element.value, 'number');
+          break;
+        case ELEMENT.plural:
+          setKind(element.value, 'number');
+          plurals.push({
+            name: element.value,
+            ordinal: element.pluralType === 'ordinal',
+            selectors: Object.keys(element.options),
+          });
+          break;
+        case ELEMENT.date:
+        case ELEMENT.time:
+          setKind(element.value, 'date');
+          break;
+        case ELEMENT.select:
+          setKind(element.value, 'select');
+          break;
+        case ELEMENT.tag:
+          tags.add(element.value.replace(/^tag-(\d+)$/, '$1'));
+          break;
+      }
+
+      if (element.children) walk(element.children, inPlural);
+      if (element.options) {
+        hasOptions = true;
+        for (const option of Object.values(element.options)) {
+          walk(option.value, element.type === ELEMENT.plural);
+        }
+      }
+    }
+  };
+
+  walk(ast, false);
+
+  return {
+    arguments: kinds,
+    tags: Array.from(tags),
+    plurals,
+    // "Issue #3" is fine, a "#" only matters in messages with plural / select
+    strayPound: hasOptions && strayPound,
+  };
+}
+
+/**
+ * Collect the values a message needs
+ * - plural / selectordinal / number → number
+ * - date / time → Date | number
+ * - select → string
+ * - {name} → string | number
+ * - <tag> → tag
+ * @param {unknown[]} ast - Message AST
+ * @returns {{ variables: Record<string, string>, tags: string[] }} variable → TypeScript type
+ */
+export function getMessageParameters(ast) {
+  const { arguments: kinds, tags } = analyzeMessage(ast);
+
+  const variables = {};
+  for (const [name, kind] of kinds) {
+    variables[name] = PARAMETER_TYPES[kind];
+  }
+  return { variables, tags };
+}
@@ -0,0 +1,109 @@
+/**
+ * Incremental extraction (watch mode and extract --cache)
+ * - Per-file cache of extracted messages keyed by content hash, so only changed files are parsed
+ * - Writes that skip files whose content is identical
+ */
+
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
+import { dirname } from 'path';
+import { createHash } from 'crypto';
+
+// Bump when the cached entry structure or extraction output changes
+const CACHE_VERSION = 3;
+
+export const DEFAULT_CACHE_PATH = 'node_modules/.cache/text-intl/extract.json';
+
+/**
+ * Create an extraction cache, loaded from disk if a path is given
+ * Entries are dropped when the project or extract options differ from the cached ones
+ * @param {string} cwd - Project root (source references are relative to it)
+ * @param {Object} [extractOptions] - config.extract
+ * @param {string} [cachePath] - Absolute path to persist the cache (in memory only if omitted)
+ * @returns {{ path?: string, key: string, files: Map<string, { hash: string, messages: Object }> }}
+ */
+export function createExtractCache(cwd, extractOptions = {}, cachePath) {
+  const key = JSON.stringify({ version: CACHE_VERSION, cwd, extract: extractOptions });
+  const cache = { path: cachePath, key, files: new Map() };
+
+  if (cachePath && existsSync(cachePath)) {
+    try {
+      const stored = JSON.parse(readFileSync(cachePath, 'utf-8'));
+      if (stored.key === key) cache.files = new Map(Object.entries(stored.files));
+    } catch {
+      // Corrupt cache: start over
+    }
+  }
+  return cache;
+}
+
+/**
+ * Persist a cache created with a path
+ * @param {ReturnType<typeof createExtractCache>} cache
+ */
+export function saveExtractCache(cache) {
+  if (!cache.path) return;
+  const files = Object.fromEntries(cache.files);
+  writeFileIfChanged(cache.path, JSON.stringify({ key: cache.key, files }));
+}
+
+/**
+ * Content hash of a source file
+ * @param {string} code
+ * @returns {string}
+ */
+export function hashContent(code) {
+  return createHash('sha256').update(code).digest('hex');
+}
+
+/**
+ * Messages of a file as JSON (Sets become arrays)
+ * @param {Map<string, Map<string, { references: Set<string>, comments: Set<string> }>>} namespaceMessages
+ * @returns {Record<string, Record<string, { references: string[], comments: string[] }>>}
+ */
+export function serializeMessages(namespaceMessages) {
+  const result = {};
+  for (const [namespace, messages] of namespaceMessages) {
+    result[namespace] = {};
+    for (const [key, { references, comments }] of messages) {
+      result[namespace][key] = { references: [...references], comments: [...comments] };
+    }
+  }
+  return result;
+}
+
+/**
+ * Inverse of serializeMessages
+ * @param {ReturnType<typeof serializeMessages>} serialized
+ * @returns {Map<string, Map<string, { references: Set<string>, comments: Set<string> }>>}
+ */
+export function deserializeMessages(serialized) {
+  const namespaceMessages = new Map();
+  for (const [namespace, messages] of Object.entries(serialized)) {
+    namespaceMessages.set(
+      namespace,
+      new Map(
+        Object.entries(messages).map(([key, { references, comments }]) => [
+          key,
+          { references: new Set(references), comments: new Set(comments) },
+        ])
+      )
+    );
+  }
+  return namespaceMessages;
+}
+
+/**
+ * Write a file unless it already has this content
+ * Unchanged files keep their mtime, so bundlers and watchers are not triggered
+ * @param {string} path - Absolute path (parent directories are created)
+ * @param {string} content
+ * @returns {boolean} Whether the file was written
+ */
+export function writeFileIfChanged(path, content) {
+  if (existsSync(path) && readFileSync(path, 'utf-8') === content) {
+    return false;
+  }
+  mkdirSync(dirname(path), { recursive: true });
+  writeFileSync(path, content, 'utf-8');
+  return true;
+}
@@ -5,10 +5,16 @@
  */
 
 import { resolve } from 'path';
+import { parseMessageKey } from './message-key.js';
 import { extractMessages } from './extract.js';
 import { watchFiles } from './watch.js';
-import { validateTranslations, printReport } from './validate.js';
+import { validateTranslations, printReport, shouldFail } from './validate.js';
+import { formatReport, REPORT_FORMATS } from './reporters.js';
 import { translateAll, translateLocale } from './translate.js';
+import { compileMessages } from './compile.js';
+import { generateTypes } from './generate-types.js';
+import { createExtractCache, DEFAULT_CACHE_PATH } from './incremental.js';
+import { exportMessages, importMessages, EXCHANGE_FORMATS } from './exchange.js';
 
 async function loadConfig() {
   const cwd = process.cwd();
@@ -35,10 +41,29 @@ async function main() {
   switch (command) {
     case 'extract': {
       console.log('🔍 Extracting messages...\n');
-      const result = await extractMessages(config);
+      // --merge <file> (repeatable): runtime missing-translation reports to include
+      // --interactive: confirm translations carried over to edited source texts
+      // --prune: delete messages no longer in source instead of archiving them
+      // --cache: only parse files changed since the last run (node_modules/.cache/text-intl)
+      const args = process.argv.slice(3);
+      const merge = args.filter((arg, index) => args[index - 1] === '--merge');
+      const cache = args.includes('--cache')
+        ? createExtractCache(process.cwd(), config.extract, resolve(DEFAULT_CACHE_PATH))
+        : undefined;
+      const result = await extractMessages(config, process.cwd(), {
+        merge,
+        interactive: args.includes('--interactive'),
+        prune: args.includes('--prune'),
+        cache,
+      });
       console.log('\n✅ Done!');
       console.log(`   Total: ${result.total} messages`);
-      console.log(`   New: ${result.new} messages\n`);
+      console.log(`   New: ${result.new} messages`);
+      console.log(`   Archived: ${result.archived} messages`);
+      console.log(`   Restored: ${result.restored} messages`);
+      if (args.includes('--prune')) console.log(`   Pruned: ${result.pruned} messages`);
+      if (cache) console.log(`   Parsed: ${result.parsed} files`);
+      console.log();
       break;
     }
 
@@ -50,10 +75,51 @@ async function main() {
     }
 
     case 'validate': {
-      console.log('🔍 Validating translations...');
-      const result = await validateTranslations(config);
-      const valid = printReport(result);
-      process.exit(valid ? 0 : 1);
+      // --format F, --fail-on error|warning|info|none, --min-coverage N, --verbose, --source
+      const args = process.argv.slice(3);
+      const option = (name) => {
+        const index = args.indexOf(name);
+        return index !== -1 ? args[index + 1] : undefined;
+      };
+      const format = option('--format') ?? 'text';
+      const failOn = option('--fail-on') ?? config.validate?.failOn ?? 'error';
+      const minCoverageOption = option('--min-coverage') ?? config.validate?.minCoverage;
+      const minCoverage = minCoverageOption === undefined ? undefined : Number(minCoverageOption);
+
+      if (!REPORT_FORMATS.includes(format)) {
+        console.error(`❌ Unknown format: ${format} (available: ${REPORT_FORMATS.join(', ')})`);
+        process.exit(1);
+      }
+      if (!['error', 'warning', 'info', 'none'].includes(failOn)) {
+        console.error(`❌ Unknown --fail-on: ${failOn} (available: error, warning, info, none)`);
+        process.exit(1);
+      }
+      if (
+        minCoverage !== undefined &&
+        (String(minCoverageOption).trim() === '' ||
+          !Number.isFinite(minCoverage) ||
+          minCoverage < 0 ||
+          minCoverage > 100)
+      ) {
+        console.error(`❌ Invalid --min-coverage: ${minCoverageOption} (expected 0 - 100)`);
+        process.exit(1);
+      }
+
+      // Machine-readable formats keep stdout clean for redirection
+      if (format === 'text') console.log('🔍 Validating translations...');
+      const result = await validateTranslations(config, {
+        source: args.includes('--source'),
+        cwd: process.cwd(),
+      });
+
+      if (format === 'text') {
+        printReport(result, { limit: args.includes('--verbose') ? Infinity : 10 });
+      } else {
+        process.stdout.write(formatReport(result, format));
+      }
+
+      const failed = shouldFail(result, { failOn, minCoverage });
+      process.exit(failed ? 1 : 0);
       break;
     }
 
@@ -79,14 +145,144 @@ async function main() {
       break;
     }
 
+    case 'compile': {
+      console.log('📦 Compiling messages...\n');
+      const args = process.argv.slice(3);
+      const outIndex = args.indexOf('--out');
+      const outDir = outIndex !== -1 ? args[outIndex + 1] : undefined;
+      const result = compileMessages(config, process.cwd(), { outDir });
+      console.log('\n✅ Done!');
+      console.log(`   Modules: ${result.modules}`);
+      console.log(`   Messages: ${result.messages}`);
+      if (result.removed > 0) console.log(`   Removed: ${result.removed} stale modules`);
+      console.log(`   Output: ${result.outDir}\n`);
+      if (result.parsed > 0) {
+        console.log(
+          `ℹ️  ${result.parsed} messages (rich text tags or invalid ICU) are still parsed at runtime, keep the ICU parser in the bundle\n`
+        );
+      }
+      break;
+    }
+
+    case 'types': {
+      // --out FILE, --split (one file per namespace), --no-register (skip I18nRegister augmentation)
+      const args = process.argv.slice(3);
+      const outIndex = args.indexOf('--out');
+      const options = {};
+      if (outIndex !== -1) options.output = args[outIndex + 1];
+      if (args.includes('--split')) options.split = true;
+      if (args.includes('--no-register')) options.register = false;
+
+      const written = generateTypes(config, process.cwd(), options);
+      if (written.length === 0) {
+        console.error(
+          `❌ No meta files found for source locale ${config.sourceLocale}, run extract first`
+        );
+        process.exit(1);
+      }
+      break;
+    }
+
+    case 'export': {
+      // --format po|xliff, --out DIR, --locale X (repeatable)
+      const args = process.argv.slice(3);
+      const option = (name) => {
+        const index = args.indexOf(name);
+        return index !== -1 ? args[index + 1] : undefined;
+      };
+      const format = option('--format') ?? 'po';
+      const locales = args.filter((arg, index) => args[index - 1] === '--locale');
+
+      if (!EXCHANGE_FORMATS.includes(format)) {
+        console.error(`❌ Unknown format: ${format} (available: ${EXCHANGE_FORMATS.join(', ')})`);
+        process.exit(1);
+      }
+
+      console.log(`📤 Exporting messages as ${format}...\n`);
+      const result = exportMessages(config, process.cwd(), {
+        format,
+        outDir: option('--out'),
+        locales: locales.length > 0 ? locales : undefined,
+      });
+      for (const file of result.files) {
+        console.log(`   ${file}`);
+      }
+      console.log('\n✅ Done!');
+      console.log(`   Messages: ${result.messages}`);
+      console.log(`   Files: ${result.files.length}\n`);
+      break;
+    }
+
+    case 'import': {
+      // text-intl import FILE... [--overwrite]
+      const args = process.argv.slice(3);
+      const files = args.filter((arg) => !arg.startsWith('--'));
+      if (files.length === 0) {
+        console.error('❌ No files to import');
+        process.exit(1);
+      }
+
+      console.log('📥 Importing translations...\n');
+      const result = importMessages(config, files, process.cwd(), {
+        overwrite: args.includes('--overwrite'),
+      });
+      for (const { file, locale, namespace, imported, unchanged } of result.files) {
+        console.log(
+          `   ${locale}/${namespace}: ${imported} imported, ${unchanged} unchanged (${file})`
+        );
+      }
+
+      if (result.conflicts.length > 0) {
+        console.log(`\n⚠️  ${result.conflicts.length} conflicts (not imported):\n`);
+        for (const conflict of result.conflicts) {
+          const { text } = parseMessageKey(conflict.key);
+          if (conflict.type === 'unknown') {
+            console.log(
+              `   [${conflict.locale}/${conflict.namespace}] "${text}" is not in the catalog`
+            );
+          } else {
+            console.log(`   [${conflict.locale}/${conflict.namespace}] "${text}"`);
+            console.log(`      current:  ${conflict.current}`);
+            console.log(`      incoming: ${conflict.incoming}`);
+          }
+        }
+        console.log('\n   Use --overwrite to replace translations that changed');
+      }
+
+      console.log('\n✅ Done!');
+      console.log(`   Imported: ${result.imported} translations\n`);
+      break;
+    }
+
     default: {
       console.log('Usage:');
       console.log('  text-intl extract              - Extract messages from source');
+      console.log('  text-intl extract --merge F    - Also add messages from a runtime report');
+      console.log('  text-intl extract --interactive - Confirm translations kept for edited texts');
+      console.log(
+        '  text-intl extract --prune      - Delete obsolete messages instead of archiving'
+      );
+      console.log('  text-intl extract --cache      - Only parse files changed since the last run');
       console.log('  text-intl watch                - Watch and auto-extract');
       console.log('  text-intl validate             - Validate translations');
+      console.log('  text-intl validate --source    - Also check t() calls in source code');
+      console.log('  text-intl validate --format F  - Report as json, junit, sarif or github');
+      console.log('  text-intl validate --fail-on S - Fail on error, warning, info or none');
+      console.log('  text-intl validate --min-coverage N - Fail below N% per locale/namespace');
       console.log('  text-intl translate            - AI translate all missing translations');
       console.log('  text-intl translate --locale X - AI translate specific locale');
       console.log('  text-intl translate --dry-run  - Preview translations without changes');
+      console.log('  text-intl compile              - Compile messages to ES modules');
+      console.log('  text-intl compile --out DIR    - Compile to a custom directory');
+      console.log('  text-intl types                - Generate TypeScript types for t()');
+      console.log('  text-intl types --out FILE     - Write types to a custom file');
+      console.log('  text-intl types --split        - One types file per namespace');
+      console.log('  text-intl types --no-register  - Skip the I18nRegister augmentation');
+      console.log('  text-intl export               - Export a POT and PO files per locale');
+      console.log('  text-intl export --format xliff - Export XLIFF 2.0 files per locale');
+      console.log('  text-intl export --out DIR     - Export to a custom directory');
+      console.log('  text-intl import FILE...       - Import translated PO or XLIFF files');
+      console.log('  text-intl import --overwrite   - Replace translations that changed');
       process.exit(1);
     }
   }
@@ -0,0 +1,29 @@
+/**
+ * Message key helpers shared by CLI commands
+ * Messages with context are stored in meta files as "context\u0004text" (same as gettext)
+ */
+
+export const CONTEXT_SEPARATOR = '\u0004';
+
+/**
+ * Build the meta key for a message
+ * @param {string} text - Source text
+ * @param {string} [context] - Optional message context
+ * @returns {string} Meta key
+ */
+export function getMessageKey(text, context) {
+  return context ? `${context}${CONTEXT_SEPARATOR}${text}` : text;
+}
+
+/**
+ * Split a meta key into source text and context
+ * @param {string} key - Meta key
+ * @returns {{ text: string, context: string | null }}
+ */
+export function parseMessageKey(key) {
+  const index = key.indexOf(CONTEXT_SEPARATOR);
+  if (index === -1) {
+    return { text: key, context: null };
+  }
+  return { text: key.slice(index + 1), context: key.slice(0, index) };
+}
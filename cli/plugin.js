@@ -0,0 +1,248 @@
+/**
+ * Build plugin: rewrite t('source text') to hash references at build time
+ * Meta files no longer ship to the client; with `locale`, translations are inlined
+ * Hash references keep the meta key after the hash, so a message no locale translates still
+ * renders (and is reported) as its source text
+ *
+ * - Vite / Rollup: textIntl({ config })
+ * - esbuild: textIntlEsbuild({ config })
+ *
+ * Must stay in sync with HASH_REF_PREFIX / INLINE_REF_PREFIX in src/index.ts
+ */
+
+import { readFileSync, existsSync } from 'fs';
+import { resolve, relative, sep } from 'path';
+import MagicString from 'magic-string';
+import { findMessages } from './extract.js';
+import { getMessageKey } from './message-key.js';
+import { getFallbackChain } from './fallback.js';
+
+const HASH_REF_PREFIX = '\u0001';
+const INLINE_REF_PREFIX = '\u0002';
+
+const DEFAULT_INCLUDE = /\.[cm]?[jt]sx?$/;
+const DEFAULT_EXCLUDE = /[\\/]node_modules[\\/]/;
+
+// Skip files that cannot contain messages without parsing them
+const MESSAGE_CALL_PATTERN = /text-intl|useTranslation|getTranslation|\bp?t\s*\(|<(Trans|T)\b/;
+
+/**
+ * Create the transformer shared by the bundler plugins
+ * @param {Object} options
+ * @param {Object} options.config - i18n configuration (i18n.config.js)
+ * @param {string} [options.cwd] - Project root (messagesDir is resolved from here)
+ * @param {string} [options.locale] - Inline this locale's translations (per-locale builds)
+ * @param {boolean} [options.failOnMissing] - Fail the build on messages missing from the catalog (default: true)
+ * @param {RegExp} [options.include] - Files to transform
+ * @param {RegExp} [options.exclude] - Files to skip
+ */
+function createTransformer(options) {
+  const { config, cwd = process.cwd(), locale, failOnMissing = true } = options;
+  const include = options.include ?? DEFAULT_INCLUDE;
+  const exclude = options.exclude ?? DEFAULT_EXCLUDE;
+
+  if (!config?.messagesDir || !config.sourceLocale) {
+    throw new Error('[text-intl] The plugin requires `config` (your i18n.config.js)');
+  }
+  if (locale && !config.locales.includes(locale)) {
+    throw new Error(
+      `[text-intl] Unknown locale: ${locale} (available: ${config.locales.join(', ')})`
+    );
+  }
+
+  const messagesDir = resolve(cwd, config.messagesDir);
+  // Inlined translations fall back like the runtime, ending with the source text
+  const inlineChain = locale
+    ? [
+        ...new Set([
+          ...getFallbackChain(locale, config.fallbackLocale, config.locales),
+          config.sourceLocale,
+        ]),
+      ]
+    : [];
+  // Catalog files read during this build: path → parsed JSON
+  const files = new Map();
+  // Custom translate function names (config.extract), escaped for the pattern
+  const customNames = [
+    ...(config.extract?.functions ?? []),
+    ...(config.extract?.contextFunctions ?? []),
+  ].map((name) => name.replace(/[$.]/g, '\\$&'));
+  const customCallPattern = customNames.length
+    ? new RegExp(`\\b(${customNames.join('|')})\\s*\\(`)
+    : null;
+
+  const readJSON = (path) => {
+    if (!files.has(path)) {
+      files.set(path, existsSync(path) ? JSON.parse(readFileSync(path, 'utf-8')) : {});
+    }
+    return files.get(path);
+  };
+
+  /**
+   * Resolve the replacement for a message
+   * @returns {string | null} Message reference, or null if the message is not in the catalog
+   */
+  const getReference = (namespace, key) => {
+    const meta = readJSON(resolve(messagesDir, config.sourceLocale, `${namespace}.meta.json`));
+    const hash = meta[key];
+    if (!hash) return null;
+
+    for (const candidate of inlineChain) {
+      const message = readJSON(resolve(messagesDir, candidate, `${namespace}.json`))[hash];
+      if (typeof message === 'string' && message) return INLINE_REF_PREFIX + message;
+    }
+    return HASH_REF_PREFIX + hash + HASH_REF_PREFIX + key;
+  };
+
+  return {
+    /** Catalog files the output depends on (for watch mode) */
+    get watchFiles() {
+      return Array.from(files.keys());
+    },
+
+    /** Forget catalogs read so far (call on rebuild) */
+    reset() {
+      files.clear();
+    },
+
+    /**
+     * Rewrite message calls in a module
+     * @param {string} code - Source code
+     * @param {string} id - Absolute file path
+     * @returns {{ code: string | null, map: Object | null, errors: string[], warnings: string[] }}
+     *   code and map (source map v3) are null if unchanged
+     */
+    transform(code, id) {
+      const result = { code: null, map: null, errors: [], warnings: [] };
+      if (
+        !include.test(id) ||
+        exclude.test(id) ||
+        !(MESSAGE_CALL_PATTERN.test(code) || customCallPattern?.test(code))
+      ) {
+        return result;
+      }
+
+      const relativePath = relative(cwd, id).split(sep).join('/');
+      const replacements = [];
+      let found;
+
+      try {
+        found = findMessages(code, config.extract);
+      } catch (error) {
+        // Left to the bundler, which reports syntax errors itself
+        result.warnings.push(`Failed to parse ${relativePath}: ${error.message}`);
+        return result;
+      }
+
+      for (const { node, reason } of found.dynamic) {
+        result.warnings.push(`${relativePath}:${node.loc.start.line} left as is, ${reason}`);
+      }
+      for (const { node, reason } of found.warnings) {
+        result.warnings.push(`${relativePath}:${node.loc.start.line} ${reason}`);
+      }
+
+      for (const { namespace, text, context, node, textNode } of found.messages) {
+        const reference = getReference(namespace, getMessageKey(text, context));
+
+        if (!reference) {
+          const message = `${relativePath}:${node.loc.start.line} "${text}" is not in the ${namespace} catalog, run text-intl extract`;
+          (failOnMissing ? result.errors : result.warnings).push(message);
+        } else if (textNode) {
+          // <Trans> children are left as is and still resolved through meta
+          replacements.push({ start: textNode.start, end: textNode.end, value: reference });
+        }
+      }
+
+      if (replacements.length > 0) {
+        // References change the length of lines, so the map keeps columns after them in place
+        const output = new MagicString(code);
+        for (const { start, end, value } of replacements) {
+          output.overwrite(start, end, JSON.stringify(value));
+        }
+        result.code = output.toString();
+        result.map = output.generateMap({ source: id, includeContent: true, hires: true });
+      }
+
+      return result;
+    },
+  };
+}
+
+/**
+ * Vite / Rollup plugin
+ *
+ * @example
+ * ```javascript
+ * // vite.config.js
+ * import { textIntl } from 'text-intl/plugin';
+ * import i18nConfig from './i18n.config.js';
+ *
+ * export default defineConfig({
+ *   plugins: [textIntl({ config: i18nConfig }), react()],
+ * });
+ * ```
+ * @param {Parameters<typeof createTransformer>[0]} options
+ */
+export function textIntl(options) {
+  const transformer = createTransformer(options);
+
+  return {
+    name: 'text-intl',
+    enforce: 'pre',
+
+    buildStart() {
+      transformer.reset();
+    },
+
+    transform(code, id) {
+      const { code: output, map, errors, warnings } = transformer.transform(code, id.split('?')[0]);
+
+      warnings.forEach((warning) => this.warn(warning));
+      transformer.watchFiles.forEach((file) => this.addWatchFile(file));
+      if (errors.length > 0) {
+        this.error(`Missing translations:\n  ${errors.join('\n  ')}`);
+      }
+
+      return output === null ? null : { code: output, map };
+    },
+  };
+}
+
+/**
+ * esbuild plugin
+ *
+ * @example
+ * ```javascript
+ * import { textIntlEsbuild } from 'text-intl/plugin';
+ *
+ * await esbuild.build({ plugins: [textIntlEsbuild({ config: i18nConfig, locale: 'ko' })] });
+ * ```
+ * @param {Parameters<typeof createTransformer>[0]} options
+ */
+export function textIntlEsbuild(options) {
+  const transformer = createTransformer(options);
+  const include = options.include ?? DEFAULT_INCLUDE;
+
+  return {
+    name: 'text-intl',
+
+    setup(build) {
+      build.onStart(() => transformer.reset());
+
+      build.onLoad({ filter: include }, (args) => {
+        const code = readFileSync(args.path, 'utf-8');
+        const { code: output, map, errors, warnings } = transformer.transform(code, args.path);
+        if (output === null && errors.length === 0 && warnings.length === 0) return undefined;
+
+        return {
+          // esbuild reads inline source maps of loaded files
+          contents: output === null ? code : `${output}\n//# sourceMappingURL=${map.toUrl()}\n`,
+          loader: args.path.match(/\.[cm]?([jt]sx?)$/)[1],
+          errors: errors.map((text) => ({ text })),
+          warnings: warnings.map((text) => ({ text })),
+          watchFiles: transformer.watchFiles,
+        };
+      });
+    },
+  };
+}
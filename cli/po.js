@@ -0,0 +1,181 @@
+/**
+ * Gettext PO / POT files
+ * Entries map one-to-one to meta keys: msgctxt is the context, msgid the source text
+ * ICU messages are kept whole in msgid / msgstr (plural forms are not split into msgid_plural)
+ */
+
+const STRING_FIELDS = new Set(['msgctxt', 'msgid', 'msgstr']);
+
+/**
+ * @typedef {Object} POEntry
+ * @property {string} msgid - Source text
+ * @property {string} msgstr - Translation ('' if untranslated)
+ * @property {string | null} [msgctxt] - Context
+ * @property {string[]} [references] - "#:" source locations
+ * @property {string[]} [comments] - "#." extracted (translator) comments
+ * @property {string[]} [flags] - "#," flags (fuzzy, ...)
+ * @property {string} [previous] - "#|" previous msgid of a fuzzy entry
+ */
+
+/**
+ * Escape a string for a PO string literal
+ * @param {string} text
+ * @returns {string}
+ */
+function escape(text) {
+  return text
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\t/g, '\\t')
+    .replace(/\r/g, '\\r')
+    .replace(/\n/g, '\\n');
+}
+
+/**
+ * Inverse of escape
+ * @param {string} text - Content of a PO string literal
+ * @returns {string}
+ */
+function unescape(text) {
+  const characters = { n: '\n', t: '\t', r: '\r', '"': '"', '\\': '\\' };
+  return text.replace(/\\(.)/g, (match, character) => characters[character] ?? match);
+}
+
+/**
+ * Keyword with its string, split after newlines like xgettext
+ * @param {string} keyword - msgid, msgstr, msgctxt or "#| msgid"
+ * @param {string} text
+ * @returns {string}
+ */
+function formatString(keyword, text) {
+  const prefix = keyword.startsWith('#|') ? '#| ' : '';
+  const lines = text.split(/(?<=\n)/);
+  if (lines.length === 1) {
+    return `${keyword} "${escape(text)}"`;
+  }
+  return [`${keyword} ""`, ...lines.map((line) => `${prefix}"${escape(line)}"`)].join('\n');
+}
+
+/**
+ * Serialize a PO file
+ * @param {Record<string, string>} headers - Header fields (Language, Content-Type, ...)
+ * @param {POEntry[]} entries
+ * @returns {string}
+ */
+export function formatPO(headers, entries) {
+  const header = Object.entries(headers)
+    .map(([name, value]) => `${name}: ${value}\n`)
+    .join('');
+  const blocks = [`msgid ""\n${formatString('msgstr', header)}`];
+
+  for (const entry of entries) {
+    const lines = [];
+    // One "#." line per comment line, a newline would end the comment
+    for (const comment of entry.comments ?? []) {
+      for (const line of comment.split(/\r?\n/)) lines.push(`#. ${line}`.trimEnd());
+    }
+    if (entry.references?.length) lines.push(`#: ${entry.references.join(' ')}`);
+    if (entry.flags?.length) lines.push(`#, ${entry.flags.join(', ')}`);
+    if (entry.previous !== undefined) lines.push(formatString('#| msgid', entry.previous));
+    if (entry.msgctxt) lines.push(formatString('msgctxt', entry.msgctxt));
+    lines.push(formatString('msgid', entry.msgid));
+    lines.push(formatString('msgstr', entry.msgstr));
+    blocks.push(lines.join('\n'));
+  }
+
+  return blocks.join('\n\n') + '\n';
+}
+
+/**
+ * Parse a PO file
+ * Obsolete entries ("#~") are skipped, msgstr[0] is used for plural entries
+ * @param {string} content
+ * @returns {{ headers: Record<string, string>, entries: POEntry[] }}
+ */
+export function parsePO(content) {
+  const entries = [];
+  let entry = null;
+  let field = null;
+
+  const start = () => {
+    if (!entry) entry = { msgid: '', msgstr: '', references: [], comments: [], flags: [] };
+    return entry;
+  };
+  const finish = () => {
+    if (entry && field) entries.push(entry);
+    entry = null;
+    field = null;
+  };
+
+  for (const raw of content.split(/\r?\n/)) {
+    const line = raw.trim();
+
+    if (line === '' || line.startsWith('#~')) {
+      finish();
+      continue;
+    }
+
+    if (line.startsWith('#')) {
+      // Comments start a new entry
+      if (field && field !== 'previous') finish();
+      const current = start();
+      const text = line.slice(2).trim();
+
+      if (line.startsWith('#.')) current.comments.push(text);
+      else if (line.startsWith('#:')) current.references.push(...text.split(/\s+/).filter(Boolean));
+      else if (line.startsWith('#,')) current.flags.push(...text.split(',').map((f) => f.trim()));
+      else if (line.startsWith('#|')) {
+        const match = text.match(/^msgid\s+"(.*)"$/);
+        const continued = text.match(/^"(.*)"$/);
+        if (match) {
+          current.previous = unescape(match[1]);
+          field = 'previous';
+        } else if (continued && field === 'previous') {
+          current.previous += unescape(continued[1]);
+        }
+      }
+      continue;
+    }
+
+    const keyword = line.match(/^(msgctxt|msgid_plural|msgid|msgstr(?:\[(\d+)\])?)\s+"(.*)"$/);
+    if (keyword) {
+      const [, name, index, value] = keyword;
+      // A new msgctxt / msgid after a msgstr starts the next entry
+      if ((name === 'msgctxt' || name === 'msgid') && field?.startsWith('msgstr')) finish();
+      const current = start();
+
+      // Plural forms other than msgstr[0] are skipped, along with their continuation lines
+      if (name === 'msgid_plural') {
+        field = 'msgid_plural';
+        continue;
+      }
+      if (index !== undefined && index !== '0') {
+        field = 'msgstr_plural';
+        continue;
+      }
+      field = name.startsWith('msgstr') ? 'msgstr' : name;
+      current[field] = unescape(value);
+      continue;
+    }
+
+    const continued = line.match(/^"(.*)"$/);
+    if (continued && entry && STRING_FIELDS.has(field)) {
+      entry[field] += unescape(continued[1]);
+    }
+  }
+  finish();
+
+  // The entry with an empty msgid is the header
+  const headers = {};
+  const headerIndex = entries.findIndex((e) => e.msgid === '' && !e.msgctxt);
+  if (headerIndex !== -1) {
+    for (const line of entries[headerIndex].msgstr.split('\n')) {
+      const separator = line.indexOf(':');
+      if (separator > 0)
+        headers[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+    }
+    entries.splice(headerIndex, 1);
+  }
+
+  return { headers, entries };
+}
@@ -0,0 +1,46 @@
+/**
+ * Precompile ICU messages into IntlMessageFormat ASTs
+ * The runtime uses them (InitConfig.compiled / NamespaceBundle.compiled) instead of parsing on first use
+ */
+
+import { writeFileIfChanged } from './incremental.js';
+import { parseMessage } from './icu.js';
+
+// Same detection as isICUMessage() in the runtime: only these messages are formatted with ICU
+const ICU_PATTERN = /\{\s*\w+\s*,\s*(plural|select|selectordinal|number|date|time)/;
+
+/**
+ * Parse the ICU messages of a namespace
+ * Keyed by message text (not hash), so an outdated AST file never applies to a changed message
+ * @param {Record<string, string>} messages - hash → message
+ * @param {string} locale - Locale used for parsing
+ * @returns {Record<string, unknown[]>} message → AST
+ */
+export function precompileMessages(messages, locale) {
+  const compiled = {};
+
+  for (const message of Object.values(messages)) {
+    if (typeof message !== 'string' || !ICU_PATTERN.test(message) || compiled[message]) continue;
+
+    try {
+      compiled[message] = parseMessage(message, locale);
+    } catch (error) {
+      // Left to the runtime, which logs the error and renders the raw message
+      console.warn(`⚠️  Skipped invalid ICU message (${locale}): "${message}" - ${error.message}`);
+    }
+  }
+
+  return compiled;
+}
+
+/**
+ * Write the precompiled ASTs of a namespace next to its messages
+ * @param {string} astPath - Path to {namespace}.ast.json
+ * @param {Record<string, string>} messages - hash → message
+ * @param {string} locale - Locale used for parsing
+ * @returns {boolean} Whether the file changed
+ */
+export function writeCompiledMessages(astPath, messages, locale) {
+  const compiled = precompileMessages(messages, locale);
+  return writeFileIfChanged(astPath, JSON.stringify(compiled) + '\n');
+}
@@ -0,0 +1,165 @@
+/**
+ * Machine-readable validation reports for CI
+ * - json: the full result (issues, stats, coverage, summary)
+ * - junit: one test suite per locale × namespace, errors as failures
+ * - sarif: SARIF 2.1.0 (GitHub code scanning and other analyzers)
+ * - github: GitHub Actions workflow commands (pull request annotations)
+ */
+
+export const REPORT_FORMATS = ['text', 'json', 'junit', 'sarif', 'github'];
+
+const SARIF_LEVELS = { error: 'error', warning: 'warning', info: 'note' };
+const GITHUB_COMMANDS = { error: 'error', warning: 'warning', info: 'notice' };
+
+/**
+ * Format a validation result
+ * @param {Awaited<ReturnType<typeof import('./validate.js').validateTranslations>>} result
+ * @param {'json' | 'junit' | 'sarif' | 'github'} format
+ * @returns {string}
+ */
+export function formatReport(result, format) {
+  switch (format) {
+    case 'json':
+      return JSON.stringify(result, null, 2);
+    case 'junit':
+      return formatJUnit(result);
+    case 'sarif':
+      return JSON.stringify(formatSarif(result), null, 2);
+    case 'github':
+      return formatGitHub(result);
+    default:
+      throw new Error(`Unknown report format: ${format} (available: ${REPORT_FORMATS.join(', ')})`);
+  }
+}
+
+/**
+ * Issue text with its details on one line
+ */
+function describe(issue) {
+  const details = Object.entries(issue.details ?? {})
+    .filter(([, value]) => (Array.isArray(value) ? value.length > 0 : value))
+    .map(([name, value]) => `${name}: ${Array.isArray(value) ? value.join(', ') : value}`);
+  return details.length > 0 ? `${issue.message} (${details.join('; ')})` : issue.message;
+}
+
+function escapeXML(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * JUnit XML
+ * Issues are test cases: errors fail, warnings and info are reported in system-out
+ */
+function formatJUnit({ issues, coverage, summary }) {
+  const suites = new Map();
+  const suiteOf = (locale, namespace) => {
+    const name = `${locale}/${namespace}`;
+    if (!suites.has(name)) suites.set(name, { name, cases: [], coverage: null });
+    return suites.get(name);
+  };
+
+  for (const entry of coverage) {
+    suiteOf(entry.locale, entry.namespace).coverage = entry;
+  }
+  for (const issue of issues) {
+    suiteOf(issue.locale, issue.namespace).cases.push(issue);
+  }
+
+  // A suite without issues has one passing test case
+  const tests = [...suites.values()].reduce(
+    (total, suite) => total + Math.max(suite.cases.length, 1),
+    0
+  );
+  const lines = ['<?xml version="1.0" encoding="UTF-8"?>'];
+  lines.push(`<testsuites name="text-intl validate" tests="${tests}" failures="${summary.error}">`);
+
+  for (const suite of suites.values()) {
+    const failures = suite.cases.filter((issue) => issue.severity === 'error').length;
+    const properties = suite.coverage
+      ? `\n    <properties>\n      <property name="coverage" value="${suite.coverage.percent}"/>\n    </properties>`
+      : '';
+    lines.push(
+      `  <testsuite name="${escapeXML(suite.name)}" tests="${Math.max(suite.cases.length, 1)}" failures="${failures}">${properties}`
+    );
+
+    if (suite.cases.length === 0) {
+      lines.push(`    <testcase name="translations" classname="${escapeXML(suite.name)}"/>`);
+    }
+    for (const issue of suite.cases) {
+      const name = escapeXML(`${issue.type}${issue.key !== undefined ? `: ${issue.key}` : ''}`);
+      const open = `    <testcase name="${name}" classname="${escapeXML(suite.name)}" file="${escapeXML(issue.file)}"`;
+      const body =
+        issue.severity === 'error'
+          ? `<failure type="${issue.type}" message="${escapeXML(describe(issue))}"/>`
+          : `<system-out>${escapeXML(`${issue.severity}: ${describe(issue)}`)}</system-out>`;
+      lines.push(`${open}>${body}</testcase>`);
+    }
+    lines.push('  </testsuite>');
+  }
+
+  lines.push('</testsuites>');
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * SARIF 2.1.0 log, one rule per issue type
+ */
+function formatSarif({ issues }) {
+  const ruleIds = [...new Set(issues.map((issue) => issue.type))];
+
+  return {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [
+      {
+        tool: {
+          driver: {
+            name: 'text-intl',
+            informationUri: 'https://github.com/seob717/text-intl',
+            rules: ruleIds.map((id) => ({ id, name: id })),
+          },
+        },
+        results: issues.map((issue) => ({
+          ruleId: issue.type,
+          ruleIndex: ruleIds.indexOf(issue.type),
+          level: SARIF_LEVELS[issue.severity],
+          message: { text: `[${issue.locale}/${issue.namespace}] ${describe(issue)}` },
+          locations: [
+            {
+              physicalLocation: {
+                artifactLocation: { uri: issue.file.split('\\').join('/') },
+                ...(issue.line ? { region: { startLine: issue.line } } : {}),
+              },
+            },
+          ],
+        })),
+      },
+    ],
+  };
+}
+
+/**
+ * GitHub Actions workflow commands: ::error file=...,line=...,title=...::message
+ */
+function formatGitHub({ issues, summary }) {
+  // Workflow command values escape %, newlines and (in properties) : and ,
+  const escapeData = (text) =>
+    text.replace(/%/g, '%25').replace(/\r/g, '%0D').replace(/\n/g, '%0A');
+  const escapeProperty = (text) => escapeData(text).replace(/:/g, '%3A').replace(/,/g, '%2C');
+
+  const lines = issues.map((issue) => {
+    const properties = [`file=${escapeProperty(issue.file)}`];
+    if (issue.line) properties.push(`line=${issue.line}`);
+    properties.push(`title=${escapeProperty(`text-intl ${issue.type} (${issue.locale})`)}`);
+    return `::${GITHUB_COMMANDS[issue.severity]} ${properties.join(',')}::${escapeData(describe(issue))}`;
+  });
+
+  lines.push(
+    `text-intl: ${summary.error} errors, ${summary.warning} warnings, coverage ${summary.coverage}%`
+  );
+  return lines.join('\n') + '\n';
+}
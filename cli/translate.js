@@ -4,18 +4,21 @@
  * With configurable translation rules (tone, style, glossary)
  */
 
-import { readFileSync, writeFileSync, existsSync, readdirSync } from 'fs';
+import { readFileSync, writeFileSync, existsSync, readdirSync, unlinkSync } from 'fs';
 import { resolve } from 'path';
 import { execSync } from 'child_process';
+import { parseMessageKey } from './message-key.js';
+import { writeCompiledMessages } from './precompile.js';
 
 /**
  * Build translation prompt with custom rules
  * @param {string} sourceLocale - Source language code
  * @param {string} targetLocale - Target language code
  * @param {Object} rules - Translation rules from config
+ * @param {Array<Object | null>} notes - Per-text notes { context, comments, references }, same order as input
  * @returns {string} System prompt for translation
  */
-function buildTranslationPrompt(sourceLocale, targetLocale, rules = {}) {
+function buildTranslationPrompt(sourceLocale, targetLocale, rules = {}, notes = []) {
   const { tone, style, glossary, instructions, context } = rules;
 
   let prompt = `You are a professional translator. Translate the following texts from ${sourceLocale} to ${targetLocale}.
@@ -63,9 +66,40 @@ CRITICAL RULES (MUST FOLLOW):
     prompt += `\n\nCONTEXT: ${context}`;
   }
 
+  // Add per-text notes (message context, translator comments, where the text is used)
+  const noteLines = notes
+    .map((note, index) => (note ? `- [${index}] ${formatNote(note)}` : null))
+    .filter(Boolean);
+
+  if (noteLines.length > 0) {
+    prompt += `\n\nTEXT NOTES (by input index, for understanding only - do not translate):\n${noteLines.join('\n')}`;
+  }
+
   return prompt;
 }
 
+/**
+ * Format a single text note for the prompt
+ * @param {{ context?: string | null, comments?: string[], references?: string[] }} note
+ * @returns {string} Note line
+ */
+function formatNote({ context, comments = [], references = [], previous }) {
+  const parts = [];
+  if (context) parts.push(`context: ${context}`);
+  if (previous) {
+    parts.push(
+      `source was edited from "${previous.source}", keep close to its translation "${previous.translation}"`
+    );
+  }
+  if (comments.length > 0) parts.push(`comment: ${comments.join(' / ')}`);
+  if (references.length > 0) {
+    // A few locations are enough to hint where the text appears
+    const shown = references.slice(0, 3).join(', ');
+    parts.push(`used in: ${shown}${references.length > 3 ? ', ...' : ''}`);
+  }
+  return parts.join('; ');
+}
+
 /**
  * Get translation rules for a specific locale
  * @param {Object} config - i18n configuration
@@ -199,10 +233,11 @@ function getAIConfig(config) {
  * @param {string} targetLocale - Target language code
  * @param {Object} aiConfig - AI configuration
  * @param {Object} rules - Translation rules
+ * @param {Array<Object | null>} notes - Per-text notes
  * @returns {Promise<string[]>} Translated texts
  */
-async function translateWithOpenAI(texts, sourceLocale, targetLocale, aiConfig, rules) {
-  const systemPrompt = buildTranslationPrompt(sourceLocale, targetLocale, rules);
+async function translateWithOpenAI(texts, sourceLocale, targetLocale, aiConfig, rules, notes) {
+  const systemPrompt = buildTranslationPrompt(sourceLocale, targetLocale, rules, notes);
 
   const response = await fetch('https://api.openai.com/v1/chat/completions', {
     method: 'POST',
@@ -259,10 +294,11 @@ Example output: ["안녕하세요 {name}", "앱에 오신 것을 환영합니다
  * @param {string} targetLocale - Target language code
  * @param {Object} aiConfig - AI configuration
  * @param {Object} rules - Translation rules
+ * @param {Array<Object | null>} notes - Per-text notes
  * @returns {Promise<string[]>} Translated texts
  */
-async function translateWithAnthropic(texts, sourceLocale, targetLocale, aiConfig, rules) {
-  const basePrompt = buildTranslationPrompt(sourceLocale, targetLocale, rules);
+async function translateWithAnthropic(texts, sourceLocale, targetLocale, aiConfig, rules, notes) {
+  const basePrompt = buildTranslationPrompt(sourceLocale, targetLocale, rules, notes);
 
   const response = await fetch('https://api.anthropic.com/v1/messages', {
     method: 'POST',
@@ -317,15 +353,16 @@ Example: ["translated text 1", "translated text 2"]`,
  * @param {string} targetLocale - Target language code
  * @param {Object} aiConfig - AI configuration
  * @param {Object} rules - Translation rules
+ * @param {Array<Object | null>} notes - Per-text notes
  * @returns {Promise<string[]>} Translated texts
  */
-async function translateWithVertexAI(texts, sourceLocale, targetLocale, aiConfig, rules) {
+async function translateWithVertexAI(texts, sourceLocale, targetLocale, aiConfig, rules, notes) {
   const accessToken = getGoogleAccessToken();
   const { projectId, location, model } = aiConfig;
 
   const endpoint = `https://${location}-aiplatform.googleapis.com/v1/projects/${projectId}/locations/${location}/publishers/google/models/${model}:generateContent`;
 
-  const basePrompt = buildTranslationPrompt(sourceLocale, targetLocale, rules);
+  const basePrompt = buildTranslationPrompt(sourceLocale, targetLocale, rules, notes);
   const prompt = `${basePrompt}
 
 Input texts:
@@ -387,9 +424,10 @@ Example: ["translated text 1", "translated text 2"]`;
  * @param {string} targetLocale - Target language code
  * @param {Object} aiConfig - AI configuration
  * @param {Object} rules - Translation rules
+ * @param {Array<Object | null>} notes - Per-text notes
  * @returns {Promise<string[]>} Translated texts
  */
-async function translateTexts(texts, sourceLocale, targetLocale, aiConfig, rules = {}) {
+async function translateTexts(texts, sourceLocale, targetLocale, aiConfig, rules = {}, notes = []) {
   if (texts.length === 0) return [];
 
   // Batch translations to avoid API limits (max 50 texts per request)
@@ -398,18 +436,20 @@ async function translateTexts(texts, sourceLocale, targetLocale, aiConfig, rules
 
   for (let i = 0; i < texts.length; i += BATCH_SIZE) {
     const batch = texts.slice(i, i + BATCH_SIZE);
+    const batchNotes = notes.slice(i, i + BATCH_SIZE);
 
     console.log(
       `  Translating batch ${Math.floor(i / BATCH_SIZE) + 1}/${Math.ceil(texts.length / BATCH_SIZE)}...`
     );
 
+    const args = [batch, sourceLocale, targetLocale, aiConfig, rules, batchNotes];
     let translated;
     if (aiConfig.provider === 'openai') {
-      translated = await translateWithOpenAI(batch, sourceLocale, targetLocale, aiConfig, rules);
+      translated = await translateWithOpenAI(...args);
     } else if (aiConfig.provider === 'vertex') {
-      translated = await translateWithVertexAI(batch, sourceLocale, targetLocale, aiConfig, rules);
+      translated = await translateWithVertexAI(...args);
     } else {
-      translated = await translateWithAnthropic(batch, sourceLocale, targetLocale, aiConfig, rules);
+      translated = await translateWithAnthropic(...args);
     }
 
     results.push(...translated);
@@ -503,7 +543,14 @@ export async function translateLocale(config, targetLocale, options = {}) {
 
   // Find all namespace files
   const files = readdirSync(sourceDir).filter(
-    (f) => f.endsWith('.json') && !f.endsWith('.meta.json')
+    (f) =>
+      f.endsWith('.json') &&
+      !f.endsWith('.meta.json') &&
+      !f.endsWith('.notes.json') &&
+      !f.endsWith('.ast.json') &&
+      !f.endsWith('.fuzzy.json') &&
+      !f.endsWith('.obsolete.json') &&
+      !f.endsWith('.reviewed.json')
   );
 
   let totalTranslated = 0;
@@ -523,25 +570,44 @@ export async function translateLocale(config, targetLocale, options = {}) {
     }
 
     const sourceMeta = JSON.parse(readFileSync(sourceMetaPath, 'utf-8'));
+    const sourceNotesPath = resolve(sourceDir, `${namespace}.notes.json`);
+    const sourceNotes = existsSync(sourceNotesPath)
+      ? JSON.parse(readFileSync(sourceNotesPath, 'utf-8'))
+      : {};
     const targetMessages = existsSync(targetMsgPath)
       ? JSON.parse(readFileSync(targetMsgPath, 'utf-8'))
       : {};
+    // Translations carried over from an edited source text (see extract)
+    const fuzzyPath = resolve(targetDir, `${namespace}.fuzzy.json`);
+    const fuzzy = existsSync(fuzzyPath) ? JSON.parse(readFileSync(fuzzyPath, 'utf-8')) : {};
 
-    // Find missing or empty translations
+    // Find missing, empty or fuzzy translations
     const textsToTranslate = [];
     const hashesToUpdate = [];
+    const keysToUpdate = [];
+    const notesToSend = [];
 
     for (const [sourceText, hash] of Object.entries(sourceMeta)) {
       const existingTranslation = targetMessages[hash];
 
-      // Skip if translation exists and is not empty
-      if (existingTranslation && existingTranslation.trim() !== '') {
+      // Skip if translation exists, is not empty and does not need review
+      if (existingTranslation && existingTranslation.trim() !== '' && !fuzzy[sourceText]) {
         totalSkipped++;
         continue;
       }
 
-      textsToTranslate.push(sourceText);
+      // Send only the source text (meta keys may be prefixed with a context)
+      const { text, context } = parseMessageKey(sourceText);
+      const notes = sourceNotes[sourceText];
+      const previous = fuzzy[sourceText] &&
+        existingTranslation && {
+          source: fuzzy[sourceText].previous,
+          translation: existingTranslation,
+        };
+      textsToTranslate.push(text);
       hashesToUpdate.push(hash);
+      keysToUpdate.push(sourceText);
+      notesToSend.push(context || notes || previous ? { context, ...notes, previous } : null);
     }
 
     if (textsToTranslate.length === 0) {
@@ -549,7 +615,11 @@ export async function translateLocale(config, targetLocale, options = {}) {
       continue;
     }
 
-    console.log(`   📊 Found ${textsToTranslate.length} missing translations`);
+    const fuzzyCount = keysToUpdate.filter((key) => fuzzy[key]).length;
+    console.log(
+      `   📊 Found ${textsToTranslate.length - fuzzyCount} missing translations` +
+        (fuzzyCount > 0 ? `, ${fuzzyCount} fuzzy` : '')
+    );
 
     if (dryRun) {
       console.log(`   🔍 [DRY RUN] Would translate:`);
@@ -569,7 +639,8 @@ export async function translateLocale(config, targetLocale, options = {}) {
       sourceLocale,
       targetLocale,
       aiConfig,
-      rules
+      rules,
+      notesToSend
     );
 
     // Update target messages
@@ -579,6 +650,7 @@ export async function translateLocale(config, targetLocale, options = {}) {
 
       if (translation) {
         targetMessages[hash] = translation;
+        delete fuzzy[keysToUpdate[i]];
         totalTranslated++;
       }
     }
@@ -593,6 +665,14 @@ export async function translateLocale(config, targetLocale, options = {}) {
 
     writeFileSync(targetMsgPath, JSON.stringify(sortedMessages, null, 2) + '\n', 'utf-8');
 
+    if (config.precompile) {
+      writeCompiledMessages(
+        resolve(targetDir, `${namespace}.ast.json`),
+        sortedMessages,
+        targetLocale
+      );
+    }
+
     // Also copy meta file to target locale (for consistency)
     const sortedMeta = Object.keys(sourceMeta)
       .sort()
@@ -603,6 +683,12 @@ export async function translateLocale(config, targetLocale, options = {}) {
 
     writeFileSync(targetMetaPath, JSON.stringify(sortedMeta, null, 2) + '\n', 'utf-8');
 
+    if (Object.keys(fuzzy).length > 0) {
+      writeFileSync(fuzzyPath, JSON.stringify(fuzzy, null, 2) + '\n', 'utf-8');
+    } else if (existsSync(fuzzyPath)) {
+      unlinkSync(fuzzyPath);
+    }
+
     console.log(`   ✅ Translated ${translations.length} messages`);
   }
 
@@ -0,0 +1,205 @@
+/**
+ * Check t() / pt() / <Trans> call sites against the catalog (text-intl validate --source)
+ * - unknown_key: text not in the namespace's meta file (extract was not run)
+ * - wrong_namespace: text only found in another namespace
+ * - value_mismatch: values missing for the message's arguments, or not used by it
+ * - dynamic_key: text, context or namespace that is not static, so the call can never be extracted
+ * - stale_meta: meta entries no call site uses anymore
+ */
+
+import { readFileSync, existsSync, readdirSync } from 'fs';
+import { resolve, relative, join, sep } from 'path';
+import { findMessages, findSourceFiles } from './extract.js';
+import { getMessageKey, parseMessageKey } from './message-key.js';
+import { parseMessage, analyzeMessage } from './icu.js';
+
+/**
+ * Names passed in a values argument
+ * @param {Object | null} node - Babel AST node of the values argument
+ * @returns {string[] | null} Property names, or null if they cannot be known statically
+ */
+function getValueNames(node) {
+  if (!node) return [];
+  if (node.type !== 'ObjectExpression') return null;
+
+  const names = [];
+  for (const prop of node.properties) {
+    if (prop.type !== 'ObjectProperty' && prop.type !== 'ObjectMethod') return null;
+    if (prop.computed) {
+      if (prop.key.type !== 'StringLiteral') return null;
+      names.push(prop.key.value);
+    } else {
+      names.push(prop.key.name ?? String(prop.key.value));
+    }
+  }
+  return names;
+}
+
+/**
+ * Arguments and tags a message takes (plain {name} for messages that are not valid ICU)
+ * @param {string} text - Source text
+ * @param {string} locale - Source locale
+ * @returns {{ variables: string[], tags: string[] }}
+ */
+function getMessageArguments(text, locale) {
+  try {
+    const { arguments: kinds, tags } = analyzeMessage(parseMessage(text, locale));
+    return { variables: Array.from(kinds.keys()), tags };
+  } catch {
+    return { variables: (text.match(/\{(\w+)\}/g) || []).map((m) => m.slice(1, -1)), tags: [] };
+  }
+}
+
+/**
+ * Read the source locale's meta files
+ * @returns {Map<string, Record<string, string>>} namespace → meta (key → hash)
+ */
+function readCatalog(messagesDir, sourceLocale) {
+  const dir = resolve(messagesDir, sourceLocale);
+  const catalog = new Map();
+  if (!existsSync(dir)) return catalog;
+
+  for (const file of readdirSync(dir).sort()) {
+    if (!file.endsWith('.meta.json')) continue;
+    catalog.set(
+      file.replace('.meta.json', ''),
+      JSON.parse(readFileSync(resolve(dir, file), 'utf-8'))
+    );
+  }
+  return catalog;
+}
+
+/**
+ * Keys merged from runtime reports (extract --merge), which no call site is expected to use
+ */
+function readRuntimeKeys(messagesDir, sourceLocale, namespace) {
+  const notesPath = resolve(messagesDir, sourceLocale, `${namespace}.notes.json`);
+  if (!existsSync(notesPath)) return new Set();
+
+  const notes = JSON.parse(readFileSync(notesPath, 'utf-8'));
+  return new Set(Object.keys(notes).filter((key) => notes[key].references?.includes('runtime')));
+}
+
+/**
+ * Check all call sites in config.include against the source locale's catalog
+ * @param {Object} config - i18n configuration
+ * @param {string} [cwd] - Project root
+ * @returns {Promise<{ issues: Object[], calls: number }>} Issues carry the file and line of the call
+ */
+export async function validateSource(config, cwd = process.cwd()) {
+  const { sourceLocale, messagesDir } = config;
+  const catalog = readCatalog(resolve(cwd, messagesDir), sourceLocale);
+  const used = new Map(Array.from(catalog.keys(), (namespace) => [namespace, new Set()]));
+  const argumentsByText = new Map();
+  const issues = [];
+  let calls = 0;
+
+  for (const file of await findSourceFiles(config, cwd)) {
+    const relativePath = relative(cwd, file).split(sep).join('/');
+    let found;
+
+    try {
+      found = findMessages(readFileSync(file, 'utf-8'), config.extract);
+    } catch (error) {
+      console.warn(`Failed to parse ${file}:`, error.message);
+      continue;
+    }
+
+    const add = (issue, node) =>
+      issues.push({
+        ...issue,
+        message: `${relativePath}:${node.loc.start.line} ${issue.message}`,
+        locale: sourceLocale,
+        file: relativePath,
+        line: node.loc.start.line,
+      });
+
+    for (const { namespace, node, reason } of found.dynamic) {
+      calls++;
+      add(
+        {
+          type: 'dynamic_key',
+          namespace: namespace ?? 'unknown',
+          message: `Cannot be extracted, ${reason}`,
+        },
+        node
+      );
+    }
+
+    for (const { namespace, text, context, node, valuesNode } of found.messages) {
+      calls++;
+      const key = getMessageKey(text, context);
+
+      if (!catalog.get(namespace)?.[key]) {
+        const others = Array.from(catalog.keys()).filter((name) => catalog.get(name)[key]);
+        add(
+          others.length > 0
+            ? {
+                type: 'wrong_namespace',
+                namespace,
+                key,
+                message: `"${text}" is not in ${namespace}, but in ${others.join(', ')}`,
+                details: { found: others },
+              }
+            : {
+                type: 'unknown_key',
+                namespace,
+                key,
+                message: `"${text}" is not in the ${namespace} catalog, run text-intl extract`,
+              },
+          node
+        );
+        continue;
+      }
+      used.get(namespace).add(key);
+
+      // <Trans> placeholders come from its children, not a values argument
+      const names = node.type === 'JSXElement' ? null : getValueNames(valuesNode);
+      if (names === null) continue;
+
+      if (!argumentsByText.has(text)) {
+        argumentsByText.set(text, getMessageArguments(text, sourceLocale));
+      }
+      const { variables, tags } = argumentsByText.get(text);
+      // Tag handlers are optional, they can come from the provider's components
+      const missing = variables.filter((name) => !names.includes(name));
+      const extra = names.filter((name) => !variables.includes(name) && !tags.includes(name));
+
+      if (missing.length > 0 || extra.length > 0) {
+        add(
+          {
+            type: 'value_mismatch',
+            namespace,
+            key,
+            message: `Values do not match "${text}"`,
+            details: { missing, extra },
+          },
+          node
+        );
+      }
+    }
+  }
+
+  // Stale meta entries point at the source locale's meta file
+  for (const [namespace, meta] of catalog) {
+    const runtimeKeys = readRuntimeKeys(resolve(cwd, messagesDir), sourceLocale, namespace);
+    const metaFile = join(messagesDir, sourceLocale, `${namespace}.meta.json`);
+    const lines = readFileSync(resolve(cwd, metaFile), 'utf-8').split('\n');
+
+    for (const key of Object.keys(meta)) {
+      if (used.get(namespace).has(key) || runtimeKeys.has(key)) continue;
+      const index = lines.findIndex((line) => line.includes(`${JSON.stringify(key)}:`));
+      issues.push({
+        type: 'stale_meta',
+        locale: sourceLocale,
+        namespace,
+        key,
+        message: `"${parseMessageKey(key).text}" is not used in source anymore`,
+        file: metaFile,
+        ...(index !== -1 ? { line: index + 1 } : {}),
+      });
+    }
+  }
+
+  return { issues, calls };
+}
@@ -5,31 +5,262 @@
 import { readFileSync, existsSync } from 'fs';
 import { resolve, join } from 'path';
 import { glob } from 'glob';
+import { getFallbackChain } from './fallback.js';
+import { parseMessage, analyzeMessage, isICUMessage } from './icu.js';
+import { validateSource } from './validate-source.js';
 
 /**
- * Extract variables from a translation string
+ * Extract variables from a plain (non-ICU) translation string
  */
 function extractVariables(text) {
   const matches = text.match(/\{(\w+)\}/g) || [];
   return matches.map((m) => m.slice(1, -1));
 }
 
+/**
+ * Parse and analyze a message (see analyzeMessage)
+ * @returns {ReturnType<typeof analyzeMessage> & { error?: string }} error is set for invalid ICU
+ */
+function analyze(message, locale) {
+  try {
+    return analyzeMessage(parseMessage(message, locale));
+  } catch (error) {
+    const result = {
+      arguments: new Map(extractVariables(message).map((name) => [name, 'argument'])),
+      tags: [],
+      plurals: [],
+      strayPound: false,
+    };
+    // Plain text is only substituted by the runtime, so it cannot fail
+    return isICUMessage(message) ? { ...result, error: error.message } : result;
+  }
+}
+
+// Plural rules repeat every 100 integers, so this range holds every category =N selectors can cover
+const EXACT_SAMPLE_LIMIT = 200;
+// "locale:type" → plural category → integers below EXACT_SAMPLE_LIMIT
+const integerSamples = new Map();
+
+/**
+ * Integers below EXACT_SAMPLE_LIMIT in each plural category of a locale
+ * @param {string} locale
+ * @param {'cardinal' | 'ordinal'} type
+ * @returns {Map<string, number[]>}
+ */
+function getIntegerSamples(locale, type) {
+  const cacheKey = `${locale}:${type}`;
+  if (!integerSamples.has(cacheKey)) {
+    const rules = new Intl.PluralRules(locale, { type });
+    const samples = new Map();
+    for (let n = 0; n < EXACT_SAMPLE_LIMIT; n++) {
+      const category = rules.select(n);
+      samples.set(category, [...(samples.get(category) ?? []), n]);
+    }
+    integerSamples.set(cacheKey, samples);
+  }
+  return integerSamples.get(cacheKey);
+}
+
+/**
+ * Check a message on its own: ICU syntax, plural categories of the locale and stray "#"
+ * A category is also covered by =N selectors for all of its integers (=1 for English "one")
+ * @returns {Array<{ type: string, message: string, details?: Object }>}
+ */
+function checkMessage(analysis, locale, key) {
+  if (analysis.error) {
+    return [
+      {
+        type: 'syntax_error',
+        message: `Invalid ICU message "${key}"`,
+        details: { error: analysis.error },
+      },
+    ];
+  }
+
+  const problems = [];
+
+  for (const { name, ordinal, selectors } of analysis.plurals) {
+    const type = ordinal ? 'ordinal' : 'cardinal';
+    const required = new Intl.PluralRules(locale, { type }).resolvedOptions().pluralCategories;
+    const samples = getIntegerSamples(locale, type);
+    const exact = new Set(
+      selectors
+        .filter((selector) => selector.startsWith('='))
+        .map((selector) => Number(selector.slice(1)))
+    );
+    const missing = required.filter(
+      (category) =>
+        !selectors.includes(category) && !samples.get(category)?.every((n) => exact.has(n))
+    );
+
+    if (missing.length > 0) {
+      problems.push({
+        type: 'plural_categories',
+        message: `Missing plural categories for {${name}} in "${key}"`,
+        details: { categories: missing },
+      });
+    }
+  }
+
+  if (analysis.strayPound) {
+    problems.push({
+      type: 'pound_outside_plural',
+      message: `"#" outside a plural option is rendered as is in "${key}"`,
+    });
+  }
+
+  return problems;
+}
+
+/**
+ * Compare the arguments and tags of a translation with its source message
+ * Plain {name} matches any argument type (e.g. a translation adding a plural)
+ * @returns {Array<{ type: string, message: string, details: Object }>}
+ */
+function compareMessages(source, target, key) {
+  const problems = [];
+  const sourceVars = Array.from(source.arguments.keys());
+  const targetVars = Array.from(target.arguments.keys());
+
+  const missingVars = sourceVars.filter((v) => !target.arguments.has(v));
+  const extraVars = targetVars.filter((v) => !source.arguments.has(v));
+  const typeMismatches = sourceVars
+    .filter((v) => target.arguments.has(v))
+    .map((v) => ({ name: v, source: source.arguments.get(v), target: target.arguments.get(v) }))
+    .filter((v) => v.source !== v.target && v.source !== 'argument' && v.target !== 'argument');
+
+  if (missingVars.length > 0 || extraVars.length > 0 || typeMismatches.length > 0) {
+    problems.push({
+      type: 'variable_mismatch',
+      message: `Variable mismatch in "${key}"`,
+      details: {
+        missing: missingVars,
+        extra: extraVars,
+        types: typeMismatches.map((v) => `{${v.name}}: ${v.source} → ${v.target}`),
+      },
+    });
+  }
+
+  const missingTags = source.tags.filter((tag) => !target.tags.includes(tag));
+  const extraTags = target.tags.filter((tag) => !source.tags.includes(tag));
+
+  if (missingTags.length > 0 || extraTags.length > 0) {
+    problems.push({
+      type: 'tag_mismatch',
+      message: `Tag mismatch in "${key}"`,
+      details: { missingTags, extraTags },
+    });
+  }
+
+  return problems;
+}
+
+// Severity of each issue type (config.validate.severity overrides, 'off' hides the type)
+export const DEFAULT_SEVERITY = {
+  missing_file: 'error',
+  missing: 'error',
+  empty: 'error',
+  syntax_error: 'error',
+  variable_mismatch: 'error',
+  tag_mismatch: 'error',
+  plural_categories: 'error',
+  pound_outside_plural: 'error',
+  extra: 'error',
+  inherited: 'info',
+  fuzzy: 'warning',
+  // --source
+  unknown_key: 'error',
+  wrong_namespace: 'error',
+  value_mismatch: 'error',
+  dynamic_key: 'warning',
+  stale_meta: 'warning',
+};
+
+// Most to least severe; --fail-on X fails on X and anything more severe
+const SEVERITY_LEVELS = ['error', 'warning', 'info'];
+
+/**
+ * Read a locale's namespace file
+ * @returns {Record<string, string> | null} Messages, or null if the file does not exist
+ */
+function readMessages(messagesDir, locale, namespace) {
+  const file = resolve(messagesDir, locale, `${namespace}.json`);
+  return existsSync(file) ? JSON.parse(readFileSync(file, 'utf-8')) : null;
+}
+
+/**
+ * Read a locale's fuzzy sidecar, keyed by hash
+ * @returns {Record<string, { previous: string }>} Translations carried over from an edited source text
+ */
+function readFuzzy(messagesDir, locale, namespace) {
+  const fuzzyFile = resolve(messagesDir, locale, `${namespace}.fuzzy.json`);
+  const metaFile = resolve(messagesDir, locale, `${namespace}.meta.json`);
+  if (!existsSync(fuzzyFile) || !existsSync(metaFile)) return {};
+
+  const fuzzy = JSON.parse(readFileSync(fuzzyFile, 'utf-8'));
+  const meta = JSON.parse(readFileSync(metaFile, 'utf-8'));
+  const byHash = {};
+  for (const [sourceText, entry] of Object.entries(fuzzy)) {
+    if (meta[sourceText]) byHash[meta[sourceText]] = entry;
+  }
+  return byHash;
+}
+
 /**
  * Validate translations
+ * Keys missing in a locale but present in its fallback chain are reported as "inherited"
+ * (the source locale does not count, since t() renders the source text anyway)
+ * Messages are parsed as ICU: syntax errors, argument / tag mismatches with the source,
+ * plural categories required by the locale (CLDR) and "#" outside plural are reported
+ * Fuzzy translations (carried over from an edited source text) are reported and not counted as covered
+ * @param {Object} config - i18n configuration (config.validate.severity: issue type → error | warning | info | off)
+ * @param {{ source?: boolean, cwd?: string }} [options] - source: also check call sites (see validate-source.js)
+ * @returns {Promise<{ issues: Object[], stats: Object, coverage: Object[], summary: Object }>}
+ *   Issues have a severity and the file / line of the key; coverage is per locale × namespace
  */
-export async function validateTranslations(config) {
-  const { sourceLocale, locales, messagesDir } = config;
+export async function validateTranslations(config, options = {}) {
+  const { sourceLocale, locales, messagesDir, fallbackLocale } = config;
+  const severities = { ...DEFAULT_SEVERITY, ...config.validate?.severity };
   const issues = [];
+  const coverage = [];
   const stats = {
     total: 0,
     missing: 0,
+    inherited: 0,
+    fuzzy: 0,
     variableMismatch: 0,
+    tagMismatch: 0,
+    syntaxError: 0,
+    pluralCategories: 0,
     empty: 0,
   };
+  const statKeys = {
+    variable_mismatch: 'variableMismatch',
+    tag_mismatch: 'tagMismatch',
+    syntax_error: 'syntaxError',
+    plural_categories: 'pluralCategories',
+  };
+  const report = (problems, locale, namespace, key) => {
+    for (const problem of problems) {
+      issues.push({ ...problem, locale, namespace, key });
+      if (statKeys[problem.type]) stats[statKeys[problem.type]]++;
+    }
+  };
 
   // Find all namespace files
   const pattern = join(messagesDir, sourceLocale, '*.json');
-  const sourceFiles = await glob(pattern);
+  const sourceFiles = (
+    await glob(pattern, {
+      ignore: [
+        '**/*.meta.json',
+        '**/*.notes.json',
+        '**/*.ast.json',
+        '**/*.fuzzy.json',
+        '**/*.obsolete.json',
+        '**/*.reviewed.json',
+      ],
+    })
+  ).sort();
 
   for (const sourceFile of sourceFiles) {
     const namespace = sourceFile.split('/').pop().replace('.json', '');
@@ -37,13 +268,30 @@ export async function validateTranslations(config) {
     const keys = Object.keys(sourceMessages);
     stats.total += keys.length;
 
+    // Source messages are checked on their own, translations are compared with them
+    const sourceAnalysis = {};
+    for (const key of keys) {
+      if (typeof sourceMessages[key] !== 'string') continue;
+      sourceAnalysis[key] = analyze(sourceMessages[key], sourceLocale);
+      report(checkMessage(sourceAnalysis[key], sourceLocale, key), sourceLocale, namespace, key);
+    }
+
     // Check each target locale
     for (const targetLocale of locales) {
       if (targetLocale === sourceLocale) continue;
 
-      const targetFile = resolve(messagesDir, targetLocale, `${namespace}.json`);
+      const fallbacks = getFallbackChain(targetLocale, fallbackLocale, locales)
+        .slice(1)
+        .filter((locale) => locale !== sourceLocale)
+        .map((locale) => ({
+          locale,
+          messages: readMessages(messagesDir, locale, namespace) ?? {},
+        }));
+
+      const targetMessages = readMessages(messagesDir, targetLocale, namespace);
 
-      if (!existsSync(targetFile)) {
+      // Regional locales may omit whole namespaces and inherit them from the chain
+      if (!targetMessages && fallbacks.length === 0) {
         issues.push({
           type: 'missing_file',
           locale: targetLocale,
@@ -51,17 +299,32 @@ export async function validateTranslations(config) {
           message: `Missing file: ${targetLocale}/${namespace}.json`,
         });
         stats.missing += keys.length;
+        coverage.push({ locale: targetLocale, namespace, total: keys.length, translated: 0 });
         continue;
       }
 
-      const targetMessages = JSON.parse(readFileSync(targetFile, 'utf-8'));
+      const counts = { locale: targetLocale, namespace, total: keys.length, translated: 0 };
+      coverage.push(counts);
+      const fuzzy = readFuzzy(messagesDir, targetLocale, namespace);
 
       for (const key of keys) {
-        const sourceValue = sourceMessages[key];
-        const targetValue = targetMessages[key];
+        const targetValue = targetMessages?.[key];
 
-        // Check for missing translation
+        // Check for missing translation (or one inherited from the fallback chain)
         if (targetValue === undefined) {
+          const inheritedFrom = fallbacks.find((fallback) => fallback.messages[key]);
+          if (inheritedFrom) {
+            issues.push({
+              type: 'inherited',
+              locale: targetLocale,
+              namespace,
+              key,
+              message: `"${key}" inherited from ${inheritedFrom.locale}`,
+            });
+            stats.inherited++;
+            continue;
+          }
+
           issues.push({
             type: 'missing',
             locale: targetLocale,
@@ -86,31 +349,34 @@ export async function validateTranslations(config) {
           continue;
         }
 
-        // Check for variable mismatch
-        const sourceVars = extractVariables(sourceValue);
-        const targetVars = extractVariables(targetValue);
-
-        const missingVars = sourceVars.filter((v) => !targetVars.includes(v));
-        const extraVars = targetVars.filter((v) => !sourceVars.includes(v));
-
-        if (missingVars.length > 0 || extraVars.length > 0) {
+        // Carried over from an edited source text, still checked against the new one
+        if (fuzzy[key]) {
           issues.push({
-            type: 'variable_mismatch',
+            type: 'fuzzy',
             locale: targetLocale,
             namespace,
             key,
-            message: `Variable mismatch in "${key}"`,
-            details: {
-              missing: missingVars,
-              extra: extraVars,
-            },
+            message: `Fuzzy translation for "${key}" needs review`,
+            details: { previous: fuzzy[key].previous },
           });
-          stats.variableMismatch++;
+          stats.fuzzy++;
+        } else {
+          counts.translated++;
         }
+
+        const target = analyze(targetValue, targetLocale);
+        const source = sourceAnalysis[key];
+        const problems = checkMessage(target, targetLocale, key);
+
+        // Mismatches are only meaningful when both messages parse
+        if (source && !source.error && !target.error) {
+          problems.push(...compareMessages(source, target, key));
+        }
+        report(problems, targetLocale, namespace, key);
       }
 
       // Check for extra keys in target (not in source)
-      const extraKeys = Object.keys(targetMessages).filter((k) => !keys.includes(k));
+      const extraKeys = Object.keys(targetMessages ?? {}).filter((k) => !keys.includes(k));
       for (const key of extraKeys) {
         issues.push({
           type: 'extra',
@@ -123,25 +389,123 @@ export async function validateTranslations(config) {
     }
   }
 
-  return { issues, stats };
+  if (options.source) {
+    const source = await validateSource(config, options.cwd);
+    issues.push(...source.issues);
+    stats.calls = source.calls;
+  }
+
+  const located = issues
+    .map((issue) => ({
+      ...issue,
+      severity: severities[issue.type] ?? 'error',
+      // Call site issues are already located
+      ...(issue.file ? {} : locateIssue(messagesDir, sourceLocale, issue)),
+    }))
+    .filter((issue) => issue.severity !== 'off');
+
+  for (const entry of coverage) {
+    entry.percent = getPercent(entry.translated, entry.total);
+  }
+
+  return { issues: located, stats, coverage, summary: summarize(located, coverage) };
+}
+
+/**
+ * Percentage with one decimal (100 for no keys)
+ */
+function getPercent(count, total) {
+  return total === 0 ? 100 : Math.round((count / total) * 1000) / 10;
+}
+
+/**
+ * Count issues by severity and total coverage
+ */
+function summarize(issues, coverage) {
+  const summary = { error: 0, warning: 0, info: 0 };
+  for (const issue of issues) summary[issue.severity]++;
+
+  const total = coverage.reduce((sum, entry) => sum + entry.total, 0);
+  const translated = coverage.reduce((sum, entry) => sum + entry.translated, 0);
+  return { ...summary, coverage: getPercent(translated, total) };
+}
+
+// File path → lines, for locating keys
+const fileLines = new Map();
+
+/**
+ * File and line of an issue's key, for CI annotations
+ * Keys missing from the locale's file point to the source locale's file
+ * @returns {{ file: string, line?: number }}
+ */
+function locateIssue(messagesDir, sourceLocale, { locale, namespace, key }) {
+  const candidates = [locale, sourceLocale].map((l) => join(messagesDir, l, `${namespace}.json`));
+
+  if (key !== undefined) {
+    for (const file of candidates) {
+      if (!fileLines.has(file)) {
+        fileLines.set(file, existsSync(file) ? readFileSync(file, 'utf-8').split('\n') : []);
+      }
+      const index = fileLines
+        .get(file)
+        .findIndex((line) => line.includes(`${JSON.stringify(key)}:`));
+      if (index !== -1) return { file, line: index + 1 };
+    }
+  }
+
+  return { file: candidates[0] };
+}
+
+/**
+ * Whether validation should fail the build
+ * @param {Awaited<ReturnType<typeof validateTranslations>>} result
+ * @param {{ failOn?: 'error' | 'warning' | 'info' | 'none', minCoverage?: number }} [options]
+ *   failOn: lowest severity that fails (default: error); minCoverage: lowest coverage per locale × namespace
+ * @returns {boolean}
+ */
+export function shouldFail({ issues, coverage }, { failOn = 'error', minCoverage } = {}) {
+  const failing = SEVERITY_LEVELS.slice(0, SEVERITY_LEVELS.indexOf(failOn) + 1);
+  if (issues.some((issue) => failing.includes(issue.severity))) return true;
+
+  return minCoverage !== undefined && coverage.some((entry) => entry.percent < minCoverage);
 }
 
 /**
  * Print validation report
+ * @param {Awaited<ReturnType<typeof validateTranslations>>} result
+ * @param {{ limit?: number }} [options] - Issues shown per type (default: 10)
+ * @returns {boolean} Whether there are no errors
  */
-export function printReport({ issues, stats }) {
+export function printReport({ issues, stats, coverage, summary }, { limit = 10 } = {}) {
   console.log('\n📊 Validation Report\n');
   console.log(`   Total keys: ${stats.total}`);
   console.log(`   Missing: ${stats.missing}`);
+  console.log(`   Inherited: ${stats.inherited}`);
+  console.log(`   Fuzzy: ${stats.fuzzy}`);
   console.log(`   Empty: ${stats.empty}`);
   console.log(`   Variable mismatch: ${stats.variableMismatch}`);
+  console.log(`   Tag mismatch: ${stats.tagMismatch}`);
+  console.log(`   Syntax errors: ${stats.syntaxError}`);
+  console.log(`   Plural categories: ${stats.pluralCategories}`);
+  if (stats.calls !== undefined) {
+    console.log(`   Call sites checked: ${stats.calls}`);
+  }
+
+  if (coverage.length > 0) {
+    console.log(`\n📈 Coverage: ${summary.coverage}%\n`);
+    for (const { locale, namespace, translated, total, percent } of coverage) {
+      console.log(`   ${locale}/${namespace}: ${percent}% (${translated}/${total})`);
+    }
+  }
 
   if (issues.length === 0) {
     console.log('\n✅ All translations are valid!\n');
     return true;
   }
 
-  console.log(`\n⚠️  Found ${issues.length} issues:\n`);
+  console.log(
+    `\n⚠️  Found ${issues.length} issues (${summary.error} errors, ${summary.warning} warnings, ${summary.info} info):\n`
+  );
 
   // Group by type
   const grouped = {};
@@ -153,14 +517,25 @@ export function printReport({ issues, stats }) {
   const typeLabels = {
     missing_file: '📁 Missing Files',
     missing: '❌ Missing Translations',
+    inherited: '↪️  Inherited Translations',
+    fuzzy: '🟡 Fuzzy Translations',
     empty: '⚪ Empty Translations',
+    syntax_error: '💥 ICU Syntax Errors',
     variable_mismatch: '🔀 Variable Mismatches',
+    tag_mismatch: '🏷️  Tag Mismatches',
+    plural_categories: '🔢 Missing Plural Categories',
+    pound_outside_plural: '#️⃣  "#" Outside Plural',
     extra: '➕ Extra Keys',
+    unknown_key: '❓ Unknown Keys in Source',
+    wrong_namespace: '📂 Wrong Namespace',
+    value_mismatch: '🧩 Value Mismatches in Source',
+    dynamic_key: '🌀 Dynamic Keys',
+    stale_meta: '🗑️  Stale Meta Entries',
   };
 
   for (const [type, items] of Object.entries(grouped)) {
-    console.log(`${typeLabels[type] || type}:`);
-    for (const item of items.slice(0, 10)) {
+    console.log(`${typeLabels[type] || type} (${items[0].severity}):`);
+    for (const item of items.slice(0, limit)) {
       console.log(`   [${item.locale}/${item.namespace}] ${item.message}`);
       if (item.details) {
         if (item.details.missing?.length) {
@@ -169,13 +544,31 @@ export function printReport({ issues, stats }) {
         if (item.details.extra?.length) {
           console.log(`      Extra vars: {${item.details.extra.join('}, {')}}`);
         }
+        if (item.details.types?.length) {
+          console.log(`      Type changes: ${item.details.types.join(', ')}`);
+        }
+        if (item.details.missingTags?.length) {
+          console.log(`      Missing tags: <${item.details.missingTags.join('>, <')}>`);
+        }
+        if (item.details.extraTags?.length) {
+          console.log(`      Extra tags: <${item.details.extraTags.join('>, <')}>`);
+        }
+        if (item.details.categories?.length) {
+          console.log(`      Missing categories: ${item.details.categories.join(', ')}`);
+        }
+        if (item.details.previous) {
+          console.log(`      Translated from: "${item.details.previous}"`);
+        }
+        if (item.details.error) {
+          console.log(`      ${item.details.error}`);
+        }
       }
     }
-    if (items.length > 10) {
-      console.log(`   ... and ${items.length - 10} more\n`);
+    if (items.length > limit) {
+      console.log(`   ... and ${items.length - limit} more (--verbose shows all)\n`);
     }
     console.log('');
   }
 
-  return false;
+  return summary.error === 0;
 }
@@ -1,14 +1,17 @@
 /**
  * Watch mode for automatic extraction
+ * Source files are cached by content, so a change only parses the files that changed
  */
 
 import chokidar from 'chokidar';
 import { resolve } from 'path';
 import { extractMessages } from './extract.js';
+import { createExtractCache } from './incremental.js';
 
 export async function watchFiles(config, cwd = process.cwd()) {
   let timer = null;
   let isProcessing = false;
+  const cache = createExtractCache(cwd, config.extract);
 
   const processChanges = async () => {
     if (isProcessing) return;
@@ -16,8 +19,11 @@ export async function watchFiles(config, cwd = process.cwd()) {
 
     try {
       console.log('🔄 Extracting messages...');
-      const result = await extractMessages(config, cwd);
-      console.log(`✅ Found ${result.total} messages (${result.new} new)`);
+      const result = await extractMessages(config, cwd, { cache });
+      console.log(
+        `✅ Found ${result.total} messages (${result.new} new, ${result.archived} archived, ${result.restored} restored)`
+      );
+      console.log(`   Parsed ${result.parsed} file(s), wrote ${result.written} file(s)`);
     } catch (error) {
       console.error('❌ Error:', error.message);
     } finally {
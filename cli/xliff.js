@@ -0,0 +1,396 @@
+/**
+ * XLIFF 2.0 files for CAT tools (Trados, memoQ, Phrase, ...)
+ * One <file> per namespace and one <unit> per message, with the message hash as unit id
+ * ICU syntax and tags are inline codes, so translators cannot break them:
+ * placeholders, "#" and the plural / select skeleton become <ph/>, tags with content become <pc>
+ * (read back from <sc/> / <ec/> too, which CAT tools write when they split a <pc> across segments)
+ */
+
+import { isICUMessage, parseMessageLocations, ELEMENT } from './icu.js';
+
+const XLIFF_NAMESPACE = 'urn:oasis:names:tc:xliff:document:2.0';
+
+// Segment states, least to most final ("final" is read as reviewed)
+export const XLIFF_STATES = ['initial', 'translated', 'reviewed', 'final'];
+
+/**
+ * @typedef {{ text: string } | { ph: string } | { pc: [string, string], children: MessagePart[] }} MessagePart
+ */
+
+/**
+ * @typedef {Object} XLIFFUnit
+ * @property {string} id - Message hash
+ * @property {string} source - Source text
+ * @property {string} [target] - Translation (omitted if untranslated)
+ * @property {'initial' | 'translated' | 'reviewed'} state
+ * @property {Array<{ category: string, text: string }>} [notes]
+ */
+
+/**
+ * Escape text or an attribute value for XML
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeXML(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Inverse of escapeXML, plus &apos; and numeric character references
+ * @param {string} text
+ * @returns {string}
+ */
+function unescapeXML(text) {
+  const entities = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+  return text.replace(/&(#x[\da-f]+|#\d+|\w+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code =
+        entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : Number(entity.slice(1));
+      return String.fromCodePoint(code);
+    }
+    return entities[entity] ?? match;
+  });
+}
+
+/**
+ * Attributes of a start tag
+ * @param {string} source - Attribute part of the tag
+ * @returns {Record<string, string>}
+ */
+function parseAttributes(source) {
+  const attributes = {};
+  for (const [, name, double, single] of source.matchAll(
+    /([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g
+  )) {
+    attributes[name] = unescapeXML(double ?? single);
+  }
+  return attributes;
+}
+
+/**
+ * Original form of a tag (numeric tags were normalized to <tag-0>)
+ */
+function getTagName(name) {
+  return name.replace(/^tag-(\d+)$/, '$1');
+}
+
+/**
+ * Split AST elements into text and inline codes, using their offsets in the message
+ * @param {Object[]} elements - AST elements (parsed with locations)
+ * @param {string} message - Normalized message
+ * @param {number} from - Start offset of the elements' range
+ * @param {number} to - End offset of the elements' range
+ * @returns {MessagePart[]}
+ */
+function splitElements(elements, message, from, to) {
+  const parts = [];
+  let cursor = from;
+
+  const text = (end) => {
+    if (end > cursor) parts.push({ text: message.slice(cursor, end) });
+  };
+
+  for (const element of elements) {
+    const { start, end } = element.location;
+    text(start.offset);
+
+    switch (element.type) {
+      case ELEMENT.literal:
+        parts.push({ text: message.slice(start.offset, end.offset) });
+        break;
+      case ELEMENT.tag: {
+        const name = getTagName(element.value);
+        const openEnd = message.indexOf('>', start.offset) + 1;
+        const closeStart = message.lastIndexOf('<', end.offset - 1);
+
+        if (element.children.length === 0) {
+          parts.push({ ph: `<${name}/>` });
+        } else {
+          parts.push({
+            pc: [`<${name}>`, `</${name}>`],
+            children: splitElements(element.children, message, openEnd, closeStart),
+          });
+        }
+        break;
+      }
+      case ELEMENT.select:
+      case ELEMENT.plural: {
+        // "{count, plural, one {" ... "} other {" ... "}}": the skeleton is code, option texts are not
+        const options = Object.values(element.options).sort(
+          (a, b) => a.location.start.offset - b.location.start.offset
+        );
+        let codeStart = start.offset;
+
+        for (const option of options) {
+          const optionStart = option.location.start.offset;
+          const optionEnd = option.location.end.offset;
+          parts.push({ ph: message.slice(codeStart, optionStart + 1) });
+          parts.push(...splitElements(option.value, message, optionStart + 1, optionEnd - 1));
+          codeStart = optionEnd - 1;
+        }
+        parts.push({ ph: message.slice(codeStart, end.offset) });
+        break;
+      }
+      default:
+        // Arguments, number / date / time and "#"
+        parts.push({ ph: message.slice(start.offset, end.offset) });
+    }
+    cursor = end.offset;
+  }
+  text(to);
+
+  // Adjacent codes read better as one ("}}" closing nested options)
+  return parts.reduce((merged, part) => {
+    const last = merged[merged.length - 1];
+    if (last && 'ph' in last && 'ph' in part) last.ph += part.ph;
+    else if (last && 'text' in last && 'text' in part) last.text += part.text;
+    else merged.push({ ...part });
+    return merged;
+  }, []);
+}
+
+/**
+ * Split a message into text and inline codes
+ * Messages the runtime does not format as ICU (or that do not parse) only have {name} placeholders
+ * @param {string} message
+ * @returns {MessagePart[]}
+ */
+export function splitMessage(message) {
+  if (isICUMessage(message)) {
+    try {
+      const { ast, normalized } = parseMessageLocations(message);
+      return splitElements(ast, normalized, 0, normalized.length);
+    } catch {
+      // Invalid ICU (reported by validate): fall back to plain placeholders
+    }
+  }
+
+  const parts = [];
+  let cursor = 0;
+  for (const match of message.matchAll(/\{\w+\}/g)) {
+    if (match.index > cursor) parts.push({ text: message.slice(cursor, match.index) });
+    parts.push({ ph: match[0] });
+    cursor = match.index + match[0].length;
+  }
+  if (cursor < message.length) parts.push({ text: message.slice(cursor) });
+  return parts;
+}
+
+/**
+ * Source and target content of a unit with their shared original data
+ * Target codes reuse the id of the source code with the same data, so CAT tools can match them
+ * @param {string} source
+ * @param {string} [target]
+ * @returns {{ source: string, target?: string, data: Array<[string, string]> }} data: [id, value]
+ */
+function formatContent(source, target) {
+  const dataIds = new Map();
+  const dataRef = (value) => {
+    if (!dataIds.has(value)) dataIds.set(value, `d${dataIds.size + 1}`);
+    return dataIds.get(value);
+  };
+  let nextId = 1;
+  const sourceCodes = [];
+
+  const render = (parts, assign) =>
+    parts
+      .map((part) => {
+        if ('text' in part) return escapeXML(part.text);
+        if ('ph' in part) {
+          const id = assign(`ph:${part.ph}`);
+          return `<ph id="${id}" dataRef="${dataRef(part.ph)}" disp="${escapeXML(part.ph)}"/>`;
+        }
+        const [start, end] = part.pc;
+        const id = assign(`pc:${start}:${end}`);
+        return (
+          `<pc id="${id}" dataRefStart="${dataRef(start)}" dataRefEnd="${dataRef(end)}" ` +
+          `dispStart="${escapeXML(start)}" dispEnd="${escapeXML(end)}">` +
+          `${render(part.children, assign)}</pc>`
+        );
+      })
+      .join('');
+
+  const sourceContent = render(splitMessage(source), (signature) => {
+    const id = String(nextId++);
+    sourceCodes.push({ id, signature });
+    return id;
+  });
+
+  const targetContent =
+    target === undefined
+      ? undefined
+      : render(splitMessage(target), (signature) => {
+          const index = sourceCodes.findIndex((code) => code.signature === signature);
+          if (index === -1) return String(nextId++);
+          return sourceCodes.splice(index, 1)[0].id;
+        });
+
+  return {
+    source: sourceContent,
+    target: targetContent,
+    data: Array.from(dataIds, ([value, id]) => [id, value]),
+  };
+}
+
+/**
+ * Serialize an XLIFF 2.0 document with one file
+ * @param {{ srcLang: string, trgLang: string, fileId: string, units: XLIFFUnit[] }} document
+ * @returns {string}
+ */
+export function formatXLIFF({ srcLang, trgLang, fileId, units }) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<xliff xmlns="${XLIFF_NAMESPACE}" version="2.0" srcLang="${escapeXML(srcLang)}" trgLang="${escapeXML(trgLang)}">`,
+    `  <file id="${escapeXML(fileId)}" xml:space="preserve">`,
+  ];
+
+  for (const unit of units) {
+    const { source, target, data } = formatContent(unit.source, unit.target);
+    lines.push(`    <unit id="${escapeXML(unit.id)}">`);
+
+    if (unit.notes?.length) {
+      lines.push('      <notes>');
+      for (const { category, text } of unit.notes) {
+        lines.push(`        <note category="${escapeXML(category)}">${escapeXML(text)}</note>`);
+      }
+      lines.push('      </notes>');
+    }
+    if (data.length > 0) {
+      lines.push('      <originalData>');
+      for (const [id, value] of data) {
+        lines.push(`        <data id="${id}">${escapeXML(value)}</data>`);
+      }
+      lines.push('      </originalData>');
+    }
+
+    lines.push(`      <segment state="${unit.state}">`);
+    lines.push(`        <source>${source}</source>`);
+    if (target !== undefined) lines.push(`        <target>${target}</target>`);
+    lines.push('      </segment>');
+    lines.push('    </unit>');
+  }
+
+  lines.push('  </file>', '</xliff>');
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Rebuild a message from inline content, replacing codes by their original data
+ * Markers added by CAT tools (<mrk>, <sm/>, ...) are dropped, their text is kept
+ * @param {string} content - Inner XML of <source> / <target>
+ * @param {Map<string, string>} data - Original data by id
+ * @returns {string}
+ * @throws {Error} If a <sc/> / <ec/> has neither original data nor a display text
+ */
+function joinContent(content, data) {
+  const ends = [];
+  let message = '';
+  const tokens = content.matchAll(
+    /<(\/?)([\w:]+)((?:\s+[\w:-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g
+  );
+
+  for (const [, closing, name, attributeSource, selfClosing, text] of tokens) {
+    if (text !== undefined) {
+      message += unescapeXML(text);
+      continue;
+    }
+
+    const attributes = parseAttributes(attributeSource ?? '');
+    const code = (ref, fallback) => data.get(attributes[ref]) ?? attributes[fallback] ?? '';
+
+    if (name === 'ph') {
+      message += code('dataRef', 'disp');
+    } else if (name === 'pc' && closing) {
+      message += ends.pop() ?? '';
+    } else if (name === 'pc' && !selfClosing) {
+      message += code('dataRefStart', 'dispStart');
+      ends.push(code('dataRefEnd', 'dispEnd'));
+    } else if (name === 'sc' || name === 'ec') {
+      // Half of a paired code: dataRef per the spec, or the attributes of the <pc> it was split from
+      const [ref, disp] = name === 'sc' ? ['dataRefStart', 'dispStart'] : ['dataRefEnd', 'dispEnd'];
+      const value =
+        data.get(attributes.dataRef ?? attributes[ref]) ?? attributes.disp ?? attributes[disp];
+      if (value === undefined) {
+        throw new Error(`<${name}> without original data (dataRef) or display text (disp)`);
+      }
+      message += value;
+    } else if (name === 'cp' && attributes.hex) {
+      message += String.fromCodePoint(parseInt(attributes.hex, 16));
+    }
+  }
+  return message;
+}
+
+/**
+ * Parse an XLIFF 2.0 document
+ * Segments of a unit (CAT tools may split them) are joined; the unit gets its least final state
+ * @param {string} content
+ * @returns {{ srcLang?: string, trgLang?: string, files: Array<{ id: string, units: XLIFFUnit[] }> }}
+ */
+export function parseXLIFF(content) {
+  const root = parseAttributes(content.match(/<xliff\b([^>]*)>/)?.[1] ?? '');
+  if (root.version && !root.version.startsWith('2.')) {
+    throw new Error(`Unsupported XLIFF version ${root.version} (expected 2.0)`);
+  }
+
+  const files = [];
+  for (const [, fileAttributes, fileContent] of content.matchAll(
+    /<file\b([^>]*)>([\s\S]*?)<\/file>/g
+  )) {
+    const units = [];
+
+    for (const [, unitAttributes, unitContent] of fileContent.matchAll(
+      /<unit\b([^>]*)>([\s\S]*?)<\/unit>/g
+    )) {
+      const { id } = parseAttributes(unitAttributes);
+      const data = new Map();
+      for (const [, dataAttributes, value = ''] of unitContent.matchAll(
+        /<data\b([^>]*?)(?:\/>|>([\s\S]*?)<\/data>)/g
+      )) {
+        data.set(parseAttributes(dataAttributes).id, joinContent(value, new Map()));
+      }
+
+      let source = '';
+      let target = '';
+      let untranslated = false;
+      let state = 'reviewed';
+      for (const [, kind, segmentAttributes, segmentContent] of unitContent.matchAll(
+        /<(segment|ignorable)\b([^>]*)>([\s\S]*?)<\/\1>/g
+      )) {
+        const sourceContent =
+          segmentContent.match(/<source\b[^>]*>([\s\S]*?)<\/source>/)?.[1] ?? '';
+        const targetContent = segmentContent.match(/<target\b[^>]*>([\s\S]*?)<\/target>/)?.[1];
+        try {
+          source += joinContent(sourceContent, data);
+          // Ignorables (whitespace between segments) keep their source when they have no target
+          target += joinContent(targetContent ?? sourceContent, data);
+        } catch (error) {
+          throw new Error(`Unit "${id}": ${error.message}`);
+        }
+
+        if (kind === 'segment') {
+          if (targetContent === undefined) untranslated = true;
+          const segmentState = parseAttributes(segmentAttributes).state ?? 'initial';
+          if (XLIFF_STATES.indexOf(segmentState) < XLIFF_STATES.indexOf(state)) {
+            state = segmentState;
+          }
+        }
+      }
+
+      units.push({
+        id,
+        source,
+        ...(untranslated ? {} : { target }),
+        state: state === 'final' ? 'reviewed' : state,
+      });
+    }
+
+    files.push({ id: parseAttributes(fileAttributes).id, units });
+  }
+
+  return { srcLang: root.srcLang, trgLang: root.trgLang, files };
+}
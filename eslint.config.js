@@ -22,6 +22,7 @@ export default tseslint.config(
     },
   },
   {
-    ignores: ['dist/**', 'node_modules/**', '*.cjs'],
+    // messages/types.ts is generated (text-intl extract / types)
+    ignores: ['dist/**', 'node_modules/**', '*.cjs', 'messages/types.ts', 'messages/types/**'],
   }
 );
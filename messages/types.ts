@@ -3,7 +3,7 @@
  * Do not edit manually - generated from meta files
  */
 
-import type { TagHandler } from '@unknown/i18n';
+import type { TagHandler } from 'text-intl/react';
 
 export type Locale = 'en' | 'ko' | 'ja' | 'zh';
 
@@ -23,6 +23,23 @@ export type CommonMessageKey =
   | 'Your order of {itemCount} items totaling {price} will arrive on {date}'
   | '{count, plural, =0 {No items} one {# item} other {# items}} in your cart';
 
+export interface CommonMessages {
+  'About Us': undefined;
+  'All rights reserved.': undefined;
+  'Click <link>here</link> to learn more': { link?: TagHandler };
+  'Contact': undefined;
+  'Hello, {name}!': { name: string | number };
+  'Help & Support': undefined;
+  'Home': undefined;
+  'Privacy Policy': undefined;
+  'Terms of Service': undefined;
+  'This is a sample app for testing internationalization.': undefined;
+  'Welcome to our application': undefined;
+  'You have {count} new messages': { count: string | number };
+  'Your order of {itemCount} items totaling {price} will arrive on {date}': { itemCount: string | number; price: string | number; date: string | number };
+  '{count, plural, =0 {No items} one {# item} other {# items}} in your cart': { count: number };
+}
+
 export type DashboardMessageKey =
   | 'Active sessions: {count}'
   | 'Create New Report'
@@ -39,74 +56,41 @@ export type DashboardMessageKey =
   | 'Welcome back, {username}!'
   | '{count, plural, =0 {No new notifications} one {# new notification} other {# new notifications}}';
 
+export interface DashboardMessages {
+  'Active sessions: {count}': { count: string | number };
+  'Create New Report': undefined;
+  'Dashboard': undefined;
+  'Export Data': undefined;
+  'Last login: {time}': { time: string | number };
+  'Manage Users': undefined;
+  'Quick Actions': undefined;
+  'Recent Activity': undefined;
+  'Revenue this month: {amount}': { amount: string | number };
+  'Statistics': undefined;
+  'Total users: {count}': { count: string | number };
+  'View Analytics': undefined;
+  'Welcome back, {username}!': { username: string | number };
+  '{count, plural, =0 {No new notifications} one {# new notification} other {# new notifications}}': { count: number };
+}
+
 export type Namespace = 'common' | 'dashboard';
 
-export type MessageParams<T extends string> = T extends 'About Us'
-  ? undefined
-  : T extends 'All rights reserved.'
-    ? undefined
-    : T extends 'Click <link>here</link> to learn more'
-      ? { link?: TagHandler }
-      : T extends 'Contact'
-        ? undefined
-        : T extends 'Hello, {name}!'
-          ? { name: string | number | Date | boolean }
-          : T extends 'Help & Support'
-            ? undefined
-            : T extends 'Home'
-              ? undefined
-              : T extends 'Privacy Policy'
-                ? undefined
-                : T extends 'Terms of Service'
-                  ? undefined
-                  : T extends 'This is a sample app for testing internationalization.'
-                    ? undefined
-                    : T extends 'Welcome to our application'
-                      ? undefined
-                      : T extends 'You have {count} new messages'
-                        ? { count: string | number | Date | boolean }
-                        : T extends 'Your order of {itemCount} items totaling {price} will arrive on {date}'
-                          ? {
-                              itemCount: string | number | Date | boolean;
-                              price: string | number | Date | boolean;
-                              date: string | number | Date | boolean;
-                            }
-                          : T extends '{count, plural, =0 {No items} one {# item} other {# items}} in your cart'
-                            ? { count: string | number | Date | boolean }
-                            : T extends 'Active sessions: {count}'
-                              ? { count: string | number | Date | boolean }
-                              : T extends 'Create New Report'
-                                ? undefined
-                                : T extends 'Dashboard'
-                                  ? undefined
-                                  : T extends 'Export Data'
-                                    ? undefined
-                                    : T extends 'Last login: {time}'
-                                      ? { time: string | number | Date | boolean }
-                                      : T extends 'Manage Users'
-                                        ? undefined
-                                        : T extends 'Quick Actions'
-                                          ? undefined
-                                          : T extends 'Recent Activity'
-                                            ? undefined
-                                            : T extends 'Revenue this month: {amount}'
-                                              ? { amount: string | number | Date | boolean }
-                                              : T extends 'Statistics'
-                                                ? undefined
-                                                : T extends 'Total users: {count}'
-                                                  ? { count: string | number | Date | boolean }
-                                                  : T extends 'View Analytics'
-                                                    ? undefined
-                                                    : T extends 'Welcome back, {username}!'
-                                                      ? {
-                                                          username:
-                                                            | string
-                                                            | number
-                                                            | Date
-                                                            | boolean;
-                                                        }
-                                                      : T extends '{count, plural, =0 {No new notifications} one {# new notification} other {# new notifications}}'
-                                                        ? {
-                                                            count: string | number | Date | boolean;
-                                                          }
-                                                        : Record<string, unknown>;
+/**
+ * Values of each message by namespace and source text
+ * Tag handlers are optional, as they can also come from the provider's `components`
+ */
+export interface MessageCatalog {
+  common: CommonMessages;
+  dashboard: DashboardMessages;
+}
+
+export type MessageParams<T extends string> =
+  T extends CommonMessageKey ? CommonMessages[T] :
+  T extends DashboardMessageKey ? DashboardMessages[T] :
+  Record<string, unknown>;
+
+declare module 'text-intl/react' {
+  interface I18nRegister {
+    catalog: MessageCatalog;
+  }
+}
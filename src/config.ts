@@ -2,6 +2,27 @@
  * i18n CLI Configuration Types
  */
 
+/**
+ * Issue types reported by `text-intl validate`
+ */
+export type ValidationIssueType =
+  | 'missing_file'
+  | 'missing'
+  | 'empty'
+  | 'syntax_error'
+  | 'variable_mismatch'
+  | 'tag_mismatch'
+  | 'plural_categories'
+  | 'pound_outside_plural'
+  | 'extra'
+  | 'inherited'
+  | 'fuzzy'
+  | 'unknown_key'
+  | 'wrong_namespace'
+  | 'value_mismatch'
+  | 'dynamic_key'
+  | 'stale_meta';
+
 export interface I18nConfig {
   /**
    * Source locale (the language used in source code)
@@ -15,12 +36,96 @@ export interface I18nConfig {
    */
   locales: string[];
 
+  /**
+   * Fallback locale, ordered chain or per-locale map (same as InitConfig.fallbackLocale)
+   * validate reports keys found in the chain as "inherited" instead of missing
+   * @example { 'pt-BR': ['pt'], default: 'en' }
+   */
+  fallbackLocale?: string | string[] | Record<string, string | string[]>;
+
   /**
    * Directory where message JSON files are stored
    * @example './messages'
    */
   messagesDir: string;
 
+  /**
+   * Also write pre-parsed ICU messages ({namespace}.ast.json) on extract/translate
+   * Pass them to the runtime as `compiled` to skip parsing on first use
+   */
+  precompile?: boolean;
+
+  /**
+   * Output directory of `text-intl compile` (ES module catalogs with pre-parsed ICU messages)
+   * @default '{messagesDir}/compiled'
+   */
+  compiledDir?: string;
+
+  /**
+   * Extraction options (extract, validate --source and the build plugin)
+   */
+  extract?: {
+    /**
+     * Names of t() style functions: (text, values?, namespace | { namespace?, context? })
+     * Member calls on other objects than useTranslation() / getTranslation() results are only
+     * extracted when listed by their full name, e.g. 'props.t' or 'this.t'
+     * @default ['t']
+     */
+    functions?: string[];
+    /**
+     * Names of pt() style functions: (context, text, values?, namespace?)
+     * @default ['pt']
+     */
+    contextFunctions?: string[];
+    /**
+     * Similarity (0 - 1) above which an edited source text keeps the translations of the text
+     * it replaced, flagged as fuzzy in {namespace}.fuzzy.json; false to disable
+     * @default 0.8
+     */
+    fuzzyThreshold?: number | false;
+  };
+
+  /**
+   * `text-intl validate` options (command line flags override these)
+   */
+  validate?: {
+    /**
+     * Severity per issue type ('off' hides it)
+     * @example { extra: 'warning', inherited: 'off' }
+     */
+    severity?: Partial<Record<ValidationIssueType, 'error' | 'warning' | 'info' | 'off'>>;
+    /**
+     * Lowest severity that fails validation
+     * @default 'error'
+     */
+    failOn?: 'error' | 'warning' | 'info' | 'none';
+    /**
+     * Lowest translation coverage (%) allowed per locale × namespace
+     */
+    minCoverage?: number;
+  };
+
+  /**
+   * Generated types (written on extract and by `text-intl types`, whose flags override these)
+   */
+  types?: {
+    /**
+     * Output file
+     * @default '{messagesDir}/types.ts'
+     */
+    output?: string;
+    /**
+     * Register the catalog with text-intl/react (I18nRegister), so t() checks keys and values
+     * @default true
+     */
+    register?: boolean;
+    /**
+     * Also write one file per namespace ({output without .ts}/{namespace}.ts), imported by the output file
+     * @default false
+     */
+    split?: boolean;
+  };
+
   /**
    * Glob patterns for files to scan
    * @example ['src/**\/*.{ts,tsx}', 'app/**\/*.{ts,tsx}']
@@ -0,0 +1,176 @@
+/**
+ * Locale-aware formatting helpers (Intl) bound to a locale
+ * Named presets are shared with ICU messages: formatNumber(12.5, 'price') and "{amount, number, price}"
+ */
+
+import { I18nConfigError } from './errors.js';
+
+// ============================================================================
+// Types
+// ============================================================================
+
+/**
+ * Named format presets (same shape as IntlMessageFormat formats)
+ *
+ * @example
+ * ```typescript
+ * const formats: FormatPresets = {
+ *   number: { price: { style: 'currency', currency: 'USD' } },
+ *   date: { short: { month: 'short', day: 'numeric' } },
+ * };
+ * // formatNumber(12.5, 'price') / t('Total: {amount, number, price}', { amount: 12.5 })
+ * ```
+ */
+export interface FormatPresets {
+  number?: Record<string, Intl.NumberFormatOptions>;
+  date?: Record<string, Intl.DateTimeFormatOptions>;
+  time?: Record<string, Intl.DateTimeFormatOptions>;
+}
+
+/**
+ * Formatting functions bound to a locale
+ * Options can be Intl options or the name of a preset
+ */
+export interface Formatter {
+  formatNumber(value: number | bigint, options?: string | Intl.NumberFormatOptions): string;
+  formatCurrency(
+    value: number | bigint,
+    currency: string,
+    options?: string | Intl.NumberFormatOptions
+  ): string;
+  /** Presets are looked up in `date`, then `time` */
+  formatDate(value: Date | number | string, options?: string | Intl.DateTimeFormatOptions): string;
+  /**
+   * A number of units (unit defaults to 'second'), or a Date relative to now
+   * (in the given unit, or the largest unit that fits: "2 hours ago", "in 3 days")
+   */
+  formatRelativeTime(
+    value: Date | number,
+    unit?: Intl.RelativeTimeFormatUnit,
+    options?: Intl.RelativeTimeFormatOptions
+  ): string;
+  formatList(items: Iterable<string>, options?: Intl.ListFormatOptions): string;
+  /** Localized name of a language, region, script or currency code; undefined if unknown */
+  formatDisplayName(code: string, options: Intl.DisplayNamesOptions): string | undefined;
+}
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+/** Seconds per unit, largest first (months and years are averages) */
+const RELATIVE_TIME_UNITS: Array<[Intl.RelativeTimeFormatUnit, number]> = [
+  ['year', 31_557_600],
+  ['month', 2_629_800],
+  ['week', 604_800],
+  ['day', 86_400],
+  ['hour', 3_600],
+  ['minute', 60],
+  ['second', 1],
+];
+
+// ============================================================================
+// Public API
+// ============================================================================
+
+/**
+ * Create formatting functions for a locale
+ * Intl formatters are created once per options and reused
+ * @param locale - BCP 47 locale
+ * @param formats - Named presets
+ *
+ * @example
+ * const { formatCurrency, formatRelativeTime } = createFormatter('en');
+ * formatCurrency(12345, 'USD'); // → "$12,345.00"
+ * formatRelativeTime(new Date(Date.now() - 2 * 3600_000)); // → "2 hours ago"
+ */
+export function createFormatter(locale: string, formats: FormatPresets = {}): Formatter {
+  const cache = new Map<string, unknown>();
+
+  function cached<T>(kind: string, options: object | undefined, create: () => T): T {
+    const key = `${kind}:${JSON.stringify(options ?? {})}`;
+    let formatter = cache.get(key) as T | undefined;
+    if (!formatter) {
+      formatter = create();
+      cache.set(key, formatter);
+    }
+    return formatter;
+  }
+
+  function getPreset<T>(
+    type: string,
+    presets: Array<Record<string, T> | undefined>,
+    options?: string | T
+  ): T | undefined {
+    if (typeof options !== 'string') return options;
+
+    for (const group of presets) {
+      if (group?.[options]) return group[options];
+    }
+    throw new I18nConfigError(`Unknown ${type} format preset "${options}"`);
+  }
+
+  function formatNumber(value: number | bigint, options?: string | Intl.NumberFormatOptions) {
+    const resolved = getPreset('number', [formats.number], options);
+    return cached('number', resolved, () => new Intl.NumberFormat(locale, resolved)).format(value);
+  }
+
+  function formatCurrency(
+    value: number | bigint,
+    currency: string,
+    options?: string | Intl.NumberFormatOptions
+  ) {
+    const resolved = getPreset('number', [formats.number], options);
+    return formatNumber(value, { ...resolved, style: 'currency', currency });
+  }
+
+  function formatDate(
+    value: Date | number | string,
+    options?: string | Intl.DateTimeFormatOptions
+  ) {
+    const resolved = getPreset('date', [formats.date, formats.time], options);
+    const date = typeof value === 'string' ? new Date(value) : value;
+    return cached('date', resolved, () => new Intl.DateTimeFormat(locale, resolved)).format(date);
+  }
+
+  function formatRelativeTime(
+    value: Date | number,
+    unit?: Intl.RelativeTimeFormatUnit,
+    options?: Intl.RelativeTimeFormatOptions
+  ) {
+    let amount = typeof value === 'number' ? value : 0;
+    let resolvedUnit = unit ?? 'second';
+
+    if (value instanceof Date) {
+      const seconds = (value.getTime() - Date.now()) / 1000;
+      const [selected, size] =
+        RELATIVE_TIME_UNITS.find(([name, size]) =>
+          unit ? name === unit.replace(/s$/, '') : Math.abs(seconds) >= size
+        ) ?? RELATIVE_TIME_UNITS[RELATIVE_TIME_UNITS.length - 1];
+      resolvedUnit = selected;
+      amount = Math.round(seconds / size);
+    }
+
+    return cached('relative', options, () => new Intl.RelativeTimeFormat(locale, options)).format(
+      amount,
+      resolvedUnit
+    );
+  }
+
+  function formatList(items: Iterable<string>, options?: Intl.ListFormatOptions) {
+    return cached('list', options, () => new Intl.ListFormat(locale, options)).format(items);
+  }
+
+  function formatDisplayName(code: string, options: Intl.DisplayNamesOptions) {
+    return cached('displayName', options, () => new Intl.DisplayNames(locale, options)).of(code);
+  }
+
+  return {
+    formatNumber,
+    formatCurrency,
+    formatDate,
+    formatRelativeTime,
+    formatList,
+    formatDisplayName,
+  };
+}
@@ -3,21 +3,27 @@
  * gettext-style translation with ICU MessageFormat support
  */
 
+// Pulls in the ICU parser, used only for messages without an AST (aliasable to its no-parser build)
 import { IntlMessageFormat } from 'intl-messageformat';
-import { I18nConfigError } from './errors.js';
+import { I18nConfigError, I18nMissingTranslationError } from './errors.js';
+import { createFormatter, Formatter, FormatPresets } from './format.js';
+
+export { createFormatter } from './format.js';
+export type { Formatter, FormatPresets } from './format.js';
 
 // ============================================================================
 // Core Type Definitions
 // ============================================================================
 
 /**
- * Message value is always a string
+ * Message value
  * Can be:
  * - Simple text: "Hello"
  * - With variables: "Hello {name}"
  * - ICU MessageFormat: "{count, plural, one {# item} other {# items}}"
+ * - Pre-parsed ICU message (AST) from a catalog built with `text-intl compile`
  */
-export type MessageValue = string;
+export type MessageValue = string | MessageAST;
 
 /** Base message structure: { namespace: { hash: message } } */
 export type MessageNamespace = Record<string, MessageValue>;
@@ -37,6 +43,15 @@ export type LocaleMeta = Record<string, MetaNamespace>;
 /** Full meta object: { locale: { namespace: meta } } */
 export type Meta = Record<string, LocaleMeta>;
 
+/** Pre-parsed ICU message (IntlMessageFormat AST) */
+export type MessageAST = Exclude<ConstructorParameters<typeof IntlMessageFormat>[0], string>;
+
+/** Pre-parsed messages for a single locale: { message: ast } (emitted by the CLI as *.ast.json) */
+export type LocaleCompiledMessages = Record<string, MessageAST>;
+
+/** Pre-parsed messages: { locale: { message: ast } } */
+export type CompiledMessages = Record<string, LocaleCompiledMessages>;
+
 /** Extract locale union from messages object */
 export type LocaleOf<M extends Messages> = keyof M & string;
 
@@ -53,23 +68,165 @@ export type TranslationKeyOf<
 // Initialization Config
 // ============================================================================
 
+/**
+ * Fallback locales tried when a translation is missing
+ * - 'en': single fallback for every locale
+ * - ['pt', 'en']: ordered chain for every locale
+ * - { 'zh-HK': ['zh-TW'], default: 'en' }: per-locale chains, 'default' applies to all locales
+ * BCP 47 parent tags (pt-BR → pt) are inserted automatically when those locales exist
+ */
+export type FallbackLocale<L extends string = string> =
+  | L
+  | readonly L[]
+  | Partial<Record<L | 'default', L | readonly L[]>>;
+
+/**
+ * A message that has no translation in the locale or its fallback chain
+ */
+export interface MissingTranslation {
+  text: string;
+  context?: string;
+  locale: string;
+  namespace: string;
+  /** Hash of a build plugin reference; text is the source text it carries (or the hash if none) */
+  hash?: string;
+}
+
+/**
+ * Custom handler for missing translations
+ * Return a string to use it as the message (values are still applied), or nothing for the source text
+ */
+export type MissingTranslationHandler = (missing: MissingTranslation) => string | void;
+
+/**
+ * What t() does when a translation is missing
+ * - 'source': return the source text (default)
+ * - 'marker': return the source text wrapped in ⟦…⟧ so it stands out in the UI
+ * - 'throw': throw I18nMissingTranslationError (useful in tests)
+ * - function: custom handler (logging, collecting, …)
+ */
+export type MissingTranslationMode = 'source' | 'marker' | 'throw' | MissingTranslationHandler;
+
 export interface InitConfig {
   locale: string;
   messages: Messages;
   meta?: Meta;
-  fallbackLocale?: string;
+  fallbackLocale?: FallbackLocale;
+  onMissingTranslation?: MissingTranslationMode;
+  /** Pre-parsed ICU messages, skips parsing on first use */
+  compiled?: CompiledMessages;
+  /** Max compiled formatters kept per locale (default: 500, 0 disables caching) */
+  formatterCacheSize?: number;
+  /** Named number/date/time presets for the format helpers and ICU messages ({amount, number, price}) */
+  formats?: FormatPresets;
+}
+
+/** Tag handler for rich(): receives the formatted children of <tag>…</tag> (empty for <tag/>) */
+export type RichTagHandler<T> = (chunks: Array<string | T>) => T;
+
+/** Values for rich(): placeholder values and tag handlers (numeric tags <0> use the key "0") */
+export type RichTextValues<T> = Record<
+  string,
+  string | number | Date | boolean | RichTagHandler<T>
+>;
+
+/**
+ * Options for a single t() call
+ * - namespace: Namespace to look up (default: 'common')
+ * - context: Disambiguates identical source text (gettext msgctxt)
+ */
+export interface TranslateOptions {
+  namespace?: string;
+  context?: string;
+}
+
+/**
+ * Messages and meta of a single locale × namespace, returned by a loader
+ */
+export interface NamespaceBundle {
+  messages: MessageNamespace;
+  meta?: MetaNamespace;
+  compiled?: LocaleCompiledMessages;
+}
+
+/**
+ * Async loader for lazy, per-namespace message loading
+ *
+ * @example
+ * ```typescript
+ * const loadMessages: MessageLoader = async (locale, namespace) => ({
+ *   messages: (await import(`./messages/${locale}/${namespace}.json`)).default,
+ *   meta: (await import(`./messages/${locale}/${namespace}.meta.json`)).default,
+ * });
+ * ```
+ */
+export type MessageLoader = (locale: string, namespace: string) => Promise<NamespaceBundle>;
+
+// ============================================================================
+// Instance Types
+// ============================================================================
+
+/**
+ * Isolated i18n instance with its own locale, messages and meta
+ * Use one per provider / SSR request instead of the module-level default instance
+ * The format helpers (formatNumber, formatDate, …) use the current locale
+ */
+export interface I18nInstance extends Formatter {
+  init(config: InitConfig): void;
+  t(
+    text: string,
+    values?: Record<string, string | number | Date | boolean>,
+    options?: string | TranslateOptions
+  ): string;
+  pt(
+    context: string,
+    text: string,
+    values?: Record<string, string | number | Date | boolean>,
+    namespace?: string
+  ): string;
+  /**
+   * Translate into rich text parts
+   * Tags (<b>…</b>, <0>…</0>, <br/>) are rendered by the handler of the same name in values,
+   * at any depth and inside plural/select branches; tags without a handler are kept as text
+   */
+  rich<T>(
+    text: string,
+    values?: RichTextValues<T>,
+    options?: string | TranslateOptions
+  ): Array<string | T>;
+  getLocale(): string;
+  setLocale(newLocale: string): void;
 }
 
 // ============================================================================
-// Module State
+// Constants
 // ============================================================================
 
-let locale: string = 'ko';
-let fallbackLocale: string | null = null;
-let messages: Messages = {};
-let meta: Meta = {}; // Source text to hash mapping
 const DEFAULT_NAMESPACE = 'common';
 
+/** Separator between context and source text in meta keys (same as gettext) */
+const CONTEXT_SEPARATOR = '\u0004';
+
+const DEFAULT_FORMATTER_CACHE_SIZE = 500;
+
+/**
+ * Prefixes of message references written by the build plugin (text-intl/plugin) in place of source text
+ * - Hash: "\u0001<hash>\u0001<key>", looked up directly in messages (no meta needed);
+ *   the meta key (context and source text) is used when no locale has a translation
+ * - Inline: "\u0002<message>", translation inlined for a single-locale build (no lookup)
+ */
+const HASH_REF_PREFIX = '\u0001';
+const INLINE_REF_PREFIX = '\u0002';
+
+/** Opening, closing and self-closing tags: <b>, </b>, <br/>, <0> */
+const TAG_PATTERN = /<(\/?)(\w+)\s*(\/?)>/g;
+
+/** IntlMessageFormat only parses tag names starting with a letter: <0> is parsed as <tag-0> */
+const NUMERIC_TAG_PREFIX = 'tag-';
+
+/** AST element type of a simple {name} argument (TYPE.argument in the ICU parser) */
+const ARGUMENT_ELEMENT = 1;
+
 // ============================================================================
 // Internal Functions
 // ============================================================================
@@ -87,41 +244,653 @@ function isICUMessage(text: string): boolean {
   return /\{\s*\w+\s*,\s*(plural|select|selectordinal|number|date|time)/.test(text);
 }
 
+/**
+ * Rewrite tags into a form IntlMessageFormat parses as tags:
+ * numeric tags (<0>, from <Trans>) get a name, self-closing tags (<br/>) get a closing tag
+ * Must stay in sync with normalizeTags() in cli/icu.js
+ */
+function normalizeTags(message: string): string {
+  return message.replace(TAG_PATTERN, (_, closing: string, name: string, selfClosing: string) => {
+    const tag = /^\d+$/.test(name) ? NUMERIC_TAG_PREFIX + name : name;
+    return selfClosing ? `<${tag}></${tag}>` : `<${closing}${tag}>`;
+  });
+}
+
+/**
+ * Check if a message contains tags
+ */
+function hasTags(message: string): boolean {
+  TAG_PATTERN.lastIndex = 0;
+  return TAG_PATTERN.test(message);
+}
+
+/**
+ * Collect the tag names and simple {name} arguments of a message, including those inside
+ * plural/select branches and tags
+ */
+function collectNames(
+  ast: MessageAST,
+  names: { tags: Set<string>; args: Set<string> } = { tags: new Set(), args: new Set() }
+): { tags: Set<string>; args: Set<string> } {
+  for (const element of ast) {
+    if ('children' in element) {
+      names.tags.add(element.value);
+      collectNames(element.children, names);
+    } else if ('options' in element) {
+      for (const option of Object.values(element.options)) {
+        collectNames(option.value, names);
+      }
+    } else if (element.type === ARGUMENT_ELEMENT) {
+      names.args.add(element.value);
+    }
+  }
+  return names;
+}
+
+/**
+ * Tag handler that renders the tag as text (tags without a handler)
+ */
+function keepTag(tag: string): (chunks: unknown[]) => unknown {
+  const name = tag.startsWith(NUMERIC_TAG_PREFIX) ? tag.slice(NUMERIC_TAG_PREFIX.length) : tag;
+  return (chunks) => (chunks.length > 0 ? [`<${name}>`, ...chunks, `</${name}>`] : `<${name}/>`);
+}
+
+/**
+ * Dates and booleans are formatted as text instead of being passed through as parts
+ */
+function toPart<T>(part: string | T): string | T {
+  return part instanceof Date || typeof part === 'boolean' ? String(part) : part;
+}
+
+/**
+ * Inverse of getMessageKey
+ * @param key - Meta key ("context\u0004text" or text)
+ */
+function parseMessageKey(key: string): { text: string; context?: string } {
+  const separator = key.indexOf(CONTEXT_SEPARATOR);
+  return separator === -1
+    ? { text: key }
+    : { text: key.slice(separator + CONTEXT_SEPARATOR.length), context: key.slice(0, separator) };
+}
+
+/**
+ * Build the lookup key for a message
+ * Messages with context are stored as "context\u0004text" in meta files
+ * @param text - Source text
+ * @param context - Optional message context
+ * @returns Key used in meta (and direct message lookup)
+ */
+function getMessageKey(text: string, context?: string): string {
+  return context ? `${context}${CONTEXT_SEPARATOR}${text}` : text;
+}
+
+/**
+ * Get the parent tags of a BCP 47 language tag, closest first
+ * @param locale - e.g. "zh-Hant-TW"
+ * @returns e.g. ["zh-Hant", "zh"]
+ */
+function getParentLocales(locale: string): string[] {
+  const parents: string[] = [];
+  let index = locale.lastIndexOf('-');
+  while (index > 0) {
+    locale = locale.slice(0, index);
+    parents.push(locale);
+    index = locale.lastIndexOf('-');
+  }
+  return parents;
+}
+
+/**
+ * Normalize a fallback entry to an array
+ */
+function toLocaleList(value: string | readonly string[] | undefined): readonly string[] {
+  if (!value) return [];
+  return typeof value === 'string' ? [value] : value;
+}
+
+/**
+ * Create an instance with empty state (not yet initialized)
+ */
+function createEmptyInstance(): I18nInstance {
+  let locale: string = 'ko';
+  let fallbackLocale: FallbackLocale | undefined;
+  let messages: Messages = {};
+  let meta: Meta = {}; // Source text to hash mapping
+  const fallbackChains = new Map<string, string[]>(); // Resolved chains per locale
+  let onMissingTranslation: MissingTranslationMode = 'source';
+  let compiled: CompiledMessages = {};
+  // Compiled formatters per locale, keyed by message (Map order = least recently used first)
+  const formatters = new Map<string, Map<string | MessageAST, IntlMessageFormat>>();
+  let formatterCacheSize = DEFAULT_FORMATTER_CACHE_SIZE;
+  // Tag and simple argument names per formatter
+  const messageNames = new WeakMap<IntlMessageFormat, { tags: string[]; args: string[] }>();
+  let formats: FormatPresets | undefined;
+  // Format helpers per locale
+  const intlFormatters = new Map<string, Formatter>();
+
+  function init(config: InitConfig): void {
+    if (!config || typeof config !== 'object') {
+      throw new I18nConfigError('init() requires a config object');
+    }
+    if (typeof config.locale !== 'string' || !config.locale) {
+      throw new I18nConfigError('config.locale must be a non-empty string');
+    }
+    if (!config.messages || typeof config.messages !== 'object') {
+      throw new I18nConfigError('config.messages must be an object');
+    }
+    if (!config.messages[config.locale]) {
+      throw new I18nConfigError(`config.messages["${config.locale}"] is missing`);
+    }
+    const missingMode = config.onMissingTranslation ?? 'source';
+    if (typeof missingMode !== 'function' && !['source', 'marker', 'throw'].includes(missingMode)) {
+      throw new I18nConfigError(
+        "config.onMissingTranslation must be 'source', 'marker', 'throw' or a function"
+      );
+    }
+    const cacheSize = config.formatterCacheSize ?? DEFAULT_FORMATTER_CACHE_SIZE;
+    if (!Number.isInteger(cacheSize) || cacheSize < 0) {
+      throw new I18nConfigError('config.formatterCacheSize must be a non-negative integer');
+    }
+
+    locale = config.locale;
+    messages = config.messages;
+    meta = config.meta || {};
+    fallbackLocale = config.fallbackLocale;
+    fallbackChains.clear();
+    onMissingTranslation = missingMode;
+    compiled = config.compiled || {};
+    // Formatters are keyed by message text, so they stay valid when messages are re-initialized
+    if (cacheSize !== formatterCacheSize) {
+      formatters.clear();
+      formatterCacheSize = cacheSize;
+    }
+    // Presets are compiled into formatters
+    if (config.formats !== formats) {
+      formatters.clear();
+      intlFormatters.clear();
+      formats = config.formats;
+    }
+  }
+
+  /**
+   * Format helpers for the current locale
+   */
+  function getIntlFormatter(): Formatter {
+    let formatter = intlFormatters.get(locale);
+    if (!formatter) {
+      formatter = createFormatter(locale, formats);
+      intlFormatters.set(locale, formatter);
+    }
+    return formatter;
+  }
+
+  /**
+   * Get a compiled formatter for a message in the current locale (LRU cached)
+   * @param message - ICU message, or its AST from a compiled catalog
+   * @param ast - Pre-parsed message, if available
+   */
+  function getFormatter(message: string | MessageAST, ast?: MessageAST): IntlMessageFormat {
+    let cache = formatters.get(locale);
+    if (!cache) {
+      cache = new Map();
+      formatters.set(locale, cache);
+    }
+
+    let formatter = cache.get(message);
+    if (formatter) {
+      // Move to the end, so the least recently used formatter is evicted first
+      cache.delete(message);
+      cache.set(message, formatter);
+      return formatter;
+    }
+
+    formatter = new IntlMessageFormat(
+      ast ?? (typeof message === 'string' ? normalizeTags(message) : message),
+      locale,
+      formats
+    );
+    if (formatterCacheSize > 0) {
+      cache.set(message, formatter);
+      if (cache.size > formatterCacheSize) {
+        cache.delete(cache.keys().next().value as string | MessageAST);
+      }
+    }
+    return formatter;
+  }
+
+  /**
+   * Resolve the message to use when no translation exists
+   */
+  function handleMissing(missing: MissingTranslation): string {
+    if (onMissingTranslation === 'marker') {
+      return `⟦${missing.text}⟧`;
+    }
+    if (onMissingTranslation === 'throw') {
+      throw new I18nMissingTranslationError(missing.text, missing.locale, missing.namespace);
+    }
+    if (typeof onMissingTranslation === 'function') {
+      return onMissingTranslation(missing) ?? missing.text;
+    }
+    return missing.text;
+  }
+
+  /**
+   * Locales to look up for the current locale (current locale first)
+   */
+  function getChain(): string[] {
+    let chain = fallbackChains.get(locale);
+    if (!chain) {
+      chain = getFallbackChain(locale, fallbackLocale, Object.keys(messages));
+      fallbackChains.set(locale, chain);
+    }
+    return chain;
+  }
+
+  /**
+   * Look up a translation in a single locale
+   */
+  function lookup(targetLocale: string, namespace: string, key: string): MessageValue | null {
+    // Try to find hash via meta mapping
+    const hash = meta[targetLocale]?.[namespace]?.[key];
+
+    // No meta found, try direct key lookup (backwards compatibility)
+    return messages[targetLocale]?.[namespace]?.[hash ?? key] ?? null;
+  }
+
+  /**
+   * Find the message for a call: current locale, fallback chain, then the missing-translation mode
+   * @returns The message, the source text (without build plugin prefix) and its pre-parsed AST
+   */
+  function resolveMessage(
+    text: string,
+    options: string | TranslateOptions
+  ): { message: MessageValue; source: string; ast?: MessageAST } {
+    const { namespace = DEFAULT_NAMESPACE, ...rest } =
+      typeof options === 'string' ? { namespace: options } : options;
+    let { context } = rest;
+    let hash: string | undefined;
+    let translated: MessageValue | null = null;
+    let foundLocale = locale;
+
+    if (text.startsWith(INLINE_REF_PREFIX)) {
+      translated = text = text.slice(1);
+    } else {
+      if (text.startsWith(HASH_REF_PREFIX)) {
+        // The hash already includes the context, the key after it is the missing-translation fallback
+        const separator = text.indexOf(HASH_REF_PREFIX, 1);
+        if (separator === -1) {
+          hash = text = text.slice(1);
+        } else {
+          hash = text.slice(1, separator);
+          ({ text, context } = parseMessageKey(text.slice(separator + 1)));
+        }
+      }
+      const key = hash ?? getMessageKey(text, context);
+
+      // Current locale first, then the fallback chain
+      for (const candidate of getChain()) {
+        translated = lookup(candidate, namespace, key);
+        if (translated) {
+          foundLocale = candidate;
+          break;
+        }
+      }
+    }
+
+    // Not found anywhere in the chain: source text, marker, error or custom handler
+    translated =
+      translated ||
+      handleMissing({ text, context, locale, namespace, ...(hash !== undefined ? { hash } : {}) });
+
+    // Ensure translated is a string or a pre-parsed message (not an object)
+    if (typeof translated !== 'string' && !Array.isArray(translated)) {
+      console.warn(`Translation for "${text}" is not a string:`, translated);
+      translated = text;
+    }
+
+    const ast = typeof translated === 'string' ? compiled[foundLocale]?.[translated] : undefined;
+    return { message: translated, source: text, ast };
+  }
+
+  function t(
+    text: string,
+    values?: Record<string, string | number | Date | boolean>,
+    options: string | TranslateOptions = DEFAULT_NAMESPACE
+  ): string {
+    const { message, source, ast } = resolveMessage(text, options);
+    return formatText(message, source, values, ast);
+  }
+
+  /**
+   * Format a message as plain text (tags are kept as text)
+   */
+  function formatText(
+    message: MessageValue,
+    source: string,
+    values?: Record<string, string | number | Date | boolean>,
+    ast?: MessageAST
+  ): string {
+    // Pre-parsed message from a compiled catalog (no parsing at runtime)
+    if (Array.isArray(message)) {
+      return formatICU(message, values) ?? source;
+    }
+
+    // Check if ICU MessageFormat syntax is present
+    if (ast || isICUMessage(message)) {
+      // Fallback to original message on error
+      return formatICU(message, values, ast) ?? message;
+    }
+
+    // Simple variable substitution for non-ICU messages
+    let result = message;
+    if (values) {
+      Object.keys(values).forEach((key) => {
+        const value = values[key];
+        if (typeof value === 'string' || typeof value === 'number') {
+          result = result.replace(`{${key}}`, String(value));
+        }
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * Format an ICU message (or its AST)
+   * @returns Formatted text, or null if formatting failed (logged)
+   */
+  function formatICU(
+    message: string | MessageAST,
+    values?: Record<string, string | number | Date | boolean>,
+    ast?: MessageAST
+  ): string | null {
+    try {
+      const formatter = getFormatter(message, ast);
+      const formatted = formatter.format(prepareValues(formatter, values));
+
+      // IntlMessageFormat can return string or array of parts
+      if (typeof formatted === 'string') {
+        return formatted;
+      } else if (Array.isArray(formatted)) {
+        return formatted.map((part) => String(part)).join('');
+      } else {
+        return String(formatted);
+      }
+    } catch (error) {
+      logFormatError(error, message, values);
+      return null;
+    }
+  }
+
+  function logFormatError(error: unknown, message: string | MessageAST, values?: object): void {
+    console.error('ICU MessageFormat error:', (error as Error).message);
+    console.error('Message:', message);
+    console.error('Values:', values);
+  }
+
+  /**
+   * Values to format a message with
+   * - Every tag gets a handler: the matching value, or one that keeps the tag as text
+   *   Numeric tags (<tag-0>) use the handler "0"
+   * - Simple {name} arguments without a value are kept as text, like plain substitution does
+   */
+  function prepareValues(
+    formatter: IntlMessageFormat,
+    values?: Record<string, unknown>
+  ): Record<string, never> | undefined {
+    let names = messageNames.get(formatter);
+    if (!names) {
+      const { tags, args } = collectNames(formatter.getAst());
+      names = { tags: Array.from(tags), args: Array.from(args) };
+      messageNames.set(formatter, names);
+    }
+    const missing = names.args.filter((name) => values?.[name] === undefined);
+    if (names.tags.length === 0 && missing.length === 0) {
+      return values as Record<string, never> | undefined;
+    }
+
+    const result: Record<string, unknown> = { ...values };
+    for (const name of missing) {
+      result[name] = `{${name}}`;
+    }
+    for (const name of names.tags) {
+      const handler = name.startsWith(NUMERIC_TAG_PREFIX)
+        ? values?.[name.slice(NUMERIC_TAG_PREFIX.length)]
+        : values?.[name];
+      result[name] =
+        typeof handler === 'function'
+          ? (chunks: unknown[]) => handler(chunks.map(toPart))
+          : keepTag(name);
+    }
+    return result as Record<string, never>;
+  }
+
+  function rich<T>(
+    text: string,
+    values?: RichTextValues<T>,
+    options: string | TranslateOptions = DEFAULT_NAMESPACE
+  ): Array<string | T> {
+    const { message, source, ast } = resolveMessage(text, options);
+    // Tag handlers are ignored by plain text formatting
+    const textValues = values as Record<string, string | number | Date | boolean> | undefined;
+
+    // No tags: same as t()
+    if (typeof message === 'string' && !ast && !hasTags(message)) {
+      return [formatText(message, source, textValues)];
+    }
+
+    try {
+      const formatter = getFormatter(message, ast);
+      const formatted = formatter.format<T>(prepareValues(formatter, values));
+      return Array.isArray(formatted) ? formatted.map(toPart) : [toPart(formatted)];
+    } catch (error) {
+      logFormatError(error, message, values);
+      return [typeof message === 'string' ? message : source];
+    }
+  }
+
+  function pt(
+    context: string,
+    text: string,
+    values?: Record<string, string | number | Date | boolean>,
+    namespace: string = DEFAULT_NAMESPACE
+  ): string {
+    return t(text, values, { namespace, context });
+  }
+
+  function getLocale(): string {
+    return locale;
+  }
+
+  function setLocale(newLocale: string): void {
+    if (typeof newLocale !== 'string' || !newLocale) {
+      throw new I18nConfigError('setLocale() requires a non-empty string');
+    }
+    if (!messages[newLocale]) {
+      throw new I18nConfigError(`Locale "${newLocale}" is not available in messages`);
+    }
+    locale = newLocale;
+  }
+
+  return {
+    init,
+    t,
+    pt,
+    rich,
+    getLocale,
+    setLocale,
+    formatNumber: (value, options) => getIntlFormatter().formatNumber(value, options),
+    formatCurrency: (value, currency, options) =>
+      getIntlFormatter().formatCurrency(value, currency, options),
+    formatDate: (value, options) => getIntlFormatter().formatDate(value, options),
+    formatRelativeTime: (value, unit, options) =>
+      getIntlFormatter().formatRelativeTime(value, unit, options),
+    formatList: (items, options) => getIntlFormatter().formatList(items, options),
+    formatDisplayName: (code, options) => getIntlFormatter().formatDisplayName(code, options),
+  };
+}
+
+/** Default instance used by the top-level functions */
+const defaultInstance = createEmptyInstance();
+
 // ============================================================================
 // Public API
 // ============================================================================
 
 /**
- * Initialize i18n
+ * Resolve the ordered list of locales to look up for a locale
+ * Order: locale → its per-locale fallbacks → BCP 47 parents of those → default fallbacks (and their parents)
+ * @param locale - Requested locale
+ * @param fallbackLocale - Fallback config (string, array or per-locale map)
+ * @param locales - Known locales; derived parent tags are only added when listed here
+ * @returns Deduplicated chain starting with locale
+ *
+ * @example
+ * getFallbackChain('pt-BR', 'en', ['pt-BR', 'pt', 'en']); // → ['pt-BR', 'pt', 'en']
+ * getFallbackChain('zh-HK', { 'zh-HK': ['zh-TW'], default: 'en' }, ['zh-HK', 'zh-TW', 'zh', 'en']);
+ * // → ['zh-HK', 'zh-TW', 'zh', 'en']
+ */
+export function getFallbackChain(
+  locale: string,
+  fallbackLocale?: FallbackLocale,
+  locales: readonly string[] = []
+): string[] {
+  const isMap =
+    !!fallbackLocale && typeof fallbackLocale === 'object' && !Array.isArray(fallbackLocale);
+  const map = isMap ? (fallbackLocale as Partial<Record<string, string | readonly string[]>>) : {};
+  const specific = isMap ? toLocaleList(map[locale]) : [];
+  const defaults = isMap
+    ? toLocaleList(map.default)
+    : toLocaleList(fallbackLocale as string | readonly string[] | undefined);
+
+  const known = new Set(locales);
+  const chain = new Set<string>();
+  const withParents = (tags: readonly string[]) => {
+    for (const tag of tags) chain.add(tag);
+    for (const tag of tags) {
+      for (const parent of getParentLocales(tag)) {
+        if (known.has(parent)) chain.add(parent);
+      }
+    }
+  };
+
+  withParents([locale, ...specific]);
+  withParents(defaults);
+  return Array.from(chain);
+}
+
+/**
+ * Create an isolated i18n instance
+ * Each instance keeps its own locale, messages, meta and fallback locales,
+ * so multiple providers or concurrent SSR requests do not interfere
  * @param config - { locale, messages, meta?, fallbackLocale? }
- * messages structure: { ko: { common: { hash: translation } } }
- * meta structure: { ko: { common: { sourceText: hash } } }
+ * @returns Instance with its own t, pt, getLocale and setLocale
+ *
+ * @example
+ * const i18n = createInstance({ locale: 'ko', messages, meta });
+ * i18n.t('Hello');
+ * i18n.setLocale('en');
  */
-export function init(config: InitConfig): void {
-  if (!config || typeof config !== 'object') {
-    throw new I18nConfigError('init() requires a config object');
-  }
-  if (typeof config.locale !== 'string' || !config.locale) {
-    throw new I18nConfigError('config.locale must be a non-empty string');
+export function createInstance(config: InitConfig): I18nInstance {
+  const instance = createEmptyInstance();
+  instance.init(config);
+  return instance;
+}
+
+/**
+ * Missing translations seen at runtime, in the format `text-intl extract --merge` reads
+ */
+export interface MissingTranslationReport {
+  version: 1;
+  missing: Array<{
+    namespace: string;
+    text: string;
+    context?: string;
+    /** Locales the message was missing in */
+    locales: string[];
+    /** Number of t() calls that hit the missing message */
+    count: number;
+  }>;
+}
+
+/**
+ * Collector that records missing translations (see createMissingTranslationCollector)
+ */
+export interface MissingTranslationCollector {
+  /** Pass as onMissingTranslation; returns nothing, so the source text is rendered */
+  onMissingTranslation: MissingTranslationHandler;
+  getReport(): MissingTranslationReport;
+  clear(): void;
+}
+
+/**
+ * Create a collector that records missing translations at runtime
+ * Catches strings the static extractor cannot see (dynamic keys, generated text, …)
+ * Build plugin references are recorded by the source text and context they carry; references
+ * without one are skipped, so merging the report never adds hashes as messages
+ * @returns Collector with a handler for onMissingTranslation and a JSON-serializable report
+ *
+ * @example
+ * const collector = createMissingTranslationCollector();
+ * init({ locale: 'ko', messages, onMissingTranslation: collector.onMissingTranslation });
+ *
+ * // Later (e.g. after an e2e run)
+ * writeFileSync('i18n-missing.json', JSON.stringify(collector.getReport(), null, 2));
+ * // $ text-intl extract --merge i18n-missing.json
+ */
+export function createMissingTranslationCollector(): MissingTranslationCollector {
+  const entries = new Map<string, MissingTranslationReport['missing'][number]>();
+
+  function onMissingTranslation({
+    text,
+    context,
+    locale,
+    namespace,
+    hash,
+  }: MissingTranslation): void {
+    if (hash !== undefined && text === hash) return;
+
+    const id = `${namespace}:${getMessageKey(text, context)}`;
+    let entry = entries.get(id);
+    if (!entry) {
+      entry = { namespace, text, ...(context ? { context } : {}), locales: [], count: 0 };
+      entries.set(id, entry);
+    }
+    if (!entry.locales.includes(locale)) {
+      entry.locales.push(locale);
+    }
+    entry.count++;
   }
-  if (!config.messages || typeof config.messages !== 'object') {
-    throw new I18nConfigError('config.messages must be an object');
+
+  function getReport(): MissingTranslationReport {
+    return {
+      version: 1,
+      missing: Array.from(entries.values(), (entry) => ({ ...entry, locales: [...entry.locales] })),
+    };
   }
-  if (!config.messages[config.locale]) {
-    throw new I18nConfigError(`config.messages["${config.locale}"] is missing`);
+
+  function clear(): void {
+    entries.clear();
   }
 
-  locale = config.locale;
-  messages = config.messages;
-  meta = config.meta || {};
-  fallbackLocale = config.fallbackLocale || null;
+  return { onMissingTranslation, getReport, clear };
+}
+
+/**
+ * Initialize i18n (default instance)
+ * @param config - { locale, messages, meta?, fallbackLocale? }
+ * messages structure: { ko: { common: { hash: translation } } }
+ * meta structure: { ko: { common: { sourceText: hash } } }
+ */
+export function init(config: InitConfig): void {
+  defaultInstance.init(config);
 }
 
 /**
  * Translate (gettext style with namespace + ICU MessageFormat support)
  * @param text - Source text (will be mapped to hash via meta)
  * @param values - Variable replacements
- * @param namespace - Namespace (default: 'common')
+ * @param options - Namespace string (default: 'common') or { namespace?, context? }
  * @returns Translated text
  *
  * @example
@@ -138,98 +907,131 @@ export function init(config: InitConfig): void {
  * // ICU Select
  * t("{gender, select, male {He} female {She} other {They}}", { gender: "male" })
  * // → "He"
+ *
+ * // Context (same source text, different translation)
+ * t("Open", undefined, { context: "status" })
  */
 export function t(
   text: string,
   values?: Record<string, string | number | Date | boolean>,
-  namespace: string = DEFAULT_NAMESPACE
+  options: string | TranslateOptions = DEFAULT_NAMESPACE
 ): string {
-  let translated: string | null = null;
-
-  // Try to find hash via meta mapping
-  const hash = meta[locale]?.[namespace]?.[text];
-
-  if (hash) {
-    // Found hash in current locale's meta, look up translation
-    translated = messages[locale]?.[namespace]?.[hash] ?? null;
-  } else {
-    // No meta found, try direct key lookup (backwards compatibility)
-    translated = messages[locale]?.[namespace]?.[text] ?? null;
-  }
-
-  // Try fallback locale if translation not found
-  if (!translated && fallbackLocale) {
-    const fallbackHash = meta[fallbackLocale]?.[namespace]?.[text];
+  return defaultInstance.t(text, values, options);
+}
 
-    if (fallbackHash) {
-      translated = messages[fallbackLocale]?.[namespace]?.[fallbackHash] ?? null;
-    } else {
-      // Fallback: direct key lookup
-      translated = messages[fallbackLocale]?.[namespace]?.[text] ?? null;
-    }
-  }
+/**
+ * Translate with context (gettext pgettext style)
+ * @param context - Message context, e.g. "button" or "status"
+ * @param text - Source text
+ * @param values - Variable replacements
+ * @param namespace - Namespace (default: 'common')
+ * @returns Translated text
+ *
+ * @example
+ * pt("verb", "Open")    // → "열기"
+ * pt("status", "Open")  // → "열림"
+ */
+export function pt(
+  context: string,
+  text: string,
+  values?: Record<string, string | number | Date | boolean>,
+  namespace: string = DEFAULT_NAMESPACE
+): string {
+  return defaultInstance.pt(context, text, values, namespace);
+}
 
-  // Use original text if no translation found
-  translated = translated || text;
+/**
+ * Get current locale
+ */
+export function getLocale(): string {
+  return defaultInstance.getLocale();
+}
 
-  // Ensure translated is a string (not an object)
-  if (typeof translated !== 'string') {
-    console.warn(`Translation for "${text}" is not a string:`, translated);
-    translated = text;
-  }
+/**
+ * Set locale
+ */
+export function setLocale(newLocale: string): void {
+  defaultInstance.setLocale(newLocale);
+}
 
-  // Check if ICU MessageFormat syntax is present
-  if (isICUMessage(translated)) {
-    try {
-      const formatter = new IntlMessageFormat(translated, locale);
-      const formatted = formatter.format(values);
+/**
+ * Format a number in the current locale
+ * @param value - Number to format
+ * @param options - Intl.NumberFormat options or the name of a number preset
+ *
+ * @example
+ * formatNumber(1234.5)  // → "1,234.5"
+ * formatNumber(0.25, { style: 'percent' })  // → "25%"
+ */
+export function formatNumber(
+  value: number | bigint,
+  options?: string | Intl.NumberFormatOptions
+): string {
+  return defaultInstance.formatNumber(value, options);
+}
 
-      // IntlMessageFormat can return string or array of parts
-      if (typeof formatted === 'string') {
-        return formatted;
-      } else if (Array.isArray(formatted)) {
-        return formatted.map((part) => String(part)).join('');
-      } else {
-        return String(formatted);
-      }
-    } catch (error) {
-      console.error('ICU MessageFormat error:', (error as Error).message);
-      console.error('Message:', translated);
-      console.error('Values:', values);
-      // Fallback to original message on error
-      return translated;
-    }
-  }
+/**
+ * Format an amount of money in the current locale
+ *
+ * @example
+ * formatCurrency(12345, 'USD')  // → "$12,345.00"
+ */
+export function formatCurrency(
+  value: number | bigint,
+  currency: string,
+  options?: string | Intl.NumberFormatOptions
+): string {
+  return defaultInstance.formatCurrency(value, currency, options);
+}
 
-  // Simple variable substitution for non-ICU messages
-  if (values && typeof translated === 'string') {
-    Object.keys(values).forEach((key) => {
-      const value = values[key];
-      if (typeof value === 'string' || typeof value === 'number') {
-        translated = (translated as string).replace(`{${key}}`, String(value));
-      }
-    });
-  }
+/**
+ * Format a date in the current locale
+ * @param options - Intl.DateTimeFormat options or the name of a date/time preset
+ *
+ * @example
+ * formatDate(new Date(), { dateStyle: 'medium' })  // → "Jan 5, 2025"
+ */
+export function formatDate(
+  value: Date | number | string,
+  options?: string | Intl.DateTimeFormatOptions
+): string {
+  return defaultInstance.formatDate(value, options);
+}
 
-  return translated;
+/**
+ * Format a relative time in the current locale
+ *
+ * @example
+ * formatRelativeTime(-2, 'hour')  // → "2 hours ago"
+ * formatRelativeTime(new Date(Date.now() + 3 * 86400_000))  // → "in 3 days"
+ */
+export function formatRelativeTime(
+  value: Date | number,
+  unit?: Intl.RelativeTimeFormatUnit,
+  options?: Intl.RelativeTimeFormatOptions
+): string {
+  return defaultInstance.formatRelativeTime(value, unit, options);
 }
 
 /**
- * Get current locale
+ * Format a list in the current locale
+ *
+ * @example
+ * formatList(['Alice', 'Bob', 'Carol'])  // → "Alice, Bob, and Carol"
  */
-export function getLocale(): string {
-  return locale;
+export function formatList(items: Iterable<string>, options?: Intl.ListFormatOptions): string {
+  return defaultInstance.formatList(items, options);
 }
 
 /**
- * Set locale
+ * Get the name of a language, region, script or currency in the current locale
+ *
+ * @example
+ * formatDisplayName('ko', { type: 'language' })  // → "Korean"
  */
-export function setLocale(newLocale: string): void {
-  if (typeof newLocale !== 'string' || !newLocale) {
-    throw new I18nConfigError('setLocale() requires a non-empty string');
-  }
-  if (!messages[newLocale]) {
-    throw new I18nConfigError(`Locale "${newLocale}" is not available in messages`);
-  }
-  locale = newLocale;
+export function formatDisplayName(
+  code: string,
+  options: Intl.DisplayNamesOptions
+): string | undefined {
+  return defaultInstance.formatDisplayName(code, options);
 }
@@ -0,0 +1,273 @@
+/**
+ * Locale negotiation
+ * Resolves the best supported locale from URL path, cookie, Accept-Language or navigator.languages
+ * Works in Node middleware (pass request data) and in the browser (detectLocale reads globals)
+ */
+
+// ============================================================================
+// Types
+// ============================================================================
+
+/**
+ * Input for negotiateLocale
+ * Sources are checked in order: pathname → cookie → acceptLanguage → languages → defaultLocale
+ */
+export interface NegotiateLocaleOptions {
+  /** Supported locales, e.g. config.locales from i18n.config.js */
+  locales: readonly string[];
+  defaultLocale: string;
+  /** URL path with a locale prefix, e.g. "/ko/dashboard" */
+  pathname?: string;
+  /** Raw Cookie header (Node) or document.cookie (browser) */
+  cookie?: string | null;
+  /** Cookie that stores the user's choice (default: 'text-intl-locale') */
+  cookieName?: string;
+  /** Accept-Language header value */
+  acceptLanguage?: string | null;
+  /** Preferred languages, e.g. navigator.languages */
+  languages?: readonly string[];
+}
+
+/**
+ * Options for detecting the locale in the browser
+ */
+export interface DetectLocaleOptions {
+  locales: readonly string[];
+  defaultLocale: string;
+  cookieName?: string;
+  /** localStorage key that stores the user's choice (disabled when omitted) */
+  storageKey?: string;
+  /** Read the locale prefix from location.pathname (default: true) */
+  usePath?: boolean;
+}
+
+/**
+ * Options for persisting the user's locale choice
+ */
+export interface PersistLocaleOptions {
+  cookieName?: string;
+  /** localStorage key (disabled when omitted) */
+  storageKey?: string;
+  /** Cookie lifetime in seconds (default: 1 year) */
+  maxAge?: number;
+  path?: string;
+}
+
+export const DEFAULT_LOCALE_COOKIE = 'text-intl-locale';
+const ONE_YEAR = 60 * 60 * 24 * 365;
+
+// ============================================================================
+// Internal Functions
+// ============================================================================
+
+/**
+ * Normalize a language tag for comparison: "en_us" → "en-us"
+ */
+function normalizeTag(tag: string): string {
+  return tag.trim().replace(/_/g, '-').toLowerCase();
+}
+
+// ============================================================================
+// Public API
+// ============================================================================
+
+/**
+ * Find the best supported locale for a list of requested language tags (BCP 47 lookup)
+ * For each requested tag: exact match, then parent tags (zh-Hant-TW → zh-Hant → zh),
+ * then another region of the same language (en → en-US)
+ * @param requested - Requested tags in order of preference
+ * @param locales - Supported locales
+ * @returns Supported locale or null if nothing matches
+ *
+ * @example
+ * matchLocale(['zh-TW', 'en'], ['en', 'zh']) // → 'zh'
+ * matchLocale(['en-GB'], ['en', 'ko'])       // → 'en'
+ */
+export function matchLocale(
+  requested: readonly string[],
+  locales: readonly string[]
+): string | null {
+  const available = new Map(locales.map((locale) => [normalizeTag(locale), locale]));
+
+  for (const tag of requested) {
+    const normalized = normalizeTag(tag);
+    if (!normalized || normalized === '*') continue;
+
+    let candidate = normalized;
+    while (candidate) {
+      const match = available.get(candidate);
+      if (match) return match;
+
+      const index = candidate.lastIndexOf('-');
+      candidate = index === -1 ? '' : candidate.slice(0, index);
+    }
+
+    const language = normalized.split('-')[0];
+    const sibling = locales.find((locale) => normalizeTag(locale).split('-')[0] === language);
+    if (sibling) return sibling;
+  }
+
+  return null;
+}
+
+/**
+ * Parse an Accept-Language header into tags sorted by quality
+ * @param header - e.g. "ko-KR,ko;q=0.9,en;q=0.8"
+ * @returns Tags in order of preference, e.g. ['ko-KR', 'ko', 'en']
+ */
+export function parseAcceptLanguage(header: string | null | undefined): string[] {
+  if (!header) return [];
+
+  return header
+    .split(',')
+    .map((part, index) => {
+      const [tag, ...params] = part.trim().split(';');
+      const qParam = params.find((param) => param.trim().startsWith('q='));
+      const quality = qParam ? Number(qParam.trim().slice(2)) : 1;
+      return { tag: tag.trim(), quality: Number.isNaN(quality) ? 0 : quality, index };
+    })
+    .filter(({ tag, quality }) => tag && quality > 0)
+    .sort((a, b) => b.quality - a.quality || a.index - b.index)
+    .map(({ tag }) => tag);
+}
+
+/**
+ * Read the locale prefix of a URL path
+ * @param pathname - e.g. "/ko/dashboard"
+ * @param locales - Supported locales
+ * @returns Supported locale (as configured) or null
+ */
+export function getLocaleFromPath(pathname: string, locales: readonly string[]): string | null {
+  const segment = pathname.split('/').find(Boolean);
+  if (!segment) return null;
+
+  const normalized = normalizeTag(segment);
+  return locales.find((locale) => normalizeTag(locale) === normalized) ?? null;
+}
+
+/**
+ * Read a cookie value from a Cookie header or document.cookie
+ * A value that is not valid percent-encoding counts as absent
+ * @param cookie - "a=1; text-intl-locale=ko"
+ * @param name - Cookie name
+ */
+export function readCookie(cookie: string | null | undefined, name: string): string | null {
+  if (!cookie) return null;
+
+  for (const part of cookie.split(';')) {
+    const [key, ...rest] = part.trim().split('=');
+    if (key === name) {
+      try {
+        return decodeURIComponent(rest.join('='));
+      } catch {
+        return null;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Resolve the best locale from request data
+ * Works anywhere (Node middleware, edge functions, browser)
+ *
+ * @example
+ * ```typescript
+ * // middleware.ts
+ * const locale = negotiateLocale({
+ *   locales: config.locales,
+ *   defaultLocale: 'en',
+ *   pathname: request.nextUrl.pathname,
+ *   cookie: request.headers.get('cookie'),
+ *   acceptLanguage: request.headers.get('accept-language'),
+ * });
+ * ```
+ */
+export function negotiateLocale({
+  locales,
+  defaultLocale,
+  pathname,
+  cookie,
+  cookieName = DEFAULT_LOCALE_COOKIE,
+  acceptLanguage,
+  languages = [],
+}: NegotiateLocaleOptions): string {
+  const fromPath = pathname ? getLocaleFromPath(pathname, locales) : null;
+  if (fromPath) return fromPath;
+
+  const cookieValue = readCookie(cookie, cookieName);
+  const fromCookie = cookieValue ? matchLocale([cookieValue], locales) : null;
+  if (fromCookie) return fromCookie;
+
+  return (
+    matchLocale(parseAcceptLanguage(acceptLanguage), locales) ??
+    matchLocale(languages, locales) ??
+    defaultLocale
+  );
+}
+
+/**
+ * Detect the locale in the browser
+ * Checks location.pathname → cookie → localStorage → navigator.languages → defaultLocale
+ * Returns defaultLocale when called outside the browser
+ */
+export function detectLocale({
+  locales,
+  defaultLocale,
+  cookieName = DEFAULT_LOCALE_COOKIE,
+  storageKey,
+  usePath = true,
+}: DetectLocaleOptions): string {
+  if (typeof window === 'undefined') return defaultLocale;
+
+  let stored: string | null = null;
+  if (storageKey) {
+    try {
+      stored = window.localStorage?.getItem(storageKey) ?? null;
+    } catch {
+      // Storage can be blocked (third-party cookies disabled, sandboxed iframes)
+    }
+  }
+  const fromStorage = stored ? matchLocale([stored], locales) : null;
+
+  const fromPath = usePath ? getLocaleFromPath(window.location.pathname, locales) : null;
+  if (fromPath) return fromPath;
+
+  const cookieValue = readCookie(document.cookie, cookieName);
+  const fromCookie = cookieValue ? matchLocale([cookieValue], locales) : null;
+
+  return (
+    fromCookie ??
+    fromStorage ??
+    matchLocale(navigator.languages ?? [navigator.language], locales) ??
+    defaultLocale
+  );
+}
+
+/**
+ * Build a Set-Cookie header value that stores the locale (for Node middleware / route handlers)
+ * @returns e.g. "text-intl-locale=ko; Path=/; Max-Age=31536000; SameSite=Lax"
+ */
+export function serializeLocaleCookie(
+  locale: string,
+  { cookieName = DEFAULT_LOCALE_COOKIE, maxAge = ONE_YEAR, path = '/' }: PersistLocaleOptions = {}
+): string {
+  return `${cookieName}=${encodeURIComponent(locale)}; Path=${path}; Max-Age=${maxAge}; SameSite=Lax`;
+}
+
+/**
+ * Persist the user's locale choice in the browser (cookie, and localStorage if storageKey is set)
+ * Does nothing outside the browser
+ */
+export function persistLocale(locale: string, options: PersistLocaleOptions = {}): void {
+  if (typeof document === 'undefined') return;
+
+  document.cookie = serializeLocaleCookie(locale, options);
+  if (options.storageKey) {
+    try {
+      window.localStorage?.setItem(options.storageKey, locale);
+    } catch {
+      // Storage can be unavailable (private mode, quota), the cookie is enough
+    }
+  }
+}
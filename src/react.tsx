@@ -11,19 +11,36 @@ import React, {
   useEffect,
   useCallback,
   useMemo,
+  useRef,
+  Suspense,
+  cloneElement,
+  createElement,
+  isValidElement,
+  Fragment,
+  ReactElement,
   ReactNode,
 } from 'react';
 import {
-  init,
-  t as coreT,
-  setLocale as coreSetLocale,
+  createInstance,
+  getFallbackChain,
   getLocale as coreGetLocale,
+  I18nInstance,
   Messages,
   Meta,
+  NamespaceBundle,
+  MessageLoader,
+  FallbackLocale,
+  MissingTranslationMode,
+  CompiledMessages,
   LocaleOf,
   NamespaceOf,
+  TranslateOptions,
+  RichTextValues,
+  Formatter,
+  FormatPresets,
 } from './index.js';
 import { I18nProviderError } from './errors.js';
+import { persistLocale as writeLocale, PersistLocaleOptions } from './negotiation.js';
 
 // ============================================================================
 // Type Utilities
@@ -59,26 +76,72 @@ export type {
   LocaleOf,
   NamespaceOf,
   TranslationKeyOf,
+  TranslateOptions,
+  NamespaceBundle,
+  MessageLoader,
+  FallbackLocale,
+  MissingTranslation,
+  MissingTranslationMode,
+  CompiledMessages,
 } from './index.js';
+export type { PersistLocaleOptions } from './negotiation.js';
+export type { Formatter, FormatPresets } from './index.js';
+
+/**
+ * Options for hook-bound t() (namespace comes from useTranslation)
+ */
+export interface TranslationOptions {
+  context?: string;
+}
 
 // ============================================================================
 // Generic React API (Recommended)
 // ============================================================================
 
 /**
- * Generic translate function with key inference
- * Supports both hash keys and source text (when meta is provided)
+ * Translate function accepting any source text
+ * Used until a catalog is registered (see I18nRegister)
  */
-export interface TypedTranslateFunction<M extends Messages, _N extends NamespaceOf<M>> {
-  (text: string, values?: Record<string, string | number | Date | boolean | TagHandler>): ReactNode;
+export interface UntypedTranslateFunction {
+  (
+    text: string,
+    values?: Record<string, string | number | Date | boolean | TagHandler>,
+    options?: TranslationOptions
+  ): ReactNode;
 }
 
+/**
+ * Generic translate function
+ * Source text keys and their values are checked once the generated catalog is registered
+ */
+export type TypedTranslateFunction<M extends Messages, N extends NamespaceOf<M>> = [
+  RegisteredCatalog,
+] extends [never]
+  ? UntypedTranslateFunction
+  : CatalogTranslateFunction<N>;
+
+/**
+ * Translate function with explicit context (gettext pgettext style)
+ */
+export type ContextTranslateFunction<N extends string = string> = [RegisteredCatalog] extends [
+  never,
+]
+  ? (
+      context: string,
+      text: string,
+      values?: Record<string, string | number | Date | boolean | TagHandler>
+    ) => ReactNode
+  : CatalogContextTranslateFunction<N>;
+
 /**
  * Return type of typed useTranslation hook
  */
 export interface TypedUseTranslationReturn<M extends Messages, N extends NamespaceOf<M>> {
   t: TypedTranslateFunction<M, N>;
+  pt: ContextTranslateFunction<N>;
   locale: LocaleOf<M>;
+  /** False while the namespace is still loading (only with suspense: false) */
+  ready: boolean;
 }
 
 /**
@@ -97,8 +160,9 @@ export interface TypedI18nProviderProps<M extends Messages> {
   locale: LocaleOf<M>;
   messages: M;
   meta?: Meta;
-  fallbackLocale?: LocaleOf<M>;
+  fallbackLocale?: FallbackLocale<LocaleOf<M>>;
   components?: Record<string, TagHandler>;
+  formats?: FormatPresets;
 }
 
 /**
@@ -110,6 +174,7 @@ export interface TypedI18n<M extends Messages> {
     namespace?: N
   ) => TypedUseTranslationReturn<M, N>;
   useLocale: () => TypedUseLocaleReturn<M>;
+  useFormatter: () => Formatter;
 }
 
 // ============================================================================
@@ -120,11 +185,29 @@ export interface TypedI18n<M extends Messages> {
  * Configuration for setupI18n
  */
 export interface SetupI18nConfig<M extends Messages> {
-  messages: M;
+  /** Messages bundled up front (optional when loadMessages is set) */
+  messages?: M;
   meta?: Meta;
+  /** Pre-parsed ICU messages (*.ast.json from the CLI) */
+  compiled?: CompiledMessages;
   defaultLocale: LocaleOf<M>;
-  fallbackLocale?: LocaleOf<M>;
+  /** Fallback locale, ordered chain or per-locale map */
+  fallbackLocale?: FallbackLocale<LocaleOf<M>>;
+  /** Supported locales, needed to derive parent-tag fallbacks (pt-BR → pt) when loading lazily */
+  locales?: readonly LocaleOf<M>[];
   components?: Record<string, TagHandler>;
+  /** Load namespaces on demand when useTranslation(namespace) needs them */
+  loadMessages?: MessageLoader;
+  /** Suspend while loading (default: true). When false, check `ready` from useTranslation */
+  suspense?: boolean;
+  /** Rendered while a namespace is loading (suspense mode) */
+  fallback?: ReactNode;
+  /** Save setLocale choices to a cookie (and localStorage if storageKey is set) */
+  persistLocale?: boolean | PersistLocaleOptions;
+  /** 'source' (default), 'marker', 'throw' or a handler (e.g. a collector's onMissingTranslation) */
+  onMissingTranslation?: MissingTranslationMode;
+  /** Named number/date/time presets for useFormatter() and ICU messages ({amount, number, price}) */
+  formats?: FormatPresets;
 }
 
 /**
@@ -133,6 +216,10 @@ export interface SetupI18nConfig<M extends Messages> {
 export interface ConfiguredI18nProviderProps<M extends Messages> {
   children: ReactNode;
   locale?: LocaleOf<M>;
+  /** Messages used on the server (getHydrationData from 'text-intl/server'), merged with configured ones */
+  messages?: Messages;
+  meta?: Meta;
+  compiled?: CompiledMessages;
 }
 
 /**
@@ -144,6 +231,7 @@ export interface SetupI18nResult<M extends Messages> {
     namespace?: N
   ) => TypedUseTranslationReturn<M, N>;
   useLocale: () => TypedUseLocaleReturn<M>;
+  useFormatter: () => Formatter;
 }
 
 // ============================================================================
@@ -152,15 +240,81 @@ export interface SetupI18nResult<M extends Messages> {
 
 /**
  * Extend this interface for declaration merging approach
+ * - locale: union of supported locales
+ * - catalog: { namespace: { sourceText: values } }, registered by the generated messages/types.ts
+ * - messages: { namespace: { key: string } } (keys without value checks)
+ *
+ * @example
+ * ```typescript
+ * declare module 'text-intl/react' {
+ *   interface I18nRegister {
+ *     locale: 'en' | 'ko';
+ *     catalog: { common: { 'Hello {name}': { name: string | number } } };
+ *   }
+ * }
+ * ```
  */
 export interface I18nRegister {
-  locale: string;
-  messages: Record<string, Record<string, string>>;
+  /** Placeholder so the interface is never empty; the members above are added by merging */
+  readonly __register?: never;
+}
+
+/** Catalog from I18nRegister (never if not registered) */
+export type RegisteredCatalog = I18nRegister extends { catalog: infer C } ? C : never;
+
+type RegisteredMessages = I18nRegister extends { messages: infer M }
+  ? M
+  : Record<string, Record<string, string>>;
+
+export type Locale = I18nRegister extends { locale: infer L extends string } ? L : string;
+export type Namespace = [RegisteredCatalog] extends [never]
+  ? keyof RegisteredMessages
+  : keyof RegisteredCatalog & string;
+export type TranslationKey<N extends Namespace> = [RegisteredCatalog] extends [never]
+  ? keyof RegisteredMessages[N & keyof RegisteredMessages]
+  : CatalogKey<N>;
+
+/** Source text keys of a namespace in the registered catalog */
+export type CatalogKey<N> = N extends keyof RegisteredCatalog
+  ? keyof RegisteredCatalog[N] & string
+  : never;
+
+/**
+ * Arguments after the key: values are required when the message has variables, omitted when it has none
+ * Rest is appended as is (e.g. options)
+ */
+export type CatalogValues<P, Rest extends unknown[] = []> = [P] extends [undefined]
+  ? [values?: undefined, ...Rest]
+  : Partial<P> extends P
+    ? [values?: P, ...Rest]
+    : [values: P, ...Rest];
+
+/** Values of a catalog message by namespace and key */
+type CatalogParams<N, K> = N extends keyof RegisteredCatalog
+  ? K extends keyof RegisteredCatalog[N]
+    ? RegisteredCatalog[N][K]
+    : never
+  : never;
+
+/**
+ * Translate function checked against the registered catalog
+ * A key that is not in the namespace or a missing / misspelled value is a compile error
+ */
+export interface CatalogTranslateFunction<N> {
+  <K extends CatalogKey<N>>(
+    text: K,
+    ...args: CatalogValues<CatalogParams<N, K>, [options?: TranslationOptions]>
+  ): ReactNode;
 }
 
-export type Locale = I18nRegister['locale'];
-export type Namespace = keyof I18nRegister['messages'];
-export type TranslationKey<N extends Namespace> = keyof I18nRegister['messages'][N];
+/** pt() checked against the registered catalog */
+export interface CatalogContextTranslateFunction<N> {
+  <K extends CatalogKey<N>>(
+    context: string,
+    text: K,
+    ...args: CatalogValues<CatalogParams<N, K>>
+  ): ReactNode;
+}
 
 // ============================================================================
 // Non-generic React API (for declaration merging)
@@ -169,22 +323,35 @@ export type TranslationKey<N extends Namespace> = keyof I18nRegister['messages']
 export interface I18nProviderProps {
   children: ReactNode;
   locale: Locale;
-  messages: Messages;
+  messages?: Messages;
   meta?: Meta;
-  fallbackLocale?: Locale;
+  compiled?: CompiledMessages;
+  fallbackLocale?: FallbackLocale<Locale>;
+  locales?: readonly Locale[];
   components?: Record<string, TagHandler>;
+  loadMessages?: MessageLoader;
+  suspense?: boolean;
+  fallback?: ReactNode;
+  persistLocale?: boolean | PersistLocaleOptions;
+  onMissingTranslation?: MissingTranslationMode;
+  /** Keep the same object across renders (changing it clears the formatter caches) */
+  formats?: FormatPresets;
 }
 
-export interface TranslateFunction<N extends Namespace> {
-  <K extends TranslationKey<N>>(
-    text: K,
-    values?: TranslationValues<K extends string ? K : string>
-  ): ReactNode;
-}
+export type TranslateFunction<N extends Namespace> = [RegisteredCatalog] extends [never]
+  ? <K extends TranslationKey<N>>(
+      text: K,
+      values?: TranslationValues<K extends string ? K : string>,
+      options?: TranslationOptions
+    ) => ReactNode
+  : CatalogTranslateFunction<N>;
 
 export interface UseTranslationReturn<N extends Namespace> {
   t: TranslateFunction<N>;
+  pt: ContextTranslateFunction<N & string>;
   locale: Locale;
+  /** False while the namespace is still loading (only with suspense: false) */
+  ready: boolean;
 }
 
 export interface UseLocaleReturn {
@@ -192,6 +359,20 @@ export interface UseLocaleReturn {
   setLocale: (locale: Locale) => void;
 }
 
+/** Placeholder object inside <Trans> children, e.g. {{ name }} → "{name}" */
+export type TransValue = Record<string, string | number | Date | boolean>;
+
+/** Children accepted by <Trans>: text, elements and placeholder objects */
+export type TransChildren = ReactNode | TransValue | TransChildren[];
+
+export interface TransProps {
+  children: TransChildren;
+  namespace?: Namespace;
+  context?: string;
+  values?: TransValue;
+  components?: Record<string, ReactElement>;
+}
+
 // ============================================================================
 // Internal Types
 // ============================================================================
@@ -200,10 +381,15 @@ interface I18nContextType {
   t: (
     text: string,
     values?: Record<string, string | number | Date | boolean | TagHandler>,
-    namespace?: string
+    options?: TranslateOptions
   ) => ReactNode;
   locale: string;
   setLocale: (locale: string) => void;
+  /** Instance owned by the provider (isolated from other providers) */
+  instance: I18nInstance;
+  /** Start loading a namespace for the current locale; null if already available */
+  loadNamespace: (namespace: string) => Promise<void> | null;
+  suspense: boolean;
 }
 
 const I18nContext = createContext<I18nContextType | null>(null);
@@ -213,6 +399,30 @@ const DEFAULT_NAMESPACE = 'common';
 // Components and Hooks
 // ============================================================================
 
+/**
+ * Merge messages or meta per locale (namespaces of the same locale are kept)
+ */
+function mergeByLocale<T extends Record<string, Record<string, unknown>>>(
+  target: T,
+  source: T | undefined
+): void {
+  for (const [targetLocale, namespaces] of Object.entries(source ?? {})) {
+    (target as Record<string, unknown>)[targetLocale] = { ...target[targetLocale], ...namespaces };
+  }
+}
+
+/**
+ * Turn formatted rich text parts into React children
+ * Text-only content stays a string (tag handlers can format it), elements are passed as
+ * Fragment children, so they need no keys
+ */
+function toChildren(parts: ReactNode[]): ReactNode {
+  if (parts.every((part) => typeof part === 'string')) {
+    return parts.join('');
+  }
+  return parts.length === 1 ? parts[0] : createElement(Fragment, null, ...parts);
+}
+
 /**
  * I18n Provider
  */
@@ -221,125 +431,243 @@ export function I18nProvider({
   locale: initialLocale,
   messages,
   meta,
+  compiled,
   fallbackLocale,
+  locales,
   components = {},
+  loadMessages,
+  suspense = true,
+  fallback = null,
+  persistLocale = false,
+  onMissingTranslation,
+  formats,
 }: I18nProviderProps): ReactNode {
   const [locale, setLocaleState] = useState(initialLocale);
+  // Bumped when a lazily loaded namespace arrives, so consumers re-render
+  const [version, setVersion] = useState(0);
+
+  // Static messages merged with lazily loaded bundles (kept across locale switches)
+  const [store] = useState(() => {
+    const initial = {
+      messages: {} as Messages,
+      meta: {} as Meta,
+      compiled: {} as CompiledMessages,
+    };
+    mergeByLocale(initial.messages, messages);
+    mergeByLocale(initial.meta, meta);
+    mergeByLocale(initial.compiled, compiled);
+    initial.messages[locale] ??= {};
+    return initial;
+  });
+  // Each provider owns its instance, so providers (and SSR requests) do not share state
+  const [instance] = useState(() =>
+    createInstance({
+      locale,
+      messages: store.messages,
+      meta: store.meta,
+      compiled: store.compiled,
+      fallbackLocale,
+      onMissingTranslation,
+      formats,
+    })
+  );
+  const pendingLoads = useRef(new Map<string, Promise<void>>());
+  // One promise per locale × namespace for suspended renders, so they all wait on the same load
+  const namespaceLoads = useRef(new Map<string, Promise<void>>());
+  // Failed loads render the source text and are retried on the next locale switch
+  const failedLoads = useRef(new Set<string>());
+  const usedNamespaces = useRef(new Set<string>());
+  const localeRef = useRef(locale);
+  localeRef.current = locale;
+
+  const initCore = useCallback(
+    (targetLocale: string) => {
+      store.messages[targetLocale] ??= {};
+      instance.init({
+        locale: targetLocale,
+        messages: store.messages,
+        meta: store.meta,
+        compiled: store.compiled,
+        fallbackLocale,
+        onMissingTranslation,
+        formats,
+      });
+    },
+    [instance, store, fallbackLocale, onMissingTranslation, formats]
+  );
+
+  /**
+   * Locales whose bundles are needed to render a locale (the locale and its fallback chain)
+   */
+  const getLocaleChain = useCallback(
+    (targetLocale: string) =>
+      getFallbackChain(targetLocale, fallbackLocale, locales ?? Object.keys(store.messages)),
+    [fallbackLocale, locales, store]
+  );
 
   useEffect(() => {
-    init({ locale, messages, meta, fallbackLocale });
-  }, [locale, messages, meta, fallbackLocale]);
+    mergeByLocale(store.messages, messages);
+    mergeByLocale(store.meta, meta);
+    mergeByLocale(store.compiled, compiled);
+    initCore(locale);
+  }, [store, initCore, locale, messages, meta, compiled]);
+
+  /**
+   * Load one namespace for the given locales (cached per locale × namespace)
+   * Failed loads are logged and not cached, the source text is shown until they are retried
+   */
+  const loadBundles = useCallback(
+    (targetLocales: string[], namespace: string): Promise<void> | null => {
+      if (!loadMessages) return null;
+
+      const loads = targetLocales
+        .filter(
+          (targetLocale) =>
+            !store.messages[targetLocale]?.[namespace] &&
+            !failedLoads.current.has(`${targetLocale}:${namespace}`)
+        )
+        .map((targetLocale) => {
+          const key = `${targetLocale}:${namespace}`;
+          let pending = pendingLoads.current.get(key);
+
+          if (!pending) {
+            pending = loadMessages(targetLocale, namespace)
+              .then(
+                (bundle: NamespaceBundle) => {
+                  mergeByLocale(store.messages, {
+                    [targetLocale]: { [namespace]: bundle.messages },
+                  });
+                  mergeByLocale(store.meta, { [targetLocale]: { [namespace]: bundle.meta ?? {} } });
+                  mergeByLocale(store.compiled, { [targetLocale]: bundle.compiled ?? {} });
+                },
+                (error: Error) => {
+                  console.error(`Failed to load messages for ${key}:`, error.message);
+                  failedLoads.current.add(key);
+                }
+              )
+              .finally(() => pendingLoads.current.delete(key));
+            pendingLoads.current.set(key, pending);
+          }
+          return pending;
+        });
 
-  const setLocale = useCallback((newLocale: string) => {
-    coreSetLocale(newLocale);
-    setLocaleState(newLocale);
-  }, []);
+      return loads.length > 0 ? Promise.all(loads).then(() => undefined) : null;
+    },
+    [loadMessages, store]
+  );
+
+  const loadNamespace = useCallback(
+    (namespace: string): Promise<void> | null => {
+      usedNamespaces.current.add(namespace);
+      const key = `${locale}:${namespace}`;
+      const current = namespaceLoads.current.get(key);
+      if (current) return current;
+
+      const pending = loadBundles(getLocaleChain(locale), namespace);
+      if (!pending) return null;
+
+      const loaded = pending.then(() => {
+        namespaceLoads.current.delete(key);
+        // Re-initialize before re-rendering so the first render after loading is translated
+        initCore(localeRef.current);
+        setVersion((v) => v + 1);
+      });
+      namespaceLoads.current.set(key, loaded);
+      return loaded;
+    },
+    [loadBundles, initCore, getLocaleChain, locale]
+  );
+
+  const setLocale = useCallback(
+    (newLocale: string) => {
+      failedLoads.current.clear();
+      const switchLocale = () => {
+        store.messages[newLocale] ??= {};
+        instance.setLocale(newLocale);
+        setLocaleState(newLocale);
+        if (persistLocale) {
+          writeLocale(newLocale, persistLocale === true ? {} : persistLocale);
+        }
+      };
+
+      // Load namespaces already in use before switching, so the UI does not fall back
+      const loads = Array.from(usedNamespaces.current)
+        .map((namespace) => loadBundles(getLocaleChain(newLocale), namespace))
+        .filter(Boolean);
+
+      if (loads.length > 0) {
+        Promise.all(loads).then(switchLocale);
+      } else {
+        switchLocale();
+      }
+    },
+    [instance, store, loadBundles, getLocaleChain, persistLocale]
+  );
 
   const t = useCallback(
     (
       text: string,
       values?: Record<string, string | number | Date | boolean | TagHandler>,
-      namespace: string = DEFAULT_NAMESPACE
+      options: TranslateOptions = {}
     ): ReactNode => {
-      // Get translation from namespace
-      // Filter out TagHandlers for coreT (which only accepts primitive values)
-      const valuesForTranslation =
-        values && typeof values === 'object'
-          ? (Object.fromEntries(
-              Object.entries(values).filter(([, v]) => typeof v !== 'function')
-            ) as Record<string, string | number | Date | boolean>)
-          : undefined;
-      const translated = coreT(text, valuesForTranslation, namespace);
-
-      // Handle tags first, then simple variables
-      const parts: (string | ReactNode)[] = [];
-      let lastIndex = 0;
-      let hasReplacements = false;
-
-      // Find all <tag>content</tag> or <tag>{variable}</tag> patterns
-      const tagRegex = /<(\w+)>([^<]*)<\/\1>/g;
-      let match;
-
-      while ((match = tagRegex.exec(translated)) !== null) {
-        const [fullMatch, tagName, content] = match;
-        const index = match.index;
-
-        // Add text before the match
-        if (index > lastIndex) {
-          parts.push(translated.slice(lastIndex, index));
-        }
-
-        // Check if content is a variable reference like {varName}
-        const varMatch = content.match(/^\{(\w+)\}$/);
-        let processedContent = content;
+      const richValues: RichTextValues<ReactNode> = {};
+      const tags = new Set(Object.keys(components));
 
-        if (varMatch && values) {
-          // Replace variable reference with actual value
-          const varName = varMatch[1];
-          const value = values[varName];
-          processedContent = value instanceof Date ? value.toString() : String(value);
-        }
-
-        // Get both inline and global handlers
-        const inlineHandler = values && values[tagName];
-        const globalHandler = components[tagName];
-
-        if (typeof inlineHandler === 'function' && typeof globalHandler === 'function') {
-          // Both exist - apply global formatter first, then wrap with inline handler
-          const formatted = globalHandler(processedContent, locale);
-          const result = (inlineHandler as TagHandler)(formatted, locale);
-          parts.push(result);
-          hasReplacements = true;
-        } else if (typeof inlineHandler === 'function') {
-          // Only inline handler - use it directly
-          const result = (inlineHandler as TagHandler)(processedContent, locale);
-          parts.push(result);
-          hasReplacements = true;
-        } else if (typeof globalHandler === 'function') {
-          // Only global handler
-          const result = globalHandler(processedContent, locale);
-          parts.push(result);
-          hasReplacements = true;
+      for (const [name, value] of Object.entries(values ?? {})) {
+        if (typeof value === 'function') {
+          tags.add(name);
         } else {
-          // No handler found, keep original
-          parts.push(fullMatch);
+          richValues[name] = value;
         }
-
-        lastIndex = index + fullMatch.length;
       }
 
-      // Add remaining text
-      if (lastIndex < translated.length) {
-        parts.push(translated.slice(lastIndex));
+      // Inline and global handlers: global formatter first, then wrapped with the inline handler
+      for (const name of tags) {
+        const inlineHandler = values?.[name];
+        const globalHandler = components[name];
+        richValues[name] = (chunks) => {
+          const children = toChildren(chunks);
+          const formatted = globalHandler ? globalHandler(children, locale) : children;
+          return typeof inlineHandler === 'function' ? inlineHandler(formatted, locale) : formatted;
+        };
       }
 
-      // If we found tag replacements, return as React elements
-      if (hasReplacements && parts.length > 0) {
-        return parts.map((part, i) =>
-          typeof part === 'string' ? part : <span key={i}>{part}</span>
-        );
-      }
+      const parts = instance.rich(text, richValues, {
+        namespace: options.namespace ?? DEFAULT_NAMESPACE,
+        context: options.context,
+      });
 
-      // No tag replacements found, handle simple {variable} substitution
-      let result = translated;
-      if (values) {
-        Object.keys(values).forEach((key) => {
-          const value = values[key];
-          // Only replace with string/number values (not functions or objects)
-          if (typeof value === 'string' || typeof value === 'number') {
-            result = result.replace(`{${key}}`, String(value));
-          }
-        });
+      // Most messages have no tags: plain text (values are already formatted)
+      if (parts.every((part) => typeof part === 'string')) {
+        return parts.join('');
       }
-
-      return result;
+      return toChildren(parts);
     },
-    [components, locale]
+    [instance, components, locale]
   );
 
-  const contextValue = useMemo(() => ({ t, locale, setLocale }), [t, locale, setLocale]);
+  const contextValue = useMemo(
+    () => ({ t, locale, setLocale, instance, loadNamespace, suspense, version }),
+    [t, locale, setLocale, instance, loadNamespace, suspense, version]
+  );
 
-  return <I18nContext.Provider value={contextValue}>{children}</I18nContext.Provider>;
+  return (
+    <I18nContext.Provider value={contextValue}>
+      {loadMessages && suspense ? <Suspense fallback={fallback}>{children}</Suspense> : children}
+    </I18nContext.Provider>
+  );
+}
+
+/**
+ * Load a namespace if needed: suspends in suspense mode, otherwise reports readiness
+ * @returns True when the namespace is available
+ */
+function useNamespaceLoader(context: I18nContextType, namespace: string): boolean {
+  const pending = context.loadNamespace(namespace);
+  if (pending && context.suspense) {
+    throw pending;
+  }
+  return !pending;
 }
 
 /**
@@ -355,12 +683,27 @@ export function useTranslation<N extends Namespace = 'common'>(
   }
 
   const t = useCallback(
-    (text: string, values?: Record<string, string | number | Date | boolean | TagHandler>) =>
-      context.t(text, values, namespace),
+    (
+      text: string,
+      values?: Record<string, string | number | Date | boolean | TagHandler>,
+      options?: TranslationOptions
+    ) => context.t(text, values, { namespace, context: options?.context }),
+    [context, namespace]
+  );
+
+  const pt = useCallback(
+    (
+      messageContext: string,
+      text: string,
+      values?: Record<string, string | number | Date | boolean | TagHandler>
+    ) => context.t(text, values, { namespace, context: messageContext }),
     [context, namespace]
   );
 
-  return { t, locale: context.locale } as UseTranslationReturn<N>;
+  const ready = useNamespaceLoader(context, namespace);
+
+  // Keys and values are checked by the signatures only (see I18nRegister)
+  return { t, pt, locale: context.locale, ready } as unknown as UseTranslationReturn<N>;
 }
 
 /**
@@ -375,7 +718,143 @@ export function useLocale(): UseLocaleReturn {
 }
 
 /**
- * Get current locale (for use outside React components)
+ * Format numbers, dates, relative times, lists and display names in the current locale
+ * Uses the presets from the provider's `formats`
+ *
+ * @example
+ * ```tsx
+ * const { formatCurrency, formatRelativeTime } = useFormatter();
+ * t('Revenue: {amount}', { amount: formatCurrency(12345, 'USD') });
+ * t('Updated {time}', { time: formatRelativeTime(updatedAt) });
+ * ```
+ */
+export function useFormatter(): Formatter {
+  const context = useContext(I18nContext);
+  if (!context) {
+    throw new I18nProviderError('useFormatter');
+  }
+  const { instance, locale } = context;
+
+  // New object when the locale changes, so memoized consumers re-render
+  return useMemo(
+    () => ({
+      formatNumber: instance.formatNumber,
+      formatCurrency: instance.formatCurrency,
+      formatDate: instance.formatDate,
+      formatRelativeTime: instance.formatRelativeTime,
+      formatList: instance.formatList,
+      formatDisplayName: instance.formatDisplayName,
+    }),
+    [instance, locale]
+  );
+}
+
+/**
+ * Check if an element is rendered as a named tag (<strong>) instead of an index (<0>)
+ * Only plain HTML elements without props keep their name
+ */
+function isNamedTagElement(element: ReactElement): element is ReactElement<{ children?: unknown }> {
+  return (
+    typeof element.type === 'string' &&
+    Object.keys(element.props as object).every((prop) => prop === 'children')
+  );
+}
+
+/**
+ * Serialize <Trans> children into a message string
+ * - Elements become <0>…</0> (by order of appearance) or named tags (<strong>…</strong>)
+ * - Placeholder objects {{ name }} become {name}
+ * Must stay in sync with the JSX serializer in cli/extract.js
+ */
+function serializeTransChildren(
+  children: TransChildren,
+  elements: Record<string, ReactElement>,
+  values: TransValue,
+  counter: { index: number }
+): string {
+  if (children === null || children === undefined || typeof children === 'boolean') {
+    return '';
+  }
+  if (typeof children === 'string' || typeof children === 'number') {
+    return String(children);
+  }
+  if (Array.isArray(children)) {
+    return children
+      .map((child) => serializeTransChildren(child, elements, values, counter))
+      .join('');
+  }
+  if (isValidElement<{ children?: TransChildren }>(children)) {
+    if (children.type === Fragment) {
+      return serializeTransChildren(children.props.children, elements, values, counter);
+    }
+
+    const name = isNamedTagElement(children) ? (children.type as string) : String(counter.index++);
+    elements[name] = children;
+
+    const inner = serializeTransChildren(children.props.children, elements, values, counter);
+    return inner ? `<${name}>${inner}</${name}>` : `<${name}/>`;
+  }
+  if (typeof children === 'object' && !(children instanceof Date)) {
+    const [name] = Object.keys(children);
+    if (name) {
+      values[name] = (children as TransValue)[name];
+      return `{${name}}`;
+    }
+  }
+  return '';
+}
+
+/**
+ * Translate JSX children as a single message
+ * Elements map to <0>…</0> tags (or their tag name for plain HTML elements without props),
+ * placeholder objects map to {name}
+ *
+ * @example
+ * ```tsx
+ * <Trans>
+ *   Hello {{ name }}, read our <a href="/terms">terms</a> and <strong>enjoy</strong>!
+ * </Trans>
+ * // message: "Hello {name}, read our <0>terms</0> and <strong>enjoy</strong>!"
+ * ```
+ */
+export function Trans({
+  children,
+  namespace = DEFAULT_NAMESPACE,
+  context: messageContext,
+  values,
+  components,
+}: TransProps): ReactNode {
+  const context = useContext(I18nContext);
+  if (!context) {
+    throw new I18nProviderError('Trans');
+  }
+  useNamespaceLoader(context, namespace);
+
+  const elements: Record<string, ReactElement> = { ...components };
+  const childValues: TransValue = {};
+  const message = serializeTransChildren(children, elements, childValues, { index: 0 });
+  // Each element renders its tag; tags without a matching element are kept as text
+  const richValues: RichTextValues<ReactNode> = { ...childValues, ...values };
+  for (const [name, element] of Object.entries(elements)) {
+    richValues[name] = (chunks) =>
+      chunks.length > 0 ? cloneElement(element, undefined, ...chunks) : cloneElement(element);
+  }
+
+  const parts = context.instance.rich(message, richValues, {
+    namespace,
+    context: messageContext,
+  });
+
+  return parts.length === 1 ? parts[0] : createElement(Fragment, null, ...parts);
+}
+
+/** Short alias for Trans */
+export const T = Trans;
+
+/**
+ * Get current locale of the default core instance (for use outside React components)
+ * @deprecated Each I18nProvider owns its own instance and no longer updates the default one.
+ * Use useLocale() inside components, or createInstance() from 'text-intl' for non-React code.
  */
 export function getLocale(): string {
   return coreGetLocale();
@@ -408,8 +887,9 @@ export function createI18n<M extends Messages>(_messages: M): TypedI18n<M> {
   // Type inference happens at compile time via TypeScript
   return {
     I18nProvider,
-    useTranslation,
+    useTranslation: useTranslation as TypedI18n<M>['useTranslation'],
     useLocale,
+    useFormatter,
   };
 }
 
@@ -446,21 +926,61 @@ export function createI18n<M extends Messages>(_messages: M): TypedI18n<M> {
 export function setupI18n<M extends Messages>({
   messages,
   meta,
+  compiled,
   defaultLocale,
   fallbackLocale,
+  locales,
   components = {},
+  loadMessages,
+  suspense,
+  fallback,
+  persistLocale,
+  onMissingTranslation,
+  formats,
 }: SetupI18nConfig<M>): SetupI18nResult<M> {
   function ConfiguredProvider({
     children,
     locale = defaultLocale,
+    messages: hydratedMessages,
+    meta: hydratedMeta,
+    compiled: hydratedCompiled,
   }: ConfiguredI18nProviderProps<M>): ReactNode {
+    const mergedMessages = useMemo(() => {
+      const merged: Messages = {};
+      mergeByLocale(merged, messages);
+      mergeByLocale(merged, hydratedMessages);
+      return merged;
+    }, [hydratedMessages]);
+
+    const mergedMeta = useMemo(() => {
+      const merged: Meta = {};
+      mergeByLocale(merged, meta);
+      mergeByLocale(merged, hydratedMeta);
+      return merged;
+    }, [hydratedMeta]);
+
+    const mergedCompiled = useMemo(() => {
+      const merged: CompiledMessages = {};
+      mergeByLocale(merged, compiled);
+      mergeByLocale(merged, hydratedCompiled);
+      return merged;
+    }, [hydratedCompiled]);
+
     return (
       <I18nProvider
         locale={locale}
-        messages={messages}
-        meta={meta}
+        messages={mergedMessages}
+        meta={mergedMeta}
+        compiled={mergedCompiled}
         fallbackLocale={fallbackLocale}
+        locales={locales}
         components={components}
+        loadMessages={loadMessages}
+        suspense={suspense}
+        fallback={fallback}
+        persistLocale={persistLocale}
+        onMissingTranslation={onMissingTranslation}
+        formats={formats}
       >
         {children}
       </I18nProvider>
@@ -469,7 +989,8 @@ export function setupI18n<M extends Messages>({
 
   return {
     I18nProvider: ConfiguredProvider,
-    useTranslation,
+    useTranslation: useTranslation as SetupI18nResult<M>['useTranslation'],
     useLocale,
+    useFormatter,
   };
 }
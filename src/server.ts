@@ -0,0 +1,258 @@
+/**
+ * Server adapter for SSR, React Server Components and route handlers
+ * Requests share one instance per locale: an instance's locale never changes, so concurrent
+ * requests never mix locales, and compiled ICU formatters are reused across requests
+ */
+
+import {
+  createInstance,
+  getFallbackChain,
+  I18nInstance,
+  CompiledMessages,
+  FallbackLocale,
+  MissingTranslationMode,
+  Messages,
+  Meta,
+  MessageLoader,
+  NamespaceBundle,
+  TranslateOptions,
+  Formatter,
+  FormatPresets,
+} from './index.js';
+import { I18nConfigError } from './errors.js';
+
+// ============================================================================
+// Types
+// ============================================================================
+
+/**
+ * Configuration for setupServerI18n
+ * Provide static messages/meta, a loader, or both (static bundles win)
+ */
+export interface ServerI18nConfig {
+  messages?: Messages;
+  meta?: Meta;
+  /** Pre-parsed ICU messages (*.ast.json from the CLI) */
+  compiled?: CompiledMessages;
+  loadMessages?: MessageLoader;
+  /** Fallback locale, ordered chain or per-locale map */
+  fallbackLocale?: FallbackLocale;
+  /** Supported locales, needed to derive parent-tag fallbacks (pt-BR → pt) with a loader */
+  locales?: readonly string[];
+  /** 'source' (default), 'marker', 'throw' or a handler */
+  onMissingTranslation?: MissingTranslationMode;
+  /** Named number/date/time presets (same as setupI18n) */
+  formats?: FormatPresets;
+}
+
+/**
+ * Request-scoped translation bound to a locale and namespace
+ * Includes the format helpers for the locale (formatNumber, formatDate, …)
+ */
+export interface ServerTranslation extends Formatter {
+  t: (
+    text: string,
+    values?: Record<string, string | number | Date | boolean>,
+    options?: Pick<TranslateOptions, 'context'>
+  ) => string;
+  pt: (
+    context: string,
+    text: string,
+    values?: Record<string, string | number | Date | boolean>
+  ) => string;
+  locale: string;
+  namespace: string;
+}
+
+/**
+ * Serializable messages to pass from the server to the client I18nProvider,
+ * so the first client render uses exactly the messages the server used
+ */
+export interface HydrationData {
+  locale: string;
+  messages: Messages;
+  meta: Meta;
+  /** Pre-parsed ICU messages of the included namespaces, so the client does not parse them again */
+  compiled: CompiledMessages;
+}
+
+/**
+ * Result of setupServerI18n
+ */
+export interface ServerI18n {
+  getTranslation: (locale: string, namespace?: string) => Promise<ServerTranslation>;
+  getHydrationData: (locale: string, namespaces?: string[]) => Promise<HydrationData>;
+}
+
+const DEFAULT_NAMESPACE = 'common';
+
+// ============================================================================
+// Public API
+// ============================================================================
+
+/**
+ * Setup server-side i18n
+ *
+ * @example
+ * ```typescript
+ * // i18n.server.ts
+ * import { setupServerI18n } from 'text-intl/server';
+ *
+ * export const { getTranslation, getHydrationData } = setupServerI18n({
+ *   loadMessages: async (locale, namespace) => ({
+ *     messages: (await import(`./messages/${locale}/${namespace}.json`)).default,
+ *     meta: (await import(`./messages/${locale}/${namespace}.meta.json`)).default,
+ *   }),
+ *   fallbackLocale: 'en',
+ * });
+ *
+ * // app/[locale]/page.tsx (Server Component)
+ * const { t } = await getTranslation(params.locale, 'dashboard');
+ * return <h1>{t('Dashboard')}</h1>;
+ *
+ * // app/[locale]/layout.tsx
+ * const data = await getHydrationData(params.locale, ['common', 'dashboard']);
+ * return <I18nProvider {...data}>…</I18nProvider>;
+ * ```
+ */
+export function setupServerI18n({
+  messages = {},
+  meta = {},
+  compiled = {},
+  loadMessages,
+  fallbackLocale,
+  locales,
+  onMissingTranslation,
+  formats,
+}: ServerI18nConfig): ServerI18n {
+  // Bundles are static, so loaded ones are cached for the whole process (not per request)
+  const bundleCache = new Map<string, Promise<NamespaceBundle>>();
+  // Everything loaded so far, shared by the per-locale instances
+  const store = { messages: {} as Messages, meta: {} as Meta, compiled: { ...compiled } };
+  const instances = new Map<string, I18nInstance>();
+
+  function loadBundle(locale: string, namespace: string): Promise<NamespaceBundle> {
+    const staticMessages = messages[locale]?.[namespace];
+    if (staticMessages || !loadMessages) {
+      return Promise.resolve({
+        messages: staticMessages ?? {},
+        meta: meta[locale]?.[namespace] ?? {},
+      });
+    }
+
+    const key = `${locale}:${namespace}`;
+    let pending = bundleCache.get(key);
+    if (!pending) {
+      pending = loadMessages(locale, namespace).catch((error: Error) => {
+        // Do not cache failures, the next request retries
+        bundleCache.delete(key);
+        throw error;
+      });
+      bundleCache.set(key, pending);
+    }
+    return pending;
+  }
+
+  async function getHydrationData(
+    locale: string,
+    namespaces: string[] = [DEFAULT_NAMESPACE]
+  ): Promise<HydrationData> {
+    if (typeof locale !== 'string' || !locale) {
+      throw new I18nConfigError('getHydrationData() requires a non-empty locale');
+    }
+
+    // The locale and its fallback chain, so the client renders the same fallbacks
+    const chain = getFallbackChain(locale, fallbackLocale, locales ?? Object.keys(messages));
+    const data: HydrationData = { locale, messages: {}, meta: {}, compiled: {} };
+
+    await Promise.all(
+      chain.flatMap((targetLocale) =>
+        namespaces.map(async (namespace) => {
+          const bundle = await loadBundle(targetLocale, namespace);
+          (data.messages[targetLocale] ??= {})[namespace] = bundle.messages;
+          (data.meta[targetLocale] ??= {})[namespace] = bundle.meta ?? {};
+
+          (store.messages[targetLocale] ??= {})[namespace] = bundle.messages;
+          (store.meta[targetLocale] ??= {})[namespace] = bundle.meta ?? {};
+          if (bundle.compiled) {
+            Object.assign((store.compiled[targetLocale] ??= {}), bundle.compiled);
+          }
+
+          // ASTs are keyed by message, static and loaded ones alike
+          const localeCompiled = store.compiled[targetLocale];
+          if (!localeCompiled) return;
+          for (const message of Object.values(bundle.messages)) {
+            if (typeof message === 'string' && localeCompiled[message]) {
+              (data.compiled[targetLocale] ??= {})[message] = localeCompiled[message];
+            }
+          }
+        })
+      )
+    );
+
+    // A locale without any namespace still needs an entry to initialize
+    data.messages[locale] ??= {};
+    store.messages[locale] ??= {};
+    return data;
+  }
+
+  async function getTranslation(
+    locale: string,
+    namespace: string = DEFAULT_NAMESPACE
+  ): Promise<ServerTranslation> {
+    if (typeof locale !== 'string' || !locale) {
+      throw new I18nConfigError('getTranslation() requires a non-empty locale');
+    }
+
+    await getHydrationData(locale, [namespace]);
+
+    // Re-initialize the shared instance so it sees namespaces loaded since it was created
+    const config = {
+      locale,
+      messages: store.messages,
+      meta: store.meta,
+      compiled: store.compiled,
+      fallbackLocale,
+      onMissingTranslation,
+      formats,
+    };
+    let instance = instances.get(locale);
+    if (instance) {
+      instance.init(config);
+    } else {
+      instance = createInstance(config);
+      instances.set(locale, instance);
+    }
+
+    return {
+      t: (text, values, options) =>
+        instance.t(text, values, { namespace, context: options?.context }),
+      pt: (context, text, values) => instance.pt(context, text, values, namespace),
+      // Each locale has its own instance, so these stay bound to the locale
+      formatNumber: instance.formatNumber,
+      formatCurrency: instance.formatCurrency,
+      formatDate: instance.formatDate,
+      formatRelativeTime: instance.formatRelativeTime,
+      formatList: instance.formatList,
+      formatDisplayName: instance.formatDisplayName,
+      locale,
+      namespace,
+    };
+  }
+
+  return { getTranslation, getHydrationData };
+}
+
+// Re-export core types for convenience
+export type {
+  Messages,
+  Meta,
+  MessageLoader,
+  NamespaceBundle,
+  CompiledMessages,
+  FallbackLocale,
+  MissingTranslation,
+  MissingTranslationMode,
+  Formatter,
+  FormatPresets,
+} from './index.js';
@@ -1,10 +1,11 @@
 /**
  * Dashboard component with 'dashboard' namespace
  */
-import { useTranslation } from 'text-intl/react';
+import { useTranslation, useFormatter } from 'text-intl/react';
 
 export function Dashboard() {
   const { t } = useTranslation('dashboard');
+  const { formatCurrency, formatRelativeTime } = useFormatter();
 
   return (
     <div>
@@ -15,12 +16,12 @@ export function Dashboard() {
         <h2>{t('Statistics')}</h2>
         <p>{t('Total users: {count}', { count: 1234 })}</p>
         <p>{t('Active sessions: {count}', { count: 56 })}</p>
-        <p>{t('Revenue this month: {amount}', { amount: '$12,345' })}</p>
+        <p>{t('Revenue this month: {amount}', { amount: formatCurrency(12345, 'USD') })}</p>
       </section>
 
       <section>
         <h2>{t('Recent Activity')}</h2>
-        <p>{t('Last login: {time}', { time: '2 hours ago' })}</p>
+        <p>{t('Last login: {time}', { time: formatRelativeTime(-2, 'hour') })}</p>
         <p>
           {t(
             '{count, plural, =0 {No new notifications} one {# new notification} other {# new notifications}}',
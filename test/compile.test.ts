@@ -0,0 +1,77 @@
+// @vitest-environment node
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { statSync, utimesSync, unlinkSync, mkdirSync } from 'fs';
+import { compileMessages } from '../cli/compile.js';
+import { createProject, TestProject } from './fixtures.js';
+
+describe('compile', () => {
+  let project: TestProject;
+
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    project = createProject({
+      'messages/en/common.meta.json': {
+        Hello: 'h1',
+        '{count, plural, one {# item} other {# items}}': 'h2',
+      },
+      'messages/en/common.json': {
+        h1: 'Hello',
+        h2: '{count, plural, one {# item} other {# items}}',
+      },
+      'messages/ko/common.json': { h1: '안녕하세요', h2: '' },
+      'messages/en/cart.meta.json': { '<b>Total</b>': 'c1' },
+      'messages/en/cart.json': { c1: '<b>Total</b>' },
+    });
+  });
+
+  afterEach(() => {
+    project.remove();
+    vi.restoreAllMocks();
+  });
+
+  const compile = () => compileMessages(project.config, project.dir);
+
+  it('should write one module per locale and namespace, with ICU messages as ASTs', async () => {
+    const result = compile();
+
+    expect(result).toMatchObject({ modules: 5, messages: 4, parsed: 1, removed: 0 });
+    const en = await import(project.path('messages/compiled/en/common.js'));
+    expect(en.default.h1).toBe('Hello');
+    expect(Array.isArray(en.default.h2)).toBe(true);
+
+    // Untranslated messages are left to the fallback chain
+    const ko = await import(project.path('messages/compiled/ko/common.js'));
+    expect(ko.default).toEqual({ h1: '안녕하세요' });
+
+    expect(project.read('messages/compiled/common.meta.d.ts')).toContain('MetaNamespace');
+    expect(project.read('messages/compiled/ko/common.d.ts')).toContain('MessageNamespace');
+  });
+
+  it('should leave unchanged modules untouched', () => {
+    compile();
+    const path = project.path('messages/compiled/en/common.js');
+    const past = new Date(Date.now() - 60_000);
+    utimesSync(path, past, past);
+    const { mtimeMs } = statSync(path);
+
+    compile();
+    expect(statSync(path).mtimeMs).toBe(mtimeMs);
+  });
+
+  it('should remove modules of deleted namespaces and locales only', () => {
+    compile();
+    project.write({ 'messages/compiled/custom.js': 'export default {};\n' });
+    mkdirSync(project.path('messages/compiled/assets'));
+    unlinkSync(project.path('messages/en/cart.meta.json'));
+    project.config.locales = ['en'];
+
+    expect(compile().removed).toBe(3);
+    expect(project.exists('messages/compiled/cart.meta.js')).toBe(false);
+    expect(project.exists('messages/compiled/en/cart.js')).toBe(false);
+    expect(project.exists('messages/compiled/en/cart.d.ts')).toBe(false);
+    expect(project.exists('messages/compiled/ko')).toBe(false);
+    expect(project.exists('messages/compiled/en/common.js')).toBe(true);
+    expect(project.exists('messages/compiled/custom.js')).toBe(true);
+    expect(project.exists('messages/compiled/assets')).toBe(true);
+  });
+});
@@ -1,5 +1,17 @@
-import { describe, it, expect, beforeEach } from 'vitest';
-import { init, t, getLocale, setLocale } from '../src/index.js';
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import {
+  init,
+  t,
+  pt,
+  getLocale,
+  setLocale,
+  createInstance,
+  getFallbackChain,
+  createMissingTranslationCollector,
+  formatNumber,
+} from '../src/index.js';
+import type { MissingTranslation } from '../src/index.js';
+import { I18nConfigError, I18nMissingTranslationError } from '../src/errors.js';
 
 describe('i18n Core', () => {
   beforeEach(() => {
@@ -246,6 +258,62 @@ describe('i18n Core', () => {
     });
   });
 
+  describe('Fallback chains', () => {
+    const messages = {
+      'pt-BR': { common: { greeting: 'Oi' } },
+      pt: { common: { greeting: 'Olá', bye: 'Adeus' } },
+      'zh-HK': { common: {} },
+      'zh-TW': { common: { bye: '再見' } },
+      zh: { common: { bye: '再见', thanks: '谢谢' } },
+      en: { common: { greeting: 'Hi', bye: 'Bye', thanks: 'Thanks', help: 'Help' } },
+    };
+
+    it('should derive BCP 47 parent tags before the fallback locale', () => {
+      const i18n = createInstance({ locale: 'pt-BR', messages, fallbackLocale: 'en' });
+      expect(i18n.t('greeting')).toBe('Oi');
+      expect(i18n.t('bye')).toBe('Adeus');
+      expect(i18n.t('thanks')).toBe('Thanks');
+    });
+
+    it('should accept an ordered array after the derived parent tags', () => {
+      const i18n = createInstance({ locale: 'zh-HK', messages, fallbackLocale: ['zh-TW', 'en'] });
+      expect(i18n.t('bye')).toBe('再见');
+      expect(i18n.t('greeting')).toBe('Hi');
+      expect(getFallbackChain('zh-HK', ['zh-TW', 'en'], Object.keys(messages))).toEqual([
+        'zh-HK',
+        'zh',
+        'zh-TW',
+        'en',
+      ]);
+    });
+
+    it('should accept a per-locale map with a default', () => {
+      const i18n = createInstance({
+        locale: 'zh-HK',
+        messages,
+        fallbackLocale: { 'zh-HK': 'zh-TW', default: 'en' },
+      });
+      expect(i18n.t('bye')).toBe('再見');
+      expect(i18n.t('help')).toBe('Help');
+
+      i18n.setLocale('pt-BR');
+      expect(i18n.t('bye')).toBe('Adeus');
+      expect(i18n.t('help')).toBe('Help');
+    });
+
+    it('should resolve chains in order without duplicates', () => {
+      const locales = Object.keys(messages);
+      expect(getFallbackChain('zh-HK', { 'zh-HK': ['zh-TW'], default: 'en' }, locales)).toEqual([
+        'zh-HK',
+        'zh-TW',
+        'zh',
+        'en',
+      ]);
+      expect(getFallbackChain('en', 'en', locales)).toEqual(['en']);
+      expect(getFallbackChain('es-MX', undefined, locales)).toEqual(['es-MX']);
+    });
+  });
+
   describe('Namespace support', () => {
     beforeEach(() => {
       init({
@@ -416,6 +484,331 @@ describe('i18n Core', () => {
     });
   });
 
+  describe('Message context', () => {
+    beforeEach(() => {
+      init({
+        locale: 'ko',
+        messages: {
+          ko: {
+            common: {
+              hash1: '열기',
+              hash2: '열림',
+            },
+          },
+        },
+        meta: {
+          ko: {
+            common: {
+              Open: 'hash1',
+              'status\u0004Open': 'hash2',
+            },
+          },
+        },
+      });
+    });
+
+    it('should translate without context', () => {
+      expect(t('Open')).toBe('열기');
+    });
+
+    it('should translate with context option', () => {
+      expect(t('Open', undefined, { context: 'status' })).toBe('열림');
+    });
+
+    it('should translate with pt()', () => {
+      expect(pt('status', 'Open')).toBe('열림');
+    });
+
+    it('should return source text for unknown context', () => {
+      expect(pt('unknown', 'Open')).toBe('Open');
+    });
+  });
+
+  describe('Rich text', () => {
+    const i18n = createInstance({
+      locale: 'en',
+      messages: {
+        en: {
+          common: {
+            'Read the <0>terms</0>': '<0>Terms</0> apply<br/>',
+            Files: '{count, plural, one {<b>#</b> file} other {<b>#</b> files}}',
+          },
+        },
+      },
+    });
+    const tag = (name: string) => (chunks: unknown[]) => ({ name, chunks });
+
+    it('should call handlers for numeric and self-closing tags', () => {
+      expect(i18n.rich('Read the <0>terms</0>', { 0: tag('0'), br: tag('br') })).toEqual([
+        { name: '0', chunks: ['Terms'] },
+        ' apply',
+        { name: 'br', chunks: [] },
+      ]);
+    });
+
+    it('should call handlers inside plural branches', () => {
+      expect(i18n.rich('Files', { count: 2, b: tag('b') })).toEqual([
+        { name: 'b', chunks: ['2'] },
+        ' files',
+      ]);
+    });
+
+    it('should keep tags as text in t()', () => {
+      expect(i18n.t('Files', { count: 1 })).toBe('<b>1</b> file');
+      expect(i18n.rich('Read the <0>terms</0>')).toEqual(['<0>Terms</0> apply<br/>']);
+    });
+
+    it('should keep placeholders without a value as text, like t()', () => {
+      const errors = vi.spyOn(console, 'error').mockImplementation(() => {});
+      expect(i18n.t('Hi <b>{name}</b>, {place}', { place: 'Seoul' })).toBe(
+        'Hi <b>{name}</b>, Seoul'
+      );
+      expect(i18n.rich('Hi <b>{name}</b>, {place}', { place: 'Seoul', b: tag('b') })).toEqual([
+        'Hi ',
+        { name: 'b', chunks: ['{name}'] },
+        ', Seoul',
+      ]);
+      expect(errors).not.toHaveBeenCalled();
+      errors.mockRestore();
+    });
+  });
+
+  describe('Format helpers', () => {
+    const formats = {
+      number: { price: { style: 'currency', currency: 'USD' } as const },
+      date: {
+        short: { year: 'numeric', month: 'short', day: 'numeric', timeZone: 'UTC' } as const,
+      },
+    };
+    const i18n = createInstance({
+      locale: 'en',
+      messages: {
+        en: { common: { Total: 'Total: {amount, number, price}' } },
+        ko: { common: { Total: '합계: {amount, number, price}' } },
+      },
+      formats,
+    });
+
+    beforeEach(() => {
+      i18n.setLocale('en');
+    });
+
+    it('should format numbers and currencies in the current locale', () => {
+      expect(i18n.formatNumber(12345.5)).toBe('12,345.5');
+      expect(i18n.formatCurrency(12345, 'USD')).toBe('$12,345.00');
+      expect(i18n.formatNumber(12.5, 'price')).toBe('$12.50');
+
+      i18n.setLocale('ko');
+      expect(i18n.formatCurrency(12345, 'KRW')).toBe('₩12,345');
+    });
+
+    it('should use presets in ICU messages', () => {
+      expect(i18n.t('Total', { amount: 12.5 })).toBe('Total: $12.50');
+      i18n.setLocale('ko');
+      expect(i18n.t('Total', { amount: 12.5 })).toBe('합계: US$12.50');
+    });
+
+    it('should format dates, relative times, lists and display names', () => {
+      expect(i18n.formatDate(Date.UTC(2025, 0, 5), 'short')).toBe('Jan 5, 2025');
+      expect(i18n.formatRelativeTime(-2, 'hour')).toBe('2 hours ago');
+      expect(i18n.formatRelativeTime(new Date(Date.now() - 2 * 3600_000))).toBe('2 hours ago');
+      expect(i18n.formatRelativeTime(new Date(Date.now() + 3 * 86400_000))).toBe('in 3 days');
+      expect(i18n.formatList(['Alice', 'Bob', 'Carol'])).toBe('Alice, Bob, and Carol');
+      expect(i18n.formatDisplayName('ko', { type: 'language' })).toBe('Korean');
+    });
+
+    it('should throw for unknown presets', () => {
+      expect(() => i18n.formatNumber(1, 'unknown')).toThrow(I18nConfigError);
+    });
+
+    it('should be available on the default instance', () => {
+      expect(formatNumber(0.25, { style: 'percent' })).toBe('25%');
+    });
+  });
+
+  describe('Build plugin references', () => {
+    beforeEach(() => {
+      init({
+        locale: 'ko',
+        messages: {
+          en: { common: { hash1: 'Open', hash2: 'Hello {name}' } },
+          ko: { common: { hash1: '열기' } },
+        },
+        // No meta: the plugin replaced source text with hashes
+        fallbackLocale: 'en',
+      });
+    });
+
+    it('should look up hash references without meta', () => {
+      expect(t('\u0001hash1')).toBe('열기');
+      expect(pt('status', '\u0001hash1')).toBe('열기');
+    });
+
+    it('should fall back for hash references', () => {
+      expect(t('\u0001hash2', { name: 'Kim' })).toBe('Hello Kim');
+    });
+
+    it('should render a missing reference as its source text', () => {
+      expect(t('\u0001hash3\u0001Close {name}', { name: 'Kim' })).toBe('Close Kim');
+      expect(t('\u0001hash3\u0001status\u0004Closed')).toBe('Closed');
+    });
+
+    it('should pass the source text and context of a missing reference to the handler', () => {
+      const missing: MissingTranslation[] = [];
+      init({
+        locale: 'ko',
+        messages: { ko: { common: {} } },
+        onMissingTranslation: (entry) => {
+          missing.push(entry);
+        },
+      });
+      t('\u0001hash3\u0001status\u0004Closed', undefined, 'dashboard');
+      expect(missing).toEqual([
+        { text: 'Closed', context: 'status', locale: 'ko', namespace: 'dashboard', hash: 'hash3' },
+      ]);
+
+      init({ locale: 'ko', messages: { ko: { common: {} } }, onMissingTranslation: 'marker' });
+      expect(t('\u0001hash3\u0001Closed')).toBe('⟦Closed⟧');
+    });
+
+    it('should report the hash of a reference without source text', () => {
+      expect(t('\u0001hash3')).toBe('hash3');
+    });
+
+    it('should format inlined messages without lookup', () => {
+      expect(t('\u0002{count, plural, other {#개}}', { count: 3 })).toBe('3개');
+      expect(t('\u0002안녕 {name}', { name: 'Kim' })).toBe('안녕 Kim');
+    });
+  });
+
+  describe('Missing translations', () => {
+    const messages = {
+      en: { common: { hello: 'Hello' } },
+      ko: { common: { hello: '안녕하세요' } },
+    };
+
+    it('should return the source text by default', () => {
+      const i18n = createInstance({ locale: 'ko', messages });
+      expect(i18n.t('Bye {name}', { name: 'Kim' })).toBe('Bye Kim');
+    });
+
+    it('should wrap missing messages in a marker', () => {
+      const i18n = createInstance({ locale: 'ko', messages, onMissingTranslation: 'marker' });
+      expect(i18n.t('hello')).toBe('안녕하세요');
+      expect(i18n.t('Bye {name}', { name: 'Kim' })).toBe('⟦Bye Kim⟧');
+    });
+
+    it('should throw I18nMissingTranslationError', () => {
+      const i18n = createInstance({ locale: 'ko', messages, onMissingTranslation: 'throw' });
+      expect(() => i18n.t('Bye', undefined, 'dashboard')).toThrow(I18nMissingTranslationError);
+      expect(() => i18n.t('Bye')).toThrow('Missing translation: "Bye" in locale "ko"');
+    });
+
+    it('should call a custom handler only after the fallback chain', () => {
+      const seen: MissingTranslation[] = [];
+      const i18n = createInstance({
+        locale: 'ko',
+        messages: { ...messages, en: { common: { hello: 'Hello', bye: 'Bye' } } },
+        fallbackLocale: 'en',
+        onMissingTranslation: (missing) => {
+          seen.push(missing);
+          return missing.context === 'menu' ? `[${missing.text}]` : undefined;
+        },
+      });
+
+      expect(i18n.t('bye')).toBe('Bye');
+      expect(i18n.pt('menu', 'Open')).toBe('[Open]');
+      expect(i18n.t('Close')).toBe('Close');
+      expect(seen).toEqual([
+        { text: 'Open', context: 'menu', locale: 'ko', namespace: 'common' },
+        { text: 'Close', context: undefined, locale: 'ko', namespace: 'common' },
+      ]);
+    });
+
+    it('should reject unknown modes', () => {
+      // @ts-expect-error Testing invalid input
+      expect(() => init({ locale: 'ko', messages, onMissingTranslation: 'log' })).toThrow(
+        'config.onMissingTranslation must be'
+      );
+    });
+
+    it('should collect missing translations into a report', () => {
+      const collector = createMissingTranslationCollector();
+      const i18n = createInstance({
+        locale: 'ko',
+        messages,
+        onMissingTranslation: collector.onMissingTranslation,
+      });
+
+      i18n.t('Bye');
+      i18n.t('Bye');
+      i18n.pt('menu', 'Open', undefined, 'dashboard');
+      i18n.setLocale('en');
+      i18n.t('Bye');
+
+      expect(collector.getReport()).toEqual({
+        version: 1,
+        missing: [
+          { namespace: 'common', text: 'Bye', locales: ['ko', 'en'], count: 3 },
+          { namespace: 'dashboard', text: 'Open', context: 'menu', locales: ['ko'], count: 1 },
+        ],
+      });
+
+      collector.clear();
+      expect(collector.getReport().missing).toEqual([]);
+    });
+
+    it('should collect build plugin references by their source text', () => {
+      const collector = createMissingTranslationCollector();
+      const i18n = createInstance({
+        locale: 'ko',
+        messages,
+        onMissingTranslation: collector.onMissingTranslation,
+      });
+
+      i18n.t('\u0001abcd1234\u0001menu\u0004Open');
+      // Without source text there is nothing to merge back
+      i18n.t('\u0001ef567890');
+      i18n.t('\u0002Inlined');
+
+      expect(collector.getReport().missing).toEqual([
+        { namespace: 'common', text: 'Open', context: 'menu', locales: ['ko'], count: 1 },
+      ]);
+    });
+  });
+
+  describe('createInstance()', () => {
+    const messages = {
+      en: { common: { hello: 'Hello' } },
+      ko: { common: { hello: '안녕하세요' } },
+    };
+
+    it('should keep state separate from other instances', () => {
+      const first = createInstance({ locale: 'en', messages });
+      const second = createInstance({ locale: 'ko', messages });
+
+      first.setLocale('ko');
+      second.setLocale('en');
+
+      expect(first.t('hello')).toBe('안녕하세요');
+      expect(second.t('hello')).toBe('Hello');
+    });
+
+    it('should not affect the default instance', () => {
+      const instance = createInstance({ locale: 'ko', messages });
+      instance.setLocale('ko');
+
+      expect(getLocale()).toBe('en');
+      expect(t('hello')).toBe('Hello');
+    });
+
+    it('should validate config', () => {
+      expect(() => createInstance({ locale: 'fr', messages })).toThrow(
+        'config.messages["fr"] is missing'
+      );
+    });
+  });
+
   describe('Backwards compatibility (direct key access)', () => {
     it('should still work with direct keys when no meta provided', () => {
       init({
@@ -0,0 +1,247 @@
+// @vitest-environment node
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { exportMessages, importMessages } from '../cli/exchange.js';
+import { parseXLIFF } from '../cli/xliff.js';
+import { createProject, TestProject } from './fixtures.js';
+
+describe('export / import', () => {
+  let project: TestProject;
+
+  beforeEach(() => {
+    project = createProject({
+      'messages/en/common.meta.json': {
+        Save: 'h1',
+        'status\u0004Open': 'h2',
+        'Welcome to our application': 'h3',
+      },
+      'messages/en/common.json': { h1: 'Save', h2: 'Open', h3: 'Welcome to our application' },
+      'messages/en/common.notes.json': {
+        Save: { references: ['src/App.tsx:3'], comments: ['Button label\nin the toolbar'] },
+      },
+      'messages/ko/common.json': { h1: '저장', h2: '', h3: '환영합니다' },
+      'messages/ko/common.fuzzy.json': {
+        'Welcome to our application': { previous: 'Welcome to our aplication' },
+      },
+    });
+  });
+
+  afterEach(() => project.remove());
+
+  const exportAs = (format: string) =>
+    exportMessages(project.config, project.dir, { format, outDir: 'out' });
+  const importFiles = (files: string[], options: Record<string, unknown> = {}) =>
+    importMessages(project.config, files, project.dir, options);
+
+  describe('PO', () => {
+    it('should export a template and one PO file per target locale', () => {
+      expect(exportAs('po')).toEqual({
+        files: [project.path('out/common.pot'), project.path('out/ko/common.po')],
+        messages: 3,
+      });
+
+      const po = project.read('out/ko/common.po');
+      expect(po).toContain('"Language: ko\\n"');
+      expect(po).toContain(
+        '#. Button label\n#. in the toolbar\n#: src/App.tsx:3\nmsgid "Save"\nmsgstr "저장"\n'
+      );
+      expect(po).toContain(
+        '#, fuzzy\n#| msgid "Welcome to our aplication"\nmsgid "Welcome to our application"\nmsgstr "환영합니다"\n'
+      );
+      expect(po).toContain('msgctxt "status"\nmsgid "Open"\nmsgstr ""\n');
+      expect(project.read('out/common.pot')).toContain('msgid "Save"\nmsgstr ""\n');
+    });
+
+    it('should import translations back through the meta hashes', () => {
+      exportAs('po');
+      project.write({
+        'out/ko/common.po': project
+          .read('out/ko/common.po')
+          .replace('msgid "Open"\nmsgstr ""', 'msgid "Open"\nmsgstr "열림"')
+          .replace('#, fuzzy\n', ''),
+      });
+
+      const result = importFiles(['out/ko/common.po']);
+
+      expect(result).toMatchObject({ imported: 2, unchanged: 1, conflicts: [] });
+      expect(project.readJSON('messages/ko/common.json')).toEqual({
+        h1: '저장',
+        h2: '열림',
+        h3: '환영합니다',
+      });
+      // Reviewed in the PO file: no longer fuzzy
+      expect(project.exists('messages/ko/common.fuzzy.json')).toBe(false);
+
+      // Importing the same file again changes nothing
+      expect(importFiles(['out/ko/common.po'])).toMatchObject({ imported: 0, unchanged: 3 });
+    });
+
+    it('should keep fuzzy flags and report conflicts unless overwriting', () => {
+      exportAs('po');
+      project.write({
+        'out/ko/common.po':
+          project
+            .read('out/ko/common.po')
+            .replace('msgstr "저장"', 'msgstr "보관"')
+            .replace('msgstr "환영합니다"', 'msgstr "어서 오세요"') +
+          '\nmsgid "Removed text"\nmsgstr "삭제된 문구"\n',
+      });
+
+      const result = importFiles(['out/ko/common.po']);
+
+      expect(result.conflicts).toEqual([
+        expect.objectContaining({
+          key: 'Save',
+          type: 'changed',
+          current: '저장',
+          incoming: '보관',
+        }),
+        expect.objectContaining({ key: 'Removed text', type: 'unknown', incoming: '삭제된 문구' }),
+      ]);
+      // Fuzzy translations are not conflicts, and stay fuzzy
+      expect(project.readJSON('messages/ko/common.json').h3).toBe('어서 오세요');
+      expect(project.readJSON('messages/ko/common.fuzzy.json')).toEqual({
+        'Welcome to our application': { previous: 'Welcome to our aplication' },
+      });
+
+      expect(importFiles(['out/ko/common.po'], { overwrite: true }).imported).toBe(1);
+      expect(project.readJSON('messages/ko/common.json').h1).toBe('보관');
+    });
+
+    it('should reject files for the source locale or unknown namespaces', () => {
+      exportAs('po');
+      project.write({ 'out/en/common.po': project.read('out/common.pot') });
+      expect(() => importFiles(['out/en/common.po'])).toThrow(/"en" is not a target locale/);
+
+      project.write({
+        'out/ko/cart.po': project
+          .read('out/ko/common.po')
+          .replace('X-Text-Intl-Namespace: common', 'X-Text-Intl-Namespace: cart'),
+      });
+      expect(() => importFiles(['out/ko/cart.po'])).toThrow(/no meta file for namespace "cart"/);
+
+      // Files before the bad one are not imported either
+      project.write({
+        'out/ko/common.po': project
+          .read('out/ko/common.po')
+          .replace('msgid "Open"\nmsgstr ""', 'msgid "Open"\nmsgstr "열림"'),
+      });
+      expect(() => importFiles(['out/ko/common.po', 'out/ko/cart.po'])).toThrow(/cart/);
+      expect(project.readJSON('messages/ko/common.json').h2).toBe('');
+      expect(importFiles(['out/ko/common.po']).imported).toBe(1);
+    });
+  });
+
+  describe('XLIFF', () => {
+    it('should export one file per locale and namespace with review states and notes', () => {
+      project.write({ 'messages/ko/common.reviewed.json': { Save: '저장' } });
+
+      expect(exportAs('xliff').files).toEqual([project.path('out/ko/common.xlf')]);
+
+      const xliff = project.read('out/ko/common.xlf');
+      expect(xliff).toContain('srcLang="en" trgLang="ko"');
+      expect(xliff).toMatch(
+        /<unit id="h1">[\s\S]*<note category="comment">Button label\nin the toolbar<\/note>[\s\S]*<segment state="reviewed">\s*<source>Save<\/source>\s*<target>저장<\/target>/
+      );
+      expect(xliff).toMatch(
+        /<unit id="h3">[\s\S]*<note category="previous-source">Welcome to our aplication<\/note>[\s\S]*<segment state="initial">/
+      );
+      expect(xliff).toMatch(
+        /<unit id="h2">[\s\S]*<note category="context">status<\/note>[\s\S]*<segment state="initial">\s*<source>Open<\/source>\s*<\/segment>/
+      );
+    });
+
+    it('should import targets and review states back', () => {
+      exportAs('xliff');
+      project.write({
+        'out/ko/common.xlf': project
+          .read('out/ko/common.xlf')
+          // Open translated, Welcome reviewed, Save confirmed as final
+          .replace(
+            /<segment state="initial">(\s*)<source>Open<\/source>/,
+            '<segment state="translated">$1<source>Open</source><target>열림</target>'
+          )
+          .replace(/<segment state="initial">(\s*<source>Welcome)/, '<segment state="reviewed">$1')
+          .replace(
+            '<segment state="translated">\n        <source>Save',
+            '<segment state="final">\n        <source>Save'
+          ),
+      });
+
+      const result = importFiles(['out/ko/common.xlf']);
+
+      expect(result).toMatchObject({ imported: 3, unchanged: 0, conflicts: [] });
+      expect(project.readJSON('messages/ko/common.json')).toEqual({
+        h1: '저장',
+        h2: '열림',
+        h3: '환영합니다',
+      });
+      expect(project.exists('messages/ko/common.fuzzy.json')).toBe(false);
+      expect(project.readJSON('messages/ko/common.reviewed.json')).toEqual({
+        Save: '저장',
+        'Welcome to our application': '환영합니다',
+      });
+
+      // A reviewed translation exported again keeps its state, an edited one loses it
+      project.write({
+        'messages/ko/common.json': { h1: '저장하기', h2: '열림', h3: '환영합니다' },
+      });
+      exportAs('xliff');
+      const xliff = project.read('out/ko/common.xlf');
+      expect(xliff).toMatch(/<segment state="translated">\s*<source>Save<\/source>/);
+      expect(xliff).toMatch(/<segment state="reviewed">\s*<source>Welcome to our application/);
+    });
+
+    it('should flag initial targets fuzzy and report units of unknown hashes', () => {
+      project.write({ 'messages/ko/common.fuzzy.json': {} });
+      exportAs('xliff');
+      project.write({
+        'out/ko/common.xlf': project
+          .read('out/ko/common.xlf')
+          .replace(
+            /<segment state="translated">(\s*<source>Welcome)/,
+            '<segment state="initial">$1'
+          )
+          .replace('<unit id="h1">', '<unit id="gone">'),
+      });
+
+      const result = importFiles(['out/ko/common.xlf']);
+
+      expect(result.conflicts).toEqual([
+        expect.objectContaining({ key: 'gone', type: 'unknown', incoming: '저장' }),
+      ]);
+      expect(project.readJSON('messages/ko/common.fuzzy.json')).toEqual({
+        'Welcome to our application': { previous: 'Welcome to our application' },
+      });
+    });
+
+    it('should rebuild paired codes split into <sc/> and <ec/>, and reject codes without data', () => {
+      const unit = (
+        target: string
+      ) => `<xliff xmlns="urn:oasis:names:tc:xliff:document:2.0" version="2.0">
+  <file id="common">
+    <unit id="h1">
+      <originalData>
+        <data id="d1">&lt;b&gt;</data>
+        <data id="d2">&lt;/b&gt;</data>
+      </originalData>
+      <segment state="translated">
+        <source>Read the <pc id="1" dataRefStart="d1" dataRefEnd="d2">terms and conditions</pc></source>
+        <target>${target}</target>
+      </segment>
+    </unit>
+  </file>
+</xliff>`;
+      const target = (content: string) => parseXLIFF(unit(content)).files[0].units[0].target;
+
+      expect(target('<sc id="1" dataRef="d1"/>약관<ec startRef="1" dataRef="d2"/> 읽기')).toBe(
+        '<b>약관</b> 읽기'
+      );
+      expect(
+        target('<sc id="1" dataRefStart="d1"/>약관<ec startRef="1" dispEnd="&lt;/b&gt;"/>')
+      ).toBe('<b>약관</b>');
+      expect(() => target('<sc id="1" dataRef="d1"/>약관<ec startRef="1"/>')).toThrow(
+        'Unit "h1": <ec> without original data (dataRef) or display text (disp)'
+      );
+    });
+  });
+});
@@ -0,0 +1,376 @@
+// @vitest-environment node
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { unlinkSync } from 'fs';
+import { findMessages, extractMessages } from '../cli/extract.js';
+import { createExtractCache } from '../cli/incremental.js';
+import { createProject, TestProject } from './fixtures.js';
+
+/** Messages as { namespace, text, context } and skipped / warned calls as "line reason" */
+function find(code: string, options: Record<string, unknown> = {}) {
+  const { messages, dynamic, warnings } = findMessages(code, options);
+  return {
+    messages: messages.map(({ namespace, text, context }) => ({ namespace, text, context })),
+    dynamic: dynamic.map(({ node, reason }) => `${node.loc.start.line} ${reason}`),
+    warnings: warnings.map(({ node, reason }) => `${node.loc.start.line} ${reason}`),
+  };
+}
+
+describe('findMessages', () => {
+  it('should resolve static text expressions and report the others', () => {
+    const { messages, dynamic } = find(`import { t } from 'text-intl';
+const PREFIX = 'Order';
+t(\`Cancel\`);
+t(PREFIX + ' #' + 1);
+t(\`\${PREFIX} shipped\`);
+t(getLabel());
+t(\`\${user.name} shipped\`);
+`);
+
+    expect(messages.map(({ text }) => text)).toEqual(['Cancel', 'Order #1', 'Order shipped']);
+    expect(dynamic).toEqual(['6 text is not a static string', '7 text is not a static string']);
+  });
+
+  it('should honor the namespace option of core t() and pt()', () => {
+    const { messages, warnings } = find(`import { t, pt } from 'text-intl';
+t('Open', undefined, { namespace: 'orders', context: 'status' });
+t('Close', undefined, 'orders');
+pt('verb', 'Open', undefined, 'orders');
+`);
+
+    expect(warnings).toEqual([]);
+    expect(messages).toEqual([
+      { namespace: 'orders', text: 'Open', context: 'status' },
+      { namespace: 'orders', text: 'Close', context: undefined },
+      { namespace: 'orders', text: 'Open', context: 'verb' },
+    ]);
+  });
+
+  it('should keep the hook namespace and warn about a namespace option, like the runtime', () => {
+    const { messages, warnings } = find(`import { useTranslation } from 'text-intl/react';
+const { t, pt } = useTranslation('cart');
+const i18n = useTranslation('cart');
+t('Open', undefined, { namespace: 'orders', context: 'status' });
+i18n.t('Close', undefined, { namespace: 'orders' });
+pt('verb', 'Open', undefined, 'orders');
+t('Pay', undefined, { context: 'button' });
+`);
+
+    expect(messages).toEqual([
+      { namespace: 'cart', text: 'Open', context: 'status' },
+      { namespace: 'cart', text: 'Close', context: undefined },
+      { namespace: 'cart', text: 'Open', context: 'verb' },
+      { namespace: 'cart', text: 'Pay', context: 'button' },
+    ]);
+    expect(warnings).toEqual([
+      expect.stringMatching(/^4 namespace option ignored/),
+      expect.stringMatching(/^5 namespace option ignored/),
+      expect.stringMatching(/^6 namespace option ignored/),
+    ]);
+  });
+
+  it('should report options that are not static instead of dropping them', () => {
+    const { messages, dynamic } = find(`import { t } from 'text-intl';
+t('A', undefined, options);
+t('B', undefined, { ...options });
+t('C', undefined, { context: getContext() });
+t('D', undefined, { namespace: ns });
+t('E', undefined, ns);
+t('F', undefined, undefined);
+`);
+
+    expect(dynamic).toEqual([
+      '2 options are not static',
+      '3 options are not static',
+      '4 context is not a static string',
+      '5 namespace is not a static string',
+      '6 options are not static',
+    ]);
+    expect(messages).toEqual([{ namespace: 'common', text: 'F', context: undefined }]);
+  });
+  it('should use the hook namespace for member calls on a translation object', () => {
+    const { messages } = find(`import { useTranslation } from 'text-intl/react';
+const i18n = useTranslation('cart');
+i18n.t('Checkout');
+i18n.pt('button', 'Pay');
+`);
+
+    expect(messages).toEqual([
+      { namespace: 'cart', text: 'Checkout', context: undefined },
+      { namespace: 'cart', text: 'Pay', context: 'button' },
+    ]);
+  });
+
+  it('should only extract member calls on other objects when configured', () => {
+    const code = `import { createInstance } from 'text-intl';
+const instance = createInstance();
+instance.t(message);
+props.t('Save');
+this.props.pt('verb', 'Open');
+`;
+
+    expect(find(code)).toEqual({ messages: [], dynamic: [], warnings: [] });
+    expect(
+      find(code, { functions: ['t', 'props.t'], contextFunctions: ['pt', 'this.props.pt'] })
+        .messages
+    ).toEqual([
+      { namespace: 'common', text: 'Save', context: undefined },
+      { namespace: 'common', text: 'Open', context: 'verb' },
+    ]);
+  });
+});
+
+describe('extract', () => {
+  let project: TestProject;
+
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    project = createProject();
+  });
+
+  afterEach(() => {
+    project.remove();
+    vi.restoreAllMocks();
+  });
+
+  const extract = (options: Record<string, unknown> = {}) =>
+    extractMessages(project.config, project.dir, options);
+
+  it('should give each context its own key and hash', async () => {
+    project.write({
+      'src/App.tsx': `import { useTranslation } from 'text-intl/react';
+const { t, pt } = useTranslation();
+t('Open');
+t('Open', undefined, { context: 'status' });
+pt('verb', 'Open');
+`,
+    });
+
+    const result = await extract();
+
+    expect(result).toMatchObject({ total: 6, new: 6, namespaces: ['common'] });
+    const meta = project.readJSON<Record<string, string>>('messages/en/common.meta.json');
+    expect(Object.keys(meta)).toEqual(['Open', 'status\u0004Open', 'verb\u0004Open']);
+    expect(new Set(Object.values(meta)).size).toBe(3);
+
+    const en = project.readJSON('messages/en/common.json');
+    const ko = project.readJSON('messages/ko/common.json');
+    expect(en[meta['status\u0004Open']]).toBe('Open');
+    expect(ko[meta['status\u0004Open']]).toBe('');
+  });
+
+  it('should store translator comments and every source location in the notes', async () => {
+    project.write({
+      'src/App.tsx': `import { t } from 'text-intl';
+// i18n: Button that opens the file picker
+t('Open');
+// An ordinary comment
+t('Close');
+`,
+      'src/Table.tsx': `import { t } from 'text-intl';
+export const Cell = () => (
+  <td>
+    {/* translators: Shown in the order status column */}
+    {t('Open')}
+  </td>
+);
+`,
+    });
+
+    await extract();
+
+    expect(project.readJSON('messages/en/common.notes.json')).toEqual({
+      Close: { references: ['src/App.tsx:5'] },
+      Open: {
+        references: ['src/App.tsx:3', 'src/Table.tsx:5'],
+        // Kept in the order the files are read
+        comments: expect.arrayContaining([
+          'Button that opens the file picker',
+          'Shown in the order status column',
+        ]),
+      },
+    });
+    expect(project.exists('messages/ko/common.notes.json')).toBe(false);
+  });
+
+  it('should store <Trans> children as the message the component renders', async () => {
+    project.write({
+      'src/App.tsx': `import { Trans } from 'text-intl/react';
+export const A = () => (
+  <>
+    <Trans>
+      Hello {{ name }}, read our <a href="/terms">terms</a> and <strong>enjoy</strong>!<br />
+    </Trans>
+    <Trans namespace="nav" context="menu">Open</Trans>
+  </>
+);
+`,
+    });
+
+    await extract();
+
+    expect(Object.keys(project.readJSON('messages/en/common.meta.json'))).toEqual([
+      'Hello {name}, read our <0>terms</0> and <strong>enjoy</strong>!<br/>',
+    ]);
+    expect(Object.keys(project.readJSON('messages/en/nav.meta.json'))).toEqual(['menu\u0004Open']);
+  });
+
+  describe('edited texts', () => {
+    /** Extract a first version, translate it to ko, then edit the source */
+    async function editSource(before: string, after: string, config: Record<string, unknown> = {}) {
+      Object.assign(project.config, config);
+      project.write({ 'src/App.tsx': `import { t } from 'text-intl';\n${before}\n` });
+      await extract();
+      const oldMeta = project.readJSON<Record<string, string>>('messages/en/common.meta.json');
+      const ko = project.readJSON<Record<string, string>>('messages/ko/common.json');
+      for (const hash of Object.values(oldMeta)) ko[hash] = `번역 ${hash}`;
+      project.write({
+        'messages/ko/common.json': ko,
+        'src/App.tsx': `import { t } from 'text-intl';\n${after}\n`,
+      });
+      await extract();
+      return {
+        oldMeta,
+        meta: project.readJSON<Record<string, string>>('messages/en/common.meta.json'),
+        ko: project.readJSON<Record<string, string>>('messages/ko/common.json'),
+      };
+    }
+
+    it('should carry translations over to near matches and flag them fuzzy', async () => {
+      const { oldMeta, meta, ko } = await editSource(
+        "t('Welcome to our aplication');\nt('Save');",
+        "t('Welcome to our application');\nt('Save');"
+      );
+
+      expect(Object.keys(meta)).toEqual(['Save', 'Welcome to our application']);
+      expect(ko[meta['Welcome to our application']]).toBe(
+        `번역 ${oldMeta['Welcome to our aplication']}`
+      );
+      expect(project.readJSON('messages/ko/common.fuzzy.json')).toEqual({
+        'Welcome to our application': { previous: 'Welcome to our aplication' },
+      });
+      // The source locale takes the new text
+      expect(project.readJSON('messages/en/common.json')[meta['Welcome to our application']]).toBe(
+        'Welcome to our application'
+      );
+      expect(project.exists('messages/en/common.fuzzy.json')).toBe(false);
+    });
+
+    it('should not pair texts that are too different, or any text with fuzzyThreshold false', async () => {
+      const different = await editSource("t('Save');", "t('Delete account');");
+      expect(different.ko[different.meta['Delete account']]).toBe('');
+
+      project.remove();
+      project = createProject();
+      const disabled = await editSource(
+        "t('Welcome to our aplication');",
+        "t('Welcome to our application');",
+        { extract: { fuzzyThreshold: false } }
+      );
+      expect(disabled.ko[disabled.meta['Welcome to our application']]).toBe('');
+      expect(project.exists('messages/ko/common.fuzzy.json')).toBe(false);
+    });
+  });
+
+  describe('removed texts', () => {
+    const source = (...texts: string[]) => ({
+      'src/App.tsx': `import { t } from 'text-intl';\n${texts.map((text) => `t('${text}');`).join('\n')}\n`,
+    });
+
+    /** Extract Save and Delete, translate Delete to ko, then remove it from source */
+    async function removeDelete(options: Record<string, unknown> = {}) {
+      project.write(source('Save', 'Delete'));
+      await extract();
+      const hash = project.readJSON<Record<string, string>>('messages/en/common.meta.json').Delete;
+      project.write({
+        'messages/ko/common.json': {
+          ...project.readJSON('messages/ko/common.json'),
+          [hash]: '삭제',
+        },
+      });
+      project.write(source('Save'));
+      return { hash, result: await extract(options) };
+    }
+
+    it('should archive texts no longer found, and restore them when they reappear', async () => {
+      const { hash, result } = await removeDelete();
+
+      expect(result).toMatchObject({ archived: 1, restored: 0 });
+      expect(Object.keys(project.readJSON('messages/ko/common.json'))).not.toContain(hash);
+      expect(project.readJSON('messages/ko/common.obsolete.json')).toEqual({
+        Delete: { hash, translation: '삭제', archivedAt: expect.any(String) },
+      });
+
+      project.write(source('Save', 'Delete'));
+      expect(await extract()).toMatchObject({ restored: 1, new: 0 });
+      expect(project.readJSON('messages/en/common.meta.json').Delete).toBe(hash);
+      expect(project.readJSON('messages/ko/common.json')[hash]).toBe('삭제');
+      expect(project.exists('messages/ko/common.obsolete.json')).toBe(false);
+    });
+
+    it('should delete texts no longer found and the archive with prune', async () => {
+      const { hash, result } = await removeDelete({ prune: true });
+
+      expect(result).toMatchObject({ archived: 0, pruned: 1 });
+      expect(Object.keys(project.readJSON('messages/ko/common.json'))).not.toContain(hash);
+      expect(project.exists('messages/ko/common.obsolete.json')).toBe(false);
+
+      // An existing archive is emptied too
+      project.write(source('Save', 'Delete'));
+      await extract();
+      project.write(source('Save'));
+      await extract();
+      expect(await extract({ prune: true })).toMatchObject({ pruned: 1 });
+      expect(project.exists('messages/en/common.obsolete.json')).toBe(false);
+      expect(project.exists('messages/ko/common.obsolete.json')).toBe(false);
+    });
+  });
+
+  describe('cache', () => {
+    const files = {
+      'src/A.tsx': `import { t } from 'text-intl';\nt('A');\n`,
+      'src/B.tsx': `import { t } from 'text-intl';\nt('B');\n`,
+    };
+
+    it('should only parse changed files and only write changed catalogs', async () => {
+      project.write(files);
+      const cache = createExtractCache(project.dir, project.config.extract);
+
+      expect(await extract({ cache })).toMatchObject({ parsed: 2, total: 4 });
+      expect(await extract({ cache })).toMatchObject({ parsed: 0, written: 0, total: 4 });
+
+      project.write({ 'src/B.tsx': `import { t } from 'text-intl';\nt('B');\nt('C');\n` });
+      expect(await extract({ cache })).toMatchObject({ parsed: 1, new: 2, total: 6 });
+      expect(Object.keys(project.readJSON('messages/en/common.meta.json'))).toEqual([
+        'A',
+        'B',
+        'C',
+      ]);
+    });
+
+    it('should forget deleted files', async () => {
+      project.write(files);
+      const cache = createExtractCache(project.dir, project.config.extract);
+      await extract({ cache });
+
+      unlinkSync(project.path('src/A.tsx'));
+      await extract({ cache });
+
+      expect(Array.from(cache.files.keys())).toEqual([project.path('src/B.tsx')]);
+      expect(Object.keys(project.readJSON('messages/en/common.meta.json'))).toEqual(['B']);
+    });
+
+    it('should persist the cache, and drop it when the extract options change', async () => {
+      project.write(files);
+      const cachePath = project.path('.cache/extract.json');
+      await extract({ cache: createExtractCache(project.dir, project.config.extract, cachePath) });
+
+      const reloaded = createExtractCache(project.dir, project.config.extract, cachePath);
+      expect(reloaded.files.size).toBe(2);
+      expect(await extract({ cache: reloaded })).toMatchObject({ parsed: 0 });
+
+      const changed = createExtractCache(project.dir, { functions: ['t', '__'] }, cachePath);
+      expect(changed.files.size).toBe(0);
+    });
+  });
+});
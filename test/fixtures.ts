@@ -0,0 +1,67 @@
+/**
+ * Temporary project directories for the CLI tests
+ */
+
+import { mkdtempSync, mkdirSync, writeFileSync, readFileSync, existsSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join, dirname } from 'path';
+
+export interface TestProject {
+  dir: string;
+  /** i18n configuration for the project (messagesDir is relative to dir) */
+  config: {
+    sourceLocale: string;
+    locales: string[];
+    messagesDir: string;
+    include: string[];
+    [key: string]: unknown;
+  };
+  path(file: string): string;
+  /** Write files: strings as is, anything else as JSON */
+  write(files: Record<string, unknown>): void;
+  read(file: string): string;
+  readJSON<T = Record<string, unknown>>(file: string): T;
+  exists(file: string): boolean;
+  remove(): void;
+}
+
+/**
+ * Create a project in a temporary directory
+ * @param files - Relative path → content
+ * @param config - Overrides of the default config (en source, en + ko, ./messages, src/**)
+ */
+export function createProject(
+  files: Record<string, unknown> = {},
+  config: Partial<TestProject['config']> = {}
+): TestProject {
+  const dir = mkdtempSync(join(tmpdir(), 'text-intl-'));
+  const path = (file: string) => join(dir, file);
+
+  const project: TestProject = {
+    dir,
+    config: {
+      sourceLocale: 'en',
+      locales: ['en', 'ko'],
+      messagesDir: './messages',
+      include: ['src/**/*.{ts,tsx}'],
+      ...config,
+    },
+    path,
+    write(entries) {
+      for (const [file, content] of Object.entries(entries)) {
+        mkdirSync(dirname(path(file)), { recursive: true });
+        writeFileSync(
+          path(file),
+          typeof content === 'string' ? content : JSON.stringify(content, null, 2) + '\n'
+        );
+      }
+    },
+    read: (file) => readFileSync(path(file), 'utf-8'),
+    readJSON: (file) => JSON.parse(readFileSync(path(file), 'utf-8')),
+    exists: (file) => existsSync(path(file)),
+    remove: () => rmSync(dir, { recursive: true, force: true }),
+  };
+
+  project.write(files);
+  return project;
+}
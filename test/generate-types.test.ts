@@ -0,0 +1,72 @@
+// @vitest-environment node
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { generateTypes } from '../cli/generate-types.js';
+import { createProject, TestProject } from './fixtures.js';
+
+describe('types', () => {
+  let project: TestProject;
+
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    project = createProject({
+      'messages/en/common.meta.json': {
+        'Hello, {name}!': 'a',
+        '{count, plural, one {# item} other {# items}}': 'b',
+        'menu\u0004Open': 'c',
+        Open: 'd',
+        'Read the <b>terms</b>': 'e',
+      },
+      'messages/en/cart.meta.json': { 'Pay {amount, number} by {due, date}': 'f' },
+    });
+  });
+
+  afterEach(() => {
+    project.remove();
+    vi.restoreAllMocks();
+  });
+
+  it('should type the keys and values of every namespace and register the catalog', () => {
+    expect(generateTypes(project.config, project.dir)).toEqual([project.path('messages/types.ts')]);
+
+    const types = project.read('messages/types.ts');
+    expect(types).toContain("export type Locale = 'en' | 'ko';");
+    expect(types).toContain("export type Namespace = 'cart' | 'common';");
+    // Contexts share the type of their source text
+    expect(types).toContain(
+      "export type CommonMessageKey =\n  | 'Hello, {name}!'\n  | 'Open'\n  | 'Read the <b>terms</b>'\n"
+    );
+    expect(types).toContain("'Hello, {name}!': { name: string | number };");
+    expect(types).toContain("'Open': undefined;");
+    expect(types).toContain("'Read the <b>terms</b>': { b?: TagHandler };");
+    expect(types).toContain("'{count, plural, one {# item} other {# items}}': { count: number };");
+    expect(types).toContain(
+      "'Pay {amount, number} by {due, date}': { amount: number; due: Date | number };"
+    );
+    expect(types).toContain('T extends CartMessageKey ? CartMessages[T] :');
+    expect(types).toContain("declare module 'text-intl/react' {");
+  });
+
+  it('should write one file per namespace with split, and skip the registration if asked', () => {
+    const written = generateTypes(project.config, project.dir, { split: true, register: false });
+
+    expect(written.sort()).toEqual([
+      project.path('messages/types.ts'),
+      project.path('messages/types/cart.ts'),
+      project.path('messages/types/common.ts'),
+    ]);
+    expect(project.read('messages/types/cart.ts')).toContain('export interface CartMessages {');
+    const types = project.read('messages/types.ts');
+    expect(types).toContain(
+      "import type { CommonMessageKey, CommonMessages } from './types/common.js';"
+    );
+    expect(types).not.toContain('declare module');
+  });
+
+  it('should honor config.types and write nothing without meta files', () => {
+    project.config.types = { output: './src/i18n-types.ts' };
+    expect(generateTypes(project.config, project.dir)).toEqual([project.path('src/i18n-types.ts')]);
+
+    project.config.sourceLocale = 'fr';
+    expect(generateTypes(project.config, project.dir)).toEqual([]);
+  });
+});
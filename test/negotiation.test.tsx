@@ -0,0 +1,136 @@
+import React from 'react';
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { render, act } from '@testing-library/react';
+import {
+  matchLocale,
+  parseAcceptLanguage,
+  getLocaleFromPath,
+  negotiateLocale,
+  detectLocale,
+  serializeLocaleCookie,
+} from '../src/negotiation.js';
+import { I18nProvider, useLocale } from '../src/react.js';
+
+describe('Locale negotiation', () => {
+  const locales = ['ko', 'en', 'zh', 'pt-BR'];
+
+  describe('matchLocale()', () => {
+    it('should match exactly and case-insensitively', () => {
+      expect(matchLocale(['pt-br'], locales)).toBe('pt-BR');
+      expect(matchLocale(['en_US'], ['en-US'])).toBe('en-US');
+    });
+
+    it('should fall back to parent tags', () => {
+      expect(matchLocale(['zh-TW'], locales)).toBe('zh');
+      expect(matchLocale(['en-GB'], locales)).toBe('en');
+      expect(matchLocale(['zh-Hant-TW'], ['zh-Hant', 'zh'])).toBe('zh-Hant');
+    });
+
+    it('should match another region of the same language', () => {
+      expect(matchLocale(['pt'], locales)).toBe('pt-BR');
+      expect(matchLocale(['pt-PT'], locales)).toBe('pt-BR');
+    });
+
+    it('should respect preference order and return null without a match', () => {
+      expect(matchLocale(['fr', 'en-GB', 'ko'], locales)).toBe('en');
+      expect(matchLocale(['fr', '*'], locales)).toBeNull();
+    });
+  });
+
+  it('should parse Accept-Language by quality', () => {
+    expect(parseAcceptLanguage('en;q=0.5, ko-KR, fr;q=0, ja;q=0.8')).toEqual(['ko-KR', 'ja', 'en']);
+    expect(parseAcceptLanguage(null)).toEqual([]);
+  });
+
+  it('should read the locale prefix from the path', () => {
+    expect(getLocaleFromPath('/ko/dashboard', locales)).toBe('ko');
+    expect(getLocaleFromPath('/pt-br', locales)).toBe('pt-BR');
+    expect(getLocaleFromPath('/dashboard', locales)).toBeNull();
+  });
+
+  describe('negotiateLocale()', () => {
+    it('should prefer path, then cookie, then Accept-Language', () => {
+      const request = {
+        locales,
+        defaultLocale: 'en',
+        cookie: 'theme=dark; text-intl-locale=zh',
+        acceptLanguage: 'ko-KR,ko;q=0.9',
+      };
+
+      expect(negotiateLocale({ ...request, pathname: '/pt-BR/home' })).toBe('pt-BR');
+      expect(negotiateLocale({ ...request, pathname: '/home' })).toBe('zh');
+      expect(negotiateLocale({ ...request, cookie: null })).toBe('ko');
+    });
+
+    it('should use languages and the default locale last', () => {
+      expect(negotiateLocale({ locales, defaultLocale: 'en', languages: ['zh-TW'] })).toBe('zh');
+      expect(negotiateLocale({ locales, defaultLocale: 'en', acceptLanguage: 'fr' })).toBe('en');
+    });
+
+    it('should ignore unsupported cookie values', () => {
+      expect(negotiateLocale({ locales, defaultLocale: 'en', cookie: 'text-intl-locale=fr' })).toBe(
+        'en'
+      );
+    });
+
+    it('should treat a malformed cookie value as absent', () => {
+      const request = { locales, defaultLocale: 'en', acceptLanguage: 'ko' };
+      expect(negotiateLocale({ ...request, cookie: 'text-intl-locale=%E0%A4%A' })).toBe('ko');
+    });
+  });
+
+  it('should serialize a Set-Cookie value', () => {
+    expect(serializeLocaleCookie('ko', { cookieName: 'lang', maxAge: 60 })).toBe(
+      'lang=ko; Path=/; Max-Age=60; SameSite=Lax'
+    );
+  });
+
+  describe('In the browser', () => {
+    beforeEach(() => {
+      document.cookie = 'text-intl-locale=; Max-Age=0; Path=/';
+      localStorage.clear();
+    });
+
+    it('should detect the locale from cookie, storage and navigator', () => {
+      expect(detectLocale({ locales, defaultLocale: 'ko' })).toBe('en'); // jsdom: en-US
+
+      localStorage.setItem('locale', 'zh-TW');
+      expect(detectLocale({ locales, defaultLocale: 'ko', storageKey: 'locale' })).toBe('zh');
+
+      document.cookie = 'text-intl-locale=pt-BR; Path=/';
+      expect(detectLocale({ locales, defaultLocale: 'ko', storageKey: 'locale' })).toBe('pt-BR');
+    });
+
+    it('should skip storage when reading it throws', () => {
+      const getItem = vi.spyOn(Storage.prototype, 'getItem').mockImplementation(() => {
+        throw new DOMException('Access is denied', 'SecurityError');
+      });
+
+      expect(detectLocale({ locales, defaultLocale: 'ko', storageKey: 'locale' })).toBe('en');
+      getItem.mockRestore();
+    });
+
+    it('should persist setLocale choices from the provider', () => {
+      let changeLocale: (locale: string) => void = () => {};
+      function Switcher() {
+        changeLocale = useLocale().setLocale;
+        return null;
+      }
+
+      render(
+        <I18nProvider
+          locale="ko"
+          messages={{ ko: {}, zh: {} }}
+          persistLocale={{ storageKey: 'locale' }}
+        >
+          <Switcher />
+        </I18nProvider>
+      );
+      act(() => changeLocale('zh'));
+
+      expect(document.cookie).toContain('text-intl-locale=zh');
+      expect(localStorage.getItem('locale')).toBe('zh');
+      expect(detectLocale({ locales, defaultLocale: 'ko' })).toBe('zh');
+    });
+  });
+});
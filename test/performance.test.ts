@@ -0,0 +1,152 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { createInstance } from '../src/index.js';
+import type { CompiledMessages, MessageNamespace } from '../src/index.js';
+
+// Count how often messages are compiled
+const compiledCount = vi.hoisted(() => ({ value: 0 }));
+
+vi.mock('intl-messageformat', async (importOriginal) => {
+  const actual = await importOriginal<typeof import('intl-messageformat')>();
+  class CountingMessageFormat extends actual.IntlMessageFormat {
+    constructor(...args: ConstructorParameters<typeof actual.IntlMessageFormat>) {
+      super(...args);
+      compiledCount.value++;
+    }
+  }
+  return { ...actual, IntlMessageFormat: CountingMessageFormat };
+});
+
+describe('Formatter cache', () => {
+  const messages = {
+    en: {
+      common: {
+        items: '{count, plural, one {# item} other {# items}}',
+        files: '{count, plural, one {# file} other {# files}}',
+        rows: '{count, plural, one {# row} other {# rows}}',
+      },
+    },
+    ko: { common: { items: '{count, plural, other {#개}}' } },
+  };
+
+  beforeEach(() => {
+    compiledCount.value = 0;
+  });
+
+  it('should compile each message once per locale', () => {
+    const i18n = createInstance({ locale: 'en', messages });
+
+    for (let count = 0; count < 100; count++) {
+      i18n.t('items', { count });
+    }
+    expect(i18n.t('items', { count: 2 })).toBe('2 items');
+    expect(compiledCount.value).toBe(1);
+
+    i18n.setLocale('ko');
+    expect(i18n.t('items', { count: 2 })).toBe('2개');
+    i18n.setLocale('en');
+    i18n.t('items', { count: 3 });
+    expect(compiledCount.value).toBe(2);
+  });
+
+  it('should evict the least recently used formatter', () => {
+    const i18n = createInstance({ locale: 'en', messages, formatterCacheSize: 2 });
+
+    i18n.t('items', { count: 1 });
+    i18n.t('files', { count: 1 });
+    i18n.t('items', { count: 1 }); // items is now the most recently used
+    i18n.t('rows', { count: 1 }); // evicts files
+    expect(compiledCount.value).toBe(3);
+
+    i18n.t('items', { count: 1 });
+    expect(compiledCount.value).toBe(3);
+    i18n.t('files', { count: 1 });
+    expect(compiledCount.value).toBe(4);
+  });
+
+  it('should not cache with formatterCacheSize: 0', () => {
+    const i18n = createInstance({ locale: 'en', messages, formatterCacheSize: 0 });
+    i18n.t('items', { count: 1 });
+    i18n.t('items', { count: 2 });
+    expect(compiledCount.value).toBe(2);
+  });
+
+  it('should use precompiled ASTs keyed by message', () => {
+    const compiled: CompiledMessages = {
+      en: {
+        [messages.en.common.items]: [
+          {
+            type: 6, // plural
+            value: 'count',
+            offset: 0,
+            pluralType: 'cardinal',
+            options: {
+              other: { value: [{ type: 7 }, { type: 0, value: ' precompiled' }] },
+            },
+          },
+        ] as CompiledMessages[string][string],
+      },
+    };
+    const i18n = createInstance({ locale: 'en', messages, compiled });
+
+    expect(i18n.t('items', { count: 5 })).toBe('5 precompiled');
+    expect(i18n.t('files', { count: 5 })).toBe('5 files');
+  });
+
+  it('should format AST values from compiled catalogs', () => {
+    // Shape of a `text-intl compile` module: { hash: message | AST }
+    const catalogs = {
+      en: {
+        common: {
+          a1: [
+            { type: 0, value: 'Hello ' },
+            { type: 1, value: 'name' },
+          ],
+          b2: 'Plain text',
+        } as MessageNamespace,
+      },
+      ko: { common: { b2: '일반 텍스트' } },
+    };
+    const meta = { common: { 'Hello {name}': 'a1', 'Plain text': 'b2' } };
+    const i18n = createInstance({
+      locale: 'ko',
+      messages: catalogs,
+      meta: { en: meta, ko: meta },
+      fallbackLocale: 'en',
+    });
+
+    expect(i18n.t('Plain text')).toBe('일반 텍스트');
+    expect(i18n.t('Hello {name}', { name: 'Kim' })).toBe('Hello Kim');
+    expect(i18n.t('Hello {name}', { name: 'Lee' })).toBe('Hello Lee');
+    expect(compiledCount.value).toBe(1);
+  });
+
+  it('should be faster than compiling on every call', () => {
+    const plural = (noun: string) =>
+      `{count, plural, =0 {no ${noun}s} one {# ${noun}} other {# ${noun}s}}`;
+    const table = {
+      en: {
+        common: Object.fromEntries(
+          Array.from({ length: 20 }, (_, i) => [`cell${i}`, plural(`thing${i}`)])
+        ),
+      },
+    };
+
+    // Renders a "table" of 20 pluralized columns × 100 rows
+    const render = (formatterCacheSize: number) => {
+      const i18n = createInstance({ locale: 'en', messages: table, formatterCacheSize });
+      const start = performance.now();
+      for (let row = 0; row < 100; row++) {
+        for (let column = 0; column < 20; column++) {
+          i18n.t(`cell${column}`, { count: row });
+        }
+      }
+      return performance.now() - start;
+    };
+
+    render(500); // Warm up the JIT
+    const uncached = render(0);
+    const cached = render(500);
+
+    expect(cached * 2).toBeLessThan(uncached);
+  });
+});
@@ -0,0 +1,125 @@
+// @vitest-environment node
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { textIntl } from '../cli/plugin.js';
+import { createInstance } from '../src/index.js';
+import { createProject, TestProject } from './fixtures.js';
+
+describe('Build plugin', () => {
+  let project: TestProject;
+
+  beforeEach(() => {
+    project = createProject({
+      'messages/en/common.meta.json': { Hello: 'aaaa1111', 'status\u0004Open': 'bbbb2222' },
+      'messages/en/common.json': { aaaa1111: 'Hello', bbbb2222: 'Open' },
+      'messages/ko/common.json': { aaaa1111: '안녕하세요', bbbb2222: '' },
+    });
+  });
+
+  afterEach(() => project.remove());
+
+  /**
+   * Run the Vite / Rollup transform hook
+   * @returns Output code and source map (null if unchanged), warnings and the build error if any
+   */
+  function transform(code: string, options: Record<string, unknown> = {}) {
+    const plugin = textIntl({ config: project.config, cwd: project.dir, ...options });
+    const warnings: string[] = [];
+    const context = {
+      warn: (message: string) => warnings.push(message),
+      error: (message: string) => {
+        throw new Error(message);
+      },
+      addWatchFile: () => {},
+    };
+    plugin.buildStart();
+    try {
+      const result = plugin.transform.call(context, code, project.path('src/App.tsx'));
+      return { code: result?.code ?? null, map: result?.map ?? null, warnings, error: null };
+    } catch (error) {
+      return { code: null, map: null, warnings, error: (error as Error).message };
+    }
+  }
+
+  const source = `import { useTranslation } from 'text-intl/react';
+const { t, pt } = useTranslation();
+t('Hello');
+pt('status', 'Open');
+`;
+
+  it('should rewrite messages to hash references that keep the meta key', () => {
+    const { code, error } = transform(source);
+
+    expect(error).toBeNull();
+    expect(code).toContain(`t(${JSON.stringify('\u0001aaaa1111\u0001Hello')})`);
+    expect(code).toContain(
+      `pt('status', ${JSON.stringify('\u0001bbbb2222\u0001status\u0004Open')})`
+    );
+  });
+
+  it('should render hash references as source text when no locale translates them', () => {
+    const i18n = createInstance({
+      locale: 'ko',
+      messages: { ko: { common: { aaaa1111: '안녕하세요' } } },
+      onMissingTranslation: 'marker',
+    });
+
+    expect(i18n.t('\u0001aaaa1111\u0001Hello')).toBe('안녕하세요');
+    expect(i18n.pt('status', '\u0001bbbb2222\u0001status\u0004Open')).toBe('⟦Open⟧');
+  });
+
+  it('should return a source map of the rewritten module', () => {
+    const { code, map } = transform(source);
+
+    expect(map).toMatchObject({
+      version: 3,
+      sources: [project.path('src/App.tsx')],
+      sourcesContent: [source],
+    });
+    // One segment per character: the hash reference and the rest of its line map back
+    expect(map.mappings.split(';')).toHaveLength(code!.split('\n').length);
+    expect(map.mappings.split(';')[2].split(',').length).toBeGreaterThan(1);
+  });
+
+  it('should inline translations for a locale, falling back to the source locale', () => {
+    const { code } = transform(source, { locale: 'ko' });
+
+    expect(code).toContain(`t(${JSON.stringify('\u0002안녕하세요')})`);
+    expect(code).toContain(`pt('status', ${JSON.stringify('\u0002Open')})`);
+  });
+
+  it('should fail on messages missing from the catalog, or warn without failOnMissing', () => {
+    const code = `import { t } from 'text-intl';\nt('Goodbye');\n`;
+
+    expect(transform(code).error).toMatch(/src\/App\.tsx:2 "Goodbye" is not in the common catalog/);
+
+    const { error, warnings } = transform(code, { failOnMissing: false });
+    expect(error).toBeNull();
+    expect(warnings).toEqual([expect.stringContaining('"Goodbye" is not in the common catalog')]);
+  });
+
+  it('should warn about dynamic messages and leave them as is', () => {
+    const code = `import { t } from 'text-intl';\nconst key = getKey();\nt(key);\nt('Hello');\n`;
+    const result = transform(code);
+
+    expect(result.warnings).toEqual([expect.stringMatching(/^src\/App\.tsx:3 left as is/)]);
+    expect(result.code).toContain('t(key)');
+    expect(result.code).toContain(JSON.stringify('\u0001aaaa1111\u0001Hello'));
+  });
+
+  it('should leave <Trans> children untouched', () => {
+    const code = `import { Trans } from 'text-intl/react';\nexport const A = () => <Trans>Hello</Trans>;\n`;
+    const result = transform(code);
+
+    expect(result.error).toBeNull();
+    expect(result.code).toBeNull();
+  });
+
+  it('should skip files without message calls', () => {
+    expect(transform('export const a = 1;\n')).toEqual({
+      code: null,
+      map: null,
+      warnings: [],
+      error: null,
+    });
+  });
+});
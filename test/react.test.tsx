@@ -0,0 +1,406 @@
+import React from 'react';
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, act } from '@testing-library/react';
+import {
+  I18nProvider,
+  Trans,
+  useTranslation,
+  useLocale,
+  useFormatter,
+  setupI18n,
+} from '../src/react.js';
+import type { MessageLoader, TagHandler } from '../src/react.js';
+
+describe('i18n React', () => {
+  describe('<Trans>', () => {
+    const messages = {
+      en: { common: {} },
+      ko: {
+        common: {
+          hash1: '<0>약관</0>을 읽어 주세요',
+          hash2: '{name}님, <strong>환영합니다</strong>!<br/>',
+          hash3: '<0><1>중첩</1> 링크</0>',
+        },
+      },
+    };
+    const meta = {
+      ko: {
+        common: {
+          'Please read the <0>terms</0>': 'hash1',
+          'Welcome, <strong>{name}</strong>!<br/>': 'hash2',
+          '<0><1>Nested</1> link</0>': 'hash3',
+        },
+      },
+    };
+
+    it('should render source text with elements when no translation exists', () => {
+      const { container } = render(
+        <I18nProvider locale="ko" messages={messages} meta={meta}>
+          <Trans>
+            Read the <a href="/docs">docs</a>
+          </Trans>
+        </I18nProvider>
+      );
+      expect(container.innerHTML).toBe('Read the <a href="/docs">docs</a>');
+    });
+
+    it('should map indexed elements into the translation', () => {
+      const { container } = render(
+        <I18nProvider locale="ko" messages={messages} meta={meta}>
+          <Trans>
+            Please read the <a href="/terms">terms</a>
+          </Trans>
+        </I18nProvider>
+      );
+      expect(container.innerHTML).toBe('<a href="/terms">약관</a>을 읽어 주세요');
+    });
+
+    it('should support named tags, placeholders and self-closing tags', () => {
+      const name = '철수';
+      const { container } = render(
+        <I18nProvider locale="ko" messages={messages} meta={meta}>
+          <Trans>
+            Welcome, <strong>{{ name }}</strong>!<br />
+          </Trans>
+        </I18nProvider>
+      );
+      expect(container.innerHTML).toBe('철수님, <strong>환영합니다</strong>!<br>');
+    });
+
+    it('should support nested elements', () => {
+      const { container } = render(
+        <I18nProvider locale="ko" messages={messages} meta={meta}>
+          <Trans>
+            <a href="/x">
+              <em className="hl">Nested</em> link
+            </a>
+          </Trans>
+        </I18nProvider>
+      );
+      expect(container.innerHTML).toBe('<a href="/x"><em class="hl">중첩</em> 링크</a>');
+    });
+  });
+
+  describe('Rich text in t()', () => {
+    const messages = {
+      en: {
+        common: {
+          hash1: '<b>Read <link>the terms</link></b><br/>now',
+          hash2: '{count, plural, one {<b>#</b> file} other {<b>#</b> files}}',
+          hash3: 'Price: <price>{amount}</price>',
+        },
+      },
+    };
+    const meta = {
+      en: {
+        common: { Terms: 'hash1', Files: 'hash2', Price: 'hash3' },
+      },
+    };
+
+    function Message({
+      text,
+      values,
+    }: {
+      text: string;
+      values?: Record<string, number | TagHandler>;
+    }) {
+      const { t } = useTranslation();
+      return <p>{t(text, values)}</p>;
+    }
+
+    it('should render nested and self-closing tags', () => {
+      const errors = vi.spyOn(console, 'error').mockImplementation(() => {});
+      const { container } = render(
+        <I18nProvider locale="en" messages={messages} meta={meta}>
+          <Message
+            text="Terms"
+            values={{
+              b: (content) => <b>{content}</b>,
+              link: (content) => <a href="/terms">{content}</a>,
+              br: () => <br />,
+            }}
+          />
+        </I18nProvider>
+      );
+      expect(container.innerHTML).toBe('<p><b>Read <a href="/terms">the terms</a></b><br>now</p>');
+      // No missing key warnings
+      expect(errors).not.toHaveBeenCalled();
+      errors.mockRestore();
+    });
+
+    it('should render tags inside plural branches', () => {
+      const { container } = render(
+        <I18nProvider
+          locale="en"
+          messages={messages}
+          meta={meta}
+          components={{ b: (content) => <strong>{content}</strong> }}
+        >
+          <Message text="Files" values={{ count: 3 }} />
+        </I18nProvider>
+      );
+      expect(container.innerHTML).toBe('<p><strong>3</strong> files</p>');
+    });
+
+    it('should pass text content to global formatters', () => {
+      const { container } = render(
+        <I18nProvider
+          locale="en"
+          messages={messages}
+          meta={meta}
+          components={{ price: (content) => `$${Number(content).toFixed(2)}` }}
+        >
+          <Message text="Price" values={{ amount: 5 }} />
+        </I18nProvider>
+      );
+      expect(container.textContent).toBe('Price: $5.00');
+    });
+
+    it('should keep placeholders without a value and not substitute formatted values again', () => {
+      const errors = vi.spyOn(console, 'error').mockImplementation(() => {});
+      function Greeting({ values }: { values: Record<string, string | TagHandler> }) {
+        const { t } = useTranslation();
+        return <p>{t('<b>Hello</b> {name}, from {place}', values)}</p>;
+      }
+      const { container } = render(
+        <I18nProvider locale="en" messages={messages} meta={meta}>
+          <Greeting values={{ b: (content) => <b>{content}</b> }} />
+          <Greeting
+            values={{ b: (content) => <b>{content}</b>, name: '{place}', place: 'Seoul' }}
+          />
+        </I18nProvider>
+      );
+      expect(container.innerHTML).toBe(
+        '<p><b>Hello</b> {name}, from {place}</p><p><b>Hello</b> {place}, from Seoul</p>'
+      );
+      expect(errors).not.toHaveBeenCalled();
+      errors.mockRestore();
+    });
+
+    it('should keep tags without a handler as text', () => {
+      const { container } = render(
+        <I18nProvider locale="en" messages={messages} meta={meta}>
+          <Message text="Files" values={{ count: 1 }} />
+        </I18nProvider>
+      );
+      expect(container.textContent).toBe('<b>1</b> file');
+    });
+  });
+
+  describe('useFormatter()', () => {
+    it('should format in the current locale with configured presets', () => {
+      const i18n = setupI18n({
+        messages: { en: { common: {} }, ko: { common: {} } },
+        defaultLocale: 'en',
+        formats: { number: { price: { style: 'currency', currency: 'USD' } } },
+      });
+      let changeLocale: (locale: 'en' | 'ko') => void = () => {};
+
+      function Revenue() {
+        const { formatNumber, formatList } = useFormatter();
+        changeLocale = i18n.useLocale().setLocale;
+        return <p>{`${formatNumber(12345, 'price')} / ${formatList(['A', 'B'])}`}</p>;
+      }
+
+      const { container } = render(
+        <i18n.I18nProvider>
+          <Revenue />
+        </i18n.I18nProvider>
+      );
+      expect(container.textContent).toBe('$12,345.00 / A and B');
+
+      act(() => changeLocale('ko'));
+      expect(container.textContent).toBe('US$12,345.00 / A 및 B');
+    });
+  });
+
+  describe('I18nProvider', () => {
+    const messages = {
+      en: { common: { hash1: 'Hello' } },
+      ko: { common: { hash1: '안녕하세요' } },
+    };
+    const meta = {
+      en: { common: { Hello: 'hash1' } },
+      ko: { common: { Hello: 'hash1' } },
+    };
+
+    function Greeting() {
+      const { t } = useTranslation();
+      return <p>{t('Hello')}</p>;
+    }
+
+    it('should translate on the first render', () => {
+      const { container } = render(
+        <I18nProvider locale="ko" messages={messages} meta={meta}>
+          <Greeting />
+        </I18nProvider>
+      );
+      expect(container.textContent).toBe('안녕하세요');
+    });
+
+    it('should keep multiple providers isolated', () => {
+      let changeLocale: (locale: string) => void = () => {};
+      function Switcher() {
+        changeLocale = useLocale().setLocale;
+        return null;
+      }
+
+      const { container } = render(
+        <>
+          <I18nProvider locale="ko" messages={messages} meta={meta}>
+            <Greeting />
+          </I18nProvider>
+          <I18nProvider locale="en" messages={messages} meta={meta}>
+            <Switcher />
+            <Greeting />
+          </I18nProvider>
+        </>
+      );
+      expect(container.textContent).toBe('안녕하세요Hello');
+
+      act(() => changeLocale('ko'));
+      expect(container.textContent).toBe('안녕하세요안녕하세요');
+    });
+  });
+
+  describe('Lazy namespace loading', () => {
+    const bundles: Record<string, Record<string, Record<string, string>>> = {
+      ko: { dashboard: { hash1: '대시보드' } },
+      en: { dashboard: { hash1: 'Dashboard' } },
+      ja: { dashboard: { hash1: 'ダッシュボード' } },
+    };
+
+    function createLoader() {
+      const calls: string[] = [];
+      const loader: MessageLoader = async (locale, namespace) => {
+        calls.push(`${locale}:${namespace}`);
+        return {
+          messages: bundles[locale][namespace],
+          meta: { Dashboard: 'hash1' },
+        };
+      };
+      return { loader, calls };
+    }
+
+    function Title() {
+      const { t } = useTranslation('dashboard');
+      return <h1>{t('Dashboard')}</h1>;
+    }
+
+    it('should suspend with fallback until the namespace is loaded', async () => {
+      const { loader } = createLoader();
+      render(
+        <I18nProvider locale="ko" loadMessages={loader} fallback={<p>Loading...</p>}>
+          <Title />
+        </I18nProvider>
+      );
+
+      expect(screen.getByText('Loading...')).toBeInTheDocument();
+      expect(await screen.findByText('대시보드')).toBeInTheDocument();
+    });
+
+    it('should report ready state without suspense', async () => {
+      const { loader } = createLoader();
+      function Status() {
+        const { t, ready } = useTranslation('dashboard');
+        return <p>{ready ? t('Dashboard') : 'not ready'}</p>;
+      }
+
+      render(
+        <I18nProvider locale="ko" loadMessages={loader} suspense={false}>
+          <Status />
+        </I18nProvider>
+      );
+
+      expect(screen.getByText('not ready')).toBeInTheDocument();
+      expect(await screen.findByText('대시보드')).toBeInTheDocument();
+    });
+
+    it('should suspend every component on the same promise per namespace', async () => {
+      const { loader, calls } = createLoader();
+      const thrown: unknown[] = [];
+      function Probe() {
+        try {
+          useTranslation('dashboard');
+        } catch (promise) {
+          thrown.push(promise);
+          throw promise;
+        }
+        return null;
+      }
+
+      render(
+        <I18nProvider locale="ko" loadMessages={loader}>
+          <Probe />
+          <Probe />
+          <Title />
+        </I18nProvider>
+      );
+      await screen.findByText('대시보드');
+
+      expect(thrown.length).toBeGreaterThanOrEqual(2);
+      expect(new Set(thrown).size).toBe(1);
+      expect(calls).toEqual(['ko:dashboard']);
+    });
+
+    it('should not cache failed loads and retry them on the next locale switch', async () => {
+      const calls: string[] = [];
+      let failures = 1;
+      const loader: MessageLoader = async (locale, namespace) => {
+        calls.push(`${locale}:${namespace}`);
+        if (failures-- > 0) throw new Error('Network error');
+        return { messages: bundles[locale][namespace], meta: { Dashboard: 'hash1' } };
+      };
+      const errorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+      let changeLocale: (locale: string) => void = () => {};
+      function Switcher() {
+        changeLocale = useLocale().setLocale;
+        return null;
+      }
+
+      render(
+        <I18nProvider locale="ko" loadMessages={loader}>
+          <Switcher />
+          <Title />
+        </I18nProvider>
+      );
+      expect(await screen.findByText('Dashboard')).toBeInTheDocument();
+      expect(errorSpy).toHaveBeenCalledWith(
+        'Failed to load messages for ko:dashboard:',
+        'Network error'
+      );
+
+      act(() => changeLocale('ja'));
+      await screen.findByText('ダッシュボード');
+      act(() => changeLocale('ko'));
+      expect(await screen.findByText('대시보드')).toBeInTheDocument();
+      expect(calls).toEqual(['ko:dashboard', 'ja:dashboard', 'ko:dashboard']);
+      errorSpy.mockRestore();
+    });
+
+    it('should load only the active locale and cache bundles across locale switches', async () => {
+      const { loader, calls } = createLoader();
+      let changeLocale: (locale: string) => void = () => {};
+      function Switcher() {
+        changeLocale = useLocale().setLocale;
+        return null;
+      }
+
+      render(
+        <I18nProvider locale="ko" loadMessages={loader}>
+          <Switcher />
+          <Title />
+        </I18nProvider>
+      );
+      await screen.findByText('대시보드');
+      expect(calls).toEqual(['ko:dashboard']);
+
+      act(() => changeLocale('ja'));
+      expect(await screen.findByText('ダッシュボード')).toBeInTheDocument();
+
+      act(() => changeLocale('ko'));
+      expect(await screen.findByText('대시보드')).toBeInTheDocument();
+      expect(calls).toEqual(['ko:dashboard', 'ja:dashboard']);
+    });
+  });
+});
@@ -0,0 +1,121 @@
+import React from 'react';
+import { describe, it, expect } from 'vitest';
+import { render } from '@testing-library/react';
+import { setupServerI18n } from '../src/server.js';
+import { setupI18n, useTranslation } from '../src/react.js';
+import type { MessageLoader } from '../src/server.js';
+
+describe('i18n Server', () => {
+  const bundles: Record<string, Record<string, Record<string, string>>> = {
+    en: { common: { hash1: 'Hello' }, dashboard: { hash2: 'Dashboard' } },
+    ko: { common: { hash1: '안녕하세요' }, dashboard: { hash2: '대시보드' } },
+  };
+  const metas: Record<string, Record<string, string>> = {
+    common: { Hello: 'hash1' },
+    dashboard: { Dashboard: 'hash2' },
+  };
+
+  function createLoader() {
+    const calls: string[] = [];
+    const loader: MessageLoader = async (locale, namespace) => {
+      calls.push(`${locale}:${namespace}`);
+      return { messages: bundles[locale][namespace], meta: metas[namespace] };
+    };
+    return { loader, calls };
+  }
+
+  it('should translate with a request-scoped locale', async () => {
+    const { loader } = createLoader();
+    const { getTranslation } = setupServerI18n({ loadMessages: loader });
+
+    const [ko, en] = await Promise.all([
+      getTranslation('ko', 'dashboard'),
+      getTranslation('en', 'dashboard'),
+    ]);
+
+    expect(ko.t('Dashboard')).toBe('대시보드');
+    expect(en.t('Dashboard')).toBe('Dashboard');
+  });
+
+  it('should cache loaded bundles across requests', async () => {
+    const { loader, calls } = createLoader();
+    const { getTranslation } = setupServerI18n({ loadMessages: loader });
+
+    await getTranslation('ko');
+    await getTranslation('ko');
+
+    expect(calls).toEqual(['ko:common']);
+  });
+
+  it('should use static messages without a loader', async () => {
+    const { getTranslation } = setupServerI18n({
+      messages: { ko: { common: bundles.ko.common } },
+      meta: { ko: { common: metas.common } },
+    });
+
+    const { t } = await getTranslation('ko');
+    expect(t('Hello')).toBe('안녕하세요');
+  });
+
+  it('should include fallback locale bundles in hydration data', async () => {
+    const { loader } = createLoader();
+    const { getHydrationData } = setupServerI18n({ loadMessages: loader, fallbackLocale: 'en' });
+
+    const data = await getHydrationData('ko', ['common']);
+
+    expect(data.locale).toBe('ko');
+    expect(Object.keys(data.messages)).toEqual(['ko', 'en']);
+    expect(data.meta.ko.common).toEqual(metas.common);
+  });
+
+  it('should include the compiled messages of the hydrated namespaces', async () => {
+    const ast = [{ type: 0 as const, value: '안녕하세요 (compiled)' }];
+    const { getHydrationData } = setupServerI18n({
+      messages: { ko: { common: bundles.ko.common, dashboard: bundles.ko.dashboard } },
+      meta: { ko: metas },
+      compiled: { ko: { 안녕하세요: ast, 대시보드: [{ type: 0 as const, value: '대시보드' }] } },
+    });
+
+    const data = await getHydrationData('ko', ['common']);
+    expect(data.compiled).toEqual({ ko: { 안녕하세요: ast } });
+
+    const { I18nProvider } = setupI18n({ defaultLocale: 'ko' });
+    function Greeting() {
+      const { t } = useTranslation();
+      return <p>{t('Hello')}</p>;
+    }
+    const { container } = render(
+      <I18nProvider
+        locale={data.locale}
+        messages={data.messages}
+        meta={data.meta}
+        compiled={data.compiled}
+      >
+        <Greeting />
+      </I18nProvider>
+    );
+    expect(container.textContent).toBe('안녕하세요 (compiled)');
+  });
+
+  it('should render the client provider with hydration data on the first render', async () => {
+    const { loader, calls } = createLoader();
+    const { getHydrationData } = setupServerI18n({ loadMessages: loader });
+    const data = await getHydrationData('ko', ['common']);
+    calls.length = 0;
+
+    const { I18nProvider } = setupI18n({ defaultLocale: 'en', loadMessages: loader });
+    function Greeting() {
+      const { t } = useTranslation();
+      return <p>{t('Hello')}</p>;
+    }
+
+    const { container } = render(
+      <I18nProvider locale={data.locale} messages={data.messages} meta={data.meta}>
+        <Greeting />
+      </I18nProvider>
+    );
+
+    expect(container.textContent).toBe('안녕하세요');
+    expect(calls).toEqual([]);
+  });
+});
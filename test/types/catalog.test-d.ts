@@ -0,0 +1,59 @@
+/**
+ * Type-level tests for catalog registration (checked by `pnpm type-check`)
+ * Each @ts-expect-error fails the check if the line it marks compiles
+ */
+import { useTranslation, type TagHandler } from 'text-intl/react';
+
+declare module 'text-intl/react' {
+  interface I18nRegister {
+    catalog: {
+      common: {
+        Hello: undefined;
+        'Hello {name}': { name: string | number };
+        '{count, plural, one {# item} other {# items}}': { count: number };
+        'Read the <link>terms</link>': { link?: TagHandler };
+      };
+      cart: {
+        Checkout: undefined;
+      };
+    };
+  }
+}
+
+const { t, pt } = useTranslation();
+const cart = useTranslation('cart');
+
+// Known keys with the values they need
+t('Hello');
+t('Hello {name}', { name: 'Ann' });
+t('{count, plural, one {# item} other {# items}}', { count: 2 });
+t('Read the <link>terms</link>');
+pt('menu', 'Hello');
+cart.t('Checkout');
+
+// @ts-expect-error -- not in the catalog
+t('Goodbye');
+
+// @ts-expect-error -- in another namespace
+t('Checkout');
+
+// @ts-expect-error -- in another namespace
+cart.t('Hello');
+
+// @ts-expect-error -- {name} is missing
+t('Hello {name}');
+
+// @ts-expect-error -- {name} is misspelled
+t('Hello {name}', { nmae: 'Ann' });
+
+// @ts-expect-error -- {count} is missing
+t('{count, plural, one {# item} other {# items}}', {});
+
+// @ts-expect-error -- plural values must be numbers
+t('{count, plural, one {# item} other {# items}}', { count: '2' });
+
+// @ts-expect-error -- not in the catalog
+pt('menu', 'Goodbye');
+
+// @ts-expect-error -- unknown namespace
+useTranslation('checkout');
@@ -0,0 +1,238 @@
+// @vitest-environment node
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { validateTranslations, shouldFail } from '../cli/validate.js';
+import { formatReport } from '../cli/reporters.js';
+import { validateSource } from '../cli/validate-source.js';
+import { createProject, TestProject } from './fixtures.js';
+
+describe('validate', () => {
+  let project: TestProject;
+
+  beforeEach(() => {
+    project = createProject({
+      'messages/en/common.json': {
+        a: 'Hello, {name}!',
+        b: '{count, plural, one {# item} other {# items}}',
+        c: 'Read the <b>terms</b>',
+        d: 'Price {p, number}',
+        e: '{n, plural, other {# files}}',
+        f: '{n, select, a {# x} other {y}}',
+      },
+      'messages/ko/common.json': {
+        a: '안녕, {nmae}!',
+        b: '{count, plural, other {# 개}',
+        c: '<i>약관</i> 읽기',
+        d: '가격 {p, date}',
+        f: '',
+        z: 'extra',
+      },
+    });
+  });
+
+  afterEach(() => project.remove());
+
+  /** validate with messagesDir resolved in the project */
+  const validate = (config: Record<string, unknown> = {}) =>
+    validateTranslations({ ...project.config, messagesDir: project.path('messages'), ...config });
+
+  it('should parse messages as ICU and compare translations with their source', async () => {
+    const { issues, stats } = await validate();
+
+    expect(issues.map(({ type, locale, key, line }) => [type, locale, key, line])).toEqual([
+      ['plural_categories', 'en', 'e', 6],
+      ['pound_outside_plural', 'en', 'f', 7],
+      ['variable_mismatch', 'ko', 'a', 2],
+      ['syntax_error', 'ko', 'b', 3],
+      ['tag_mismatch', 'ko', 'c', 4],
+      ['variable_mismatch', 'ko', 'd', 5],
+      // Missing from ko: located in the source locale's file
+      ['missing', 'ko', 'e', 6],
+      ['empty', 'ko', 'f', 6],
+      ['extra', 'ko', 'z', 7],
+    ]);
+    expect(issues[0].details).toEqual({ categories: ['one'] });
+    expect(issues[2].details).toEqual({ missing: ['name'], extra: ['nmae'], types: [] });
+    expect(issues[4].details).toEqual({ missingTags: ['b'], extraTags: ['i'] });
+    expect(issues[5].details.types).toEqual(['{p}: number → date']);
+    expect(stats).toMatchObject({ total: 6, syntaxError: 1, variableMismatch: 2, tagMismatch: 1 });
+  });
+
+  it('should accept =N selectors that cover every number of a plural category', async () => {
+    project.write({
+      'messages/en/common.json': { a: '{n, plural, =1 {One file} other {# files}}' },
+      'messages/ko/common.json': { a: '{n, plural, other {# 파일}}' },
+      // Russian "one" is also 21, 31, ...
+      'messages/ru/common.json': { a: '{n, plural, =1 {Один файл} other {# файлов}}' },
+    });
+    const { issues } = await validate({ locales: ['en', 'ko', 'ru'] });
+
+    expect(issues.map(({ type, locale, details }) => [type, locale, details])).toEqual([
+      ['plural_categories', 'ru', { categories: ['few', 'many', 'one'] }],
+    ]);
+  });
+
+  it('should report coverage and apply configured severities', async () => {
+    const result = await validate({
+      validate: { severity: { extra: 'off', empty: 'warning', plural_categories: 'info' } },
+    });
+
+    expect(result.issues.some((issue) => issue.type === 'extra')).toBe(false);
+    expect(result.summary).toEqual({ error: 6, warning: 1, info: 1, coverage: 66.7 });
+    expect(result.coverage).toEqual([
+      { locale: 'ko', namespace: 'common', total: 6, translated: 4, percent: 66.7 },
+    ]);
+  });
+
+  it('should fail on the chosen severity or below the minimum coverage', async () => {
+    project.write({
+      'messages/en/common.json': { a: 'Hello, {name}!', b: 'Bye' },
+      'messages/ko/common.json': { a: '안녕, {name}!', b: '' },
+    });
+    const result = await validate({ validate: { severity: { empty: 'warning' } } });
+
+    expect(shouldFail(result)).toBe(false);
+    expect(shouldFail(result, { failOn: 'warning' })).toBe(true);
+    expect(shouldFail(result, { minCoverage: 50 })).toBe(false);
+    expect(shouldFail(result, { minCoverage: 80 })).toBe(true);
+  });
+
+  describe('reporters', () => {
+    const report = async (format: string) => {
+      project.write({
+        'messages/en/common.json': { a: 'Hello, {name}!', b: 'Bye' },
+        'messages/ko/common.json': { a: '안녕, {nmae}!', b: '', c: 'extra' },
+      });
+      const result = await validate({
+        validate: { severity: { extra: 'info', empty: 'warning' } },
+      });
+      return { result, output: formatReport(result, format) };
+    };
+
+    it('should write the full result as JSON', async () => {
+      const { result, output } = await report('json');
+      expect(JSON.parse(output)).toEqual(result);
+    });
+
+    it('should write one JUnit suite per locale and namespace, errors as failures', async () => {
+      project.write({
+        'messages/en/cart.json': { a: 'Cart' },
+        'messages/ko/cart.json': { a: '장바구니' },
+      });
+      const { output } = await report('junit');
+
+      // The root counts the passing case of suites without issues
+      expect(output).toContain('<testsuites name="text-intl validate" tests="4" failures="1">');
+      expect(output).toContain('<testsuite name="ko/cart" tests="1" failures="0">');
+      expect(output).toContain('<testsuite name="ko/common" tests="3" failures="1">');
+      expect(output).toContain('<property name="coverage" value="50"/>');
+      expect(output).toMatch(
+        /<testcase name="variable_mismatch: a" classname="ko\/common" file="[^"]+ko\/common\.json"><failure type="variable_mismatch" message="Variable mismatch in &quot;a&quot; \(missing: name; extra: nmae\)"\/><\/testcase>/
+      );
+      expect(output).toContain(
+        '<system-out>warning: Empty translation for &quot;b&quot;</system-out>'
+      );
+    });
+
+    it('should write a SARIF log with one rule per issue type', async () => {
+      const { output } = await report('sarif');
+      const [run] = JSON.parse(output).runs;
+
+      expect(run.tool.driver.rules.map((rule: { id: string }) => rule.id)).toEqual([
+        'variable_mismatch',
+        'empty',
+        'extra',
+      ]);
+      expect(run.results.map((result: { level: string }) => result.level)).toEqual([
+        'error',
+        'warning',
+        'note',
+      ]);
+      expect(run.results[0]).toMatchObject({
+        ruleIndex: 0,
+        message: { text: '[ko/common] Variable mismatch in "a" (missing: name; extra: nmae)' },
+        locations: [
+          {
+            physicalLocation: {
+              artifactLocation: { uri: expect.stringMatching(/ko\/common\.json$/) },
+              region: { startLine: 2 },
+            },
+          },
+        ],
+      });
+    });
+
+    it('should write GitHub Actions annotations with a summary line', async () => {
+      const { output } = await report('github');
+      const lines = output.trimEnd().split('\n');
+
+      expect(lines[0]).toMatch(
+        /^::error file=[^,]+ko\/common\.json,line=2,title=text-intl variable_mismatch \(ko\)::Variable mismatch in "a" \(missing: name; extra: nmae\)$/
+      );
+      expect(lines[1]).toMatch(/^::warning file=.+,line=3,title=text-intl empty \(ko\)::/);
+      expect(lines[2]).toMatch(/^::notice /);
+      expect(lines[3]).toBe('text-intl: 1 errors, 1 warnings, coverage 50%');
+    });
+
+    it('should reject unknown formats', () => {
+      expect(() => formatReport({ issues: [] } as never, 'xml')).toThrow(
+        /Unknown report format: xml/
+      );
+    });
+  });
+
+  describe('--source', () => {
+    it('should check call sites against the catalog', async () => {
+      project.write({
+        'messages/en/common.meta.json': {
+          'Hello, {name}!': 'a',
+          'Read the <b>terms</b>': 'b',
+          Unused: 'c',
+          'Added at runtime': 'd',
+        },
+        'messages/en/common.notes.json': { 'Added at runtime': { references: ['runtime'] } },
+        'messages/en/cart.meta.json': { Checkout: 'e' },
+        'src/App.tsx': `import { useTranslation } from 'text-intl/react';
+const { t } = useTranslation();
+t('Hello, {name}!', { name: 'Kim' });
+t('Hello, {name}!', { nmae: 'Kim' });
+t('Read the <b>terms</b>');
+t('Checkout');
+t('Typo');
+t(key);
+t('Hello, {name}!', values);
+`,
+      });
+
+      const { issues, calls } = await validateSource(project.config, project.dir);
+
+      expect(calls).toBe(7);
+      expect(issues.map(({ type, file, line }) => [type, file, line])).toEqual([
+        ['dynamic_key', 'src/App.tsx', 8],
+        ['value_mismatch', 'src/App.tsx', 4],
+        ['wrong_namespace', 'src/App.tsx', 6],
+        ['unknown_key', 'src/App.tsx', 7],
+        ['stale_meta', 'messages/en/cart.meta.json', 2],
+        // Meta entries from runtime reports are not expected in source
+        ['stale_meta', 'messages/en/common.meta.json', 4],
+      ]);
+      expect(issues[1].details).toEqual({ missing: ['name'], extra: ['nmae'] });
+      expect(issues[2].details).toEqual({ found: ['cart'] });
+    });
+
+    it('should add call site issues to validate with their severity', async () => {
+      project.write({
+        'messages/en/common.meta.json': { 'Hello, {name}!': 'a' },
+        'src/App.tsx': `import { t } from 'text-intl';\nt('Hello, {name}!', { name: 'Kim' });\nt(key);\n`,
+      });
+
+      const { issues, stats } = await validateTranslations(
+        { ...project.config, messagesDir: project.path('messages') },
+        { source: true, cwd: project.dir }
+      );
+      const dynamic = issues.find((issue) => issue.type === 'dynamic_key');
+
+      expect(stats.calls).toBe(2);
+      expect(dynamic).toMatchObject({ severity: 'warning', line: 3 });
+    });
+  });
+});
@@ -38,6 +38,33 @@ export default defineConfig([
       options.jsxFragment = 'React.Fragment';
     },
   },
+  // Server adapter (server.ts) - no 'use client' banner
+  {
+    entry: {
+      server: 'src/server.ts',
+    },
+    format: ['esm', 'cjs'],
+    dts: true, // TypeScript 소스에서 자동 타입 생성
+    outDir: 'dist',
+    clean: false,
+    sourcemap: true,
+    treeshake: true,
+    splitting: false,
+    external: ['intl-messageformat'],
+  },
+  // Locale negotiation (negotiation.ts) - usable in middleware and the browser
+  {
+    entry: {
+      negotiation: 'src/negotiation.ts',
+    },
+    format: ['esm', 'cjs'],
+    dts: true, // TypeScript 소스에서 자동 타입 생성
+    outDir: 'dist',
+    clean: false,
+    sourcemap: true,
+    treeshake: true,
+    splitting: false,
+  },
   // Config (config.ts)
   {
     entry: {